@@ -1,7 +1,41 @@
 var fs = require("fs");
 var path = require("path");
+var extend = require("extend");
+var async = require("async");
 var ogi = require("./index");
 var currentImporter = process.argv[2];
+var resume = process.argv.indexOf("--resume") > -1;
+var offline = process.argv.indexOf("--offline") > -1;
+var incremental = process.argv.indexOf("--incremental") > -1;
+var versions = process.argv.indexOf("--versions") > -1;
+var ndjson = process.argv.indexOf("--ndjson") > -1;
+var sqlite = process.argv.indexOf("--sqlite") > -1;
+
+/** Returns the value of a command line option, or null if it is not set. */
+var option = function (name) {
+  var index = process.argv.indexOf(name);
+  return (index > -1 && process.argv[index + 1]) || null;
+};
+
+/** Converts a size like 500M or 2G into bytes. */
+var parseSize = function (size) {
+  var units = { K: 1024, M: 1024 * 1024, G: 1024 * 1024 * 1024 };
+  var match = /^(\d+)([KMG])?$/i.exec(size || "");
+
+  return match ? parseInt(match[1], 10) *
+    (match[2] ? units[match[2].toUpperCase()] : 1) : 0;
+};
+
+/** Converts a period like 30d, 12h or 15m into milliseconds. Default unit is
+ * days. */
+var parseDuration = function (duration) {
+  var units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000 };
+  var match = /^(\d+)([smhd])?$/.exec(duration || "");
+
+  return match ? parseInt(match[1], 10) * units[match[2] || "d"] : null;
+};
+
 
 var IMPORTERS = {
   "bills": {
@@ -10,6 +44,13 @@ var IMPORTERS = {
       deph: 2
     }
   },
+  "senate-bills": {
+    Klass: ogi.SenateBillImporter,
+    itemRole: "bills",
+    storerOptions: {
+      deph: 2
+    }
+  },
   "committees": {
     Klass: ogi.CommitteeImporter,
     storerOptions: {
@@ -28,6 +69,13 @@ var IMPORTERS = {
       deph: 0
     }
   },
+  "senate-vote": {
+    Klass: ogi.SenateVoteImporter,
+    itemRole: "vote",
+    storerOptions: {
+      deph: 0
+    }
+  },
   "events": {
     Klass: ogi.EventsImporter,
     storerOptions: {
@@ -35,32 +83,6 @@ var IMPORTERS = {
     }
   }
 };
-var Importer = IMPORTERS[currentImporter];
-
-if (!Importer) {
-  if (currentImporter) {
-    console.log("Importer '" + currentImporter + "' does not exist. " +
-      "Supported importers are:");
-  } else {
-    console.log("Importer not specified. Supported importers are:");
-  }
-
-  for (var property in IMPORTERS) {
-    console.log("   " + property);
-  }
-  return;
-}
-
-var LOG = (function () {
-  var winston = require("winston");
-  var logger = winston.Logger({
-    transports: [
-      new winston.transports.File({ filename: 'importer.log' })
-    ]
-  });
-  return winston;
-}());
-
 var QUERY_CACHE_DIR = (function () {
   var dataDir = path.join(__dirname, "data");
   var cache = path.join(__dirname, "data", "cache");
@@ -74,38 +96,459 @@ var QUERY_CACHE_DIR = (function () {
   return cache;
 }());
 
-var DATA_DIR = (function () {
-  var dataDir = path.join(__dirname, "data", currentImporter);
+var CACHE_OPTIONS = {
+  maxSize: parseSize(option("--cache-max-size")),
+  // Pages are revalidated daily, vote documents never change.
+  maxAge: 24 * 60 * 60 * 1000,
+  ttl: [{
+    pattern: /\.pdf$/i,
+    maxAge: -1
+  }]
+};
 
-  if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir);
+/** Runs cache maintenance commands. */
+var cacheCommand = function (command) {
+  var cache = new ogi.FileSystemCache(QUERY_CACHE_DIR, CACHE_OPTIONS);
+  var olderThan;
+
+  switch (command) {
+  case "stats":
+    cache.stats(function (err, stats) {
+      if (err) {
+        return console.log("Error reading cache: " + err);
+      }
+      console.log("Entries: " + stats.entries + " (" + stats.binary +
+        " binary, " + stats.stale + " stale)");
+      console.log("Size: " + stats.size + " bytes" + (stats.maxSize ?
+        " of " + stats.maxSize : ""));
+      if (stats.entries) {
+        console.log("Oldest entry: " + new Date(stats.oldest));
+        console.log("Newest entry: " + new Date(stats.newest));
+      }
+    });
+    break;
+  case "ls":
+    cache.list(function (err, entries) {
+      if (err) {
+        return console.log("Error reading cache: " + err);
+      }
+      entries.forEach(function (entry) {
+        console.log([entry.id, entry.size, new Date(entry.fetchTime)
+          .toISOString(), entry.stale ? "stale" : "fresh",
+          entry.url || "(unknown url)"].join("  "));
+      });
+    });
+    break;
+  case "purge":
+    olderThan = parseDuration(option("--older-than"));
+
+    if (olderThan === null) {
+      return console.log("Usage: cache purge --older-than <age>, for " +
+        "instance 30d, 12h or 15m");
+    }
+    cache.purge(olderThan, function (err, removed) {
+      console.log(err ? "Error purging cache: " + err :
+        "Removed entries: " + removed);
+    });
+    break;
+  case "normalize":
+    cache.normalize(function (err, fixed) {
+      console.log(err ? "Error normalizing cache: " + err :
+        "Fixed entries: " + fixed);
+    });
+    break;
+  case "verify":
+    cache.verify(process.argv.indexOf("--fix") > -1, function (err,
+        problems) {
+      if (err) {
+        return console.log("Error verifying cache: " + err);
+      }
+      problems.forEach(function (problem) {
+        console.log(problem.file + ": " + problem.problem +
+          (problem.url ? " (" + problem.url + ")" : ""));
+      });
+      console.log("Broken entries: " + problems.length);
+    });
+    break;
+  default:
+    console.log("Supported cache commands are:");
+    console.log("   stats");
+    console.log("   ls");
+    console.log("   purge --older-than <age>");
+    console.log("   verify [--fix]");
+    console.log("   normalize");
+  }
+};
+
+var LOG = (function () {
+  var winston = require("winston");
+
+  // Newer winston versions have no default transport.
+  if (winston.createLogger) {
+    winston.add(new winston.transports.Console({
+      format: winston.format.simple()
+    }));
   }
-  return dataDir;
+  return winston;
 }());
 
+var rateLimiter = new ogi.RateLimiter({
+  requestsPerSecond: 2,
+  maxConnections: 4
+});
+var fetcher = option("--fixtures") ?
+  new ogi.FixtureFetcher(path.resolve(option("--fixtures")), {
+    record: process.argv.indexOf("--record") > -1,
+    rateLimiter: rateLimiter
+  }) : new ogi.HttpFetcher({ rateLimiter: rateLimiter });
+
+/** Returns the role of the items of an importer. Importers of different
+ * sources may produce items of the same role, like bills of both chambers. */
+var itemRole = function (role) {
+  return (IMPORTERS[role] && IMPORTERS[role].itemRole) || role;
+};
+
+/** Returns the data directory of an importer, creating it if it doesn't
+ * exist. */
+var dataDir = function (role) {
+  var dir = path.join(__dirname, "data", role);
+
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir);
+  }
+  return dir;
+};
+
+/** Creates the storer that keeps the history of items of an importer. */
+var historyStorer = function (role) {
+  return new ogi.VersioningStorer(path.join(dataDir(role), "history"),
+    extend({ skipUnchanged: true }, IMPORTERS[role].storerOptions));
+};
+
+/** Returns the stages by role of the store pipeline: items are validated
+ * first, then processed by the stages of the --pipeline module if any. */
+var pipelineStages = function (validator) {
+  var custom = option("--pipeline") ?
+    require(path.resolve(option("--pipeline"))) : {};
+  var stages = { "*": [validator.stage()] };
+
+  if (Array.isArray(custom)) {
+    custom = { "*": custom };
+  }
+  Object.keys(custom).forEach(function (role) {
+    stages[role] = (stages[role] || []).concat(custom[role]);
+  });
+  return stages;
+};
+
+/** Creates the importer for the specified role.
+ *
+ * @param {String} role Importer role. Cannot be null.
+ * @param {Object} [options] Additional importer options. Can be null.
+ * @param {Object[]} [options.storers] Storers added to the default ones.
+ */
+var createImporter = function (role, options) {
+  var Importer = IMPORTERS[role];
+  var DATA_DIR = dataDir(role);
+  var validator = new ogi.SchemaValidator({
+    dropInvalid: process.argv.indexOf("--drop-invalid") > -1
+  });
+  var importer = new Importer.Klass(extend({
+    startPage: 0,
+    poolSize: 4,
+    pageSize: 1000,
+    logger: LOG,
+    role: itemRole(role),
+    rateLimiter: rateLimiter,
+    fetcher: fetcher,
+    offline: offline,
+    charset: option("--charset"),
+    fetchText: process.argv.indexOf("--text") > -1,
+    queryCache: new ogi.FileSystemCache(QUERY_CACHE_DIR, extend({
+      rateLimiter: rateLimiter,
+      fetcher: fetcher,
+      offline: offline
+    }, CACHE_OPTIONS)),
+    deadLetterFile: path.join(DATA_DIR, "dead_letters.json"),
+    checkpointFile: path.join(DATA_DIR, "checkpoint.json"),
+    resume: resume,
+    startDate: option("--start-date"),
+    endDate: option("--end-date"),
+    watermarkFile: incremental ? path.join(DATA_DIR, "watermark.json") : null,
+    changeIndexFile: incremental ? path.join(DATA_DIR, "changes.json") : null,
+    pipeline: pipelineStages(validator)
+  }, options, {
+    storers: ((options && options.storers) || []).concat([
+      new ogi.FileSystemStorer(DATA_DIR, extend({
+        append: resume,
+        archiveDir: path.join(DATA_DIR, "runs")
+      }, Importer.storerOptions))
+    ], versions ? [historyStorer(role)] : [], ndjson ? [
+      new ogi.NdjsonStorer(path.join(DATA_DIR, "ndjson"), {
+        gzip: true,
+        append: resume,
+        maxSize: parseSize(option("--ndjson-max-size"))
+      })
+    ] : [], sqlite ? [
+      new ogi.SqliteStorer(path.join(__dirname, "data", "ogov.sqlite"), {
+        skipUnchanged: true
+      })
+    ] : [])
+  }));
+
+  importer.on("end", function () {
+    var report = validator.getReport(itemRole(role));
+
+    new ogi.AtomicFile().writeFileSync(path.join(DATA_DIR, "quality.json"),
+      JSON.stringify(report, null, 2));
+    LOG.info("Data quality report for " + role + ":\n" +
+      validator.format(report));
+  });
+  return importer;
+};
+
+/** Shows the revisions of an item stored with the --versions flag. */
+var historyCommand = function (role, id) {
+  var objectDiff = new ogi.ObjectDiff();
+
+  if (!IMPORTERS[role] || !id) {
+    return console.log("Usage: history <importer> <id>");
+  }
+  historyStorer(role).history(id, function (err, history) {
+    if (err) {
+      return console.log("Error reading history: " + err);
+    }
+    if (!history) {
+      return console.log("There's no history for " + id);
+    }
+    history.revisions.forEach(function (revision) {
+      console.log("Revision " + revision.revision + " (" + revision.date +
+        ")");
+      console.log(revision.changes ? objectDiff.format(revision.changes) :
+        "+ (root): created");
+    });
+  });
+};
+
+/** Reads the items of a bundle file written by the FileSystemStorer. Bundles
+ * of interrupted runs are not closed, so the end mark is optional. */
+var readBundle = function (file) {
+  var content = fs.readFileSync(file).toString().trim()
+    .replace(/,?(\{"done":true\})?\]?$/, "]");
+
+  return JSON.parse(content).filter(function (item) {
+    return !item.done;
+  });
+};
+
+/** Returns the bundle file of a run: either latest, previous, a run id or a
+ * bundle file. */
+var runBundle = function (role, run) {
+  var runsDir = path.join(dataDir(role), "runs");
+  var runs = fs.existsSync(runsDir) ? fs.readdirSync(runsDir).sort() : [];
+  var index = { latest: 1, previous: 2 }[run];
+
+  if (index) {
+    return runs.length >= index ? path.join(runsDir,
+      runs[runs.length - index]) : null;
+  }
+  if (runs.indexOf(run + ".js") > -1) {
+    return path.join(runsDir, run + ".js");
+  }
+  return fs.existsSync(run) ? run : null;
+};
+
+/** Shows the items that changed between two runs of an importer. */
+var diffCommand = function (role, runA, runB) {
+  var runDiff = new ogi.RunDiff(itemRole(role));
+  var fromFile;
+  var toFile;
+  var report;
+
+  if (!IMPORTERS[role]) {
+    return console.log("Usage: diff <importer> [<runA> <runB>] [--json]");
+  }
+  runA = runA || "previous";
+  runB = runB || "latest";
+  fromFile = runBundle(role, runA);
+  toFile = runBundle(role, runB);
+
+  if (!fromFile || !toFile) {
+    return console.log("Run not found: " + (fromFile ? runB : runA) +
+      ". Runs are archived in " + path.join(dataDir(role), "runs"));
+  }
+  report = runDiff.diff(readBundle(fromFile), readBundle(toFile));
+  report.from = path.basename(fromFile, ".js");
+  report.to = path.basename(toFile, ".js");
+
+  if (process.argv.indexOf("--json") > -1) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log("Changes from " + report.from + " to " + report.to);
+    console.log(runDiff.format(report));
+  }
+};
+
+/** Exports the items of a run as CSV files. */
+var exportCommand = function (role, run) {
+  var bundle = IMPORTERS[role] && runBundle(role, run || "latest");
+  var outDir = path.resolve(option("--out") ||
+    path.join(dataDir(role), "csv"));
+  var csvStorer;
+  var items;
+
+  if (!bundle) {
+    return console.log("Usage: export <importer> [<run>] [--out <dir>]");
+  }
+  items = readBundle(bundle);
+  csvStorer = new ogi.CsvStorer(outDir, {
+    role: itemRole(role)
+  });
+  async.eachOfSeries(items, function (item, index, next) {
+    csvStorer.store(String(index), item, itemRole(role), next);
+  }, function (err) {
+    csvStorer.close();
+    csvStorer.wait(function () {
+      console.log(err ? "Error exporting items: " + err :
+        "Exported " + items.length + " items to " + outDir);
+    });
+  });
+};
+
+/** Runs importers periodically as configured in a JSON file like:
+ *
+ * {
+ *   "timeZone": "America/Argentina/Buenos_Aires",
+ *   "historyFile": "data/runs.json",
+ *   "importers": {
+ *     "bills": "0 0 3 * * *",
+ *     "people": "0 30 4 * * 1"
+ *   }
+ * }
+ */
+var daemonCommand = function (configFile) {
+  var config;
+  var role;
+  var scheduler;
+
+  if (!configFile) {
+    return console.log("Usage: daemon <config file>");
+  }
+  config = JSON.parse(fs.readFileSync(configFile).toString());
+
+  for (role in config.importers) {
+    if (config.importers.hasOwnProperty(role) && !IMPORTERS[role]) {
+      return console.log("Importer '" + role + "' does not exist.");
+    }
+  }
+
+  scheduler = new ogi.Scheduler({
+    jobs: config.importers,
+    timeZone: config.timeZone,
+    historyFile: config.historyFile &&
+      path.resolve(path.dirname(configFile), config.historyFile),
+    historySize: config.historySize,
+    shutdownTimeout: config.shutdownTimeout,
+    logger: LOG,
+    runner: function (role, callback) {
+      var importer = createImporter(role, {
+        handleSignals: false
+      });
+
+      importer.start(null, callback);
+
+      return importer;
+    }
+  });
+
+  try {
+    scheduler.start();
+  } catch (err) {
+    return console.log(err.message);
+  }
+  LOG.info("Scheduler started. Process PID: " + process.pid);
+};
+
+if (currentImporter === "cache") {
+  return cacheCommand(process.argv[3]);
+}
+if (currentImporter === "daemon") {
+  return daemonCommand(process.argv[3]);
+}
+if (currentImporter === "history") {
+  return historyCommand(process.argv[3], process.argv[4]);
+}
+if (currentImporter === "export") {
+  return exportCommand(process.argv[3], process.argv[4] !== "--out" &&
+    process.argv[4]);
+}
+if (currentImporter === "diff") {
+  return diffCommand(process.argv[3], process.argv[4] !== "--json" &&
+    process.argv[4], process.argv[5] !== "--json" && process.argv[5]);
+}
+
+if (!IMPORTERS[currentImporter]) {
+  if (currentImporter) {
+    console.log("Importer '" + currentImporter + "' does not exist. " +
+      "Supported importers are:");
+  } else {
+    console.log("Importer not specified. Supported importers are:");
+  }
+
+  for (var property in IMPORTERS) {
+    console.log("   " + property);
+  }
+  console.log("Cache maintenance: cache stats|ls|purge|verify|normalize");
+  console.log("Scheduled imports: daemon <config file>");
+  console.log("Item history: history <importer> <id>");
+  console.log("Changes between runs: diff <importer> [<runA> <runB>] " +
+    "[--json]");
+  console.log("CSV export: export <importer> [<run>] [--out <dir>]");
+  return;
+}
+
 var inMemoryStorer = new ogi.InMemoryStorer();
-var importer = new Importer.Klass({
-  startPage: 0,
-  poolSize: 4,
-  pageSize: 1000,
-  logger: LOG,
-  role: currentImporter,
-  queryCache: new ogi.FileSystemCache(QUERY_CACHE_DIR),
-  storers: [
-    inMemoryStorer,
-    new ogi.FileSystemStorer(DATA_DIR, Importer.storerOptions)
-  ]
+var importer = createImporter(currentImporter, {
+  storers: [inMemoryStorer]
 });
 
 LOG.info("Process PID: " + process.pid);
-LOG.info("Storing data to: " + DATA_DIR);
+
+if (process.argv.indexOf("--retry-dead-letters") > -1) {
+  LOG.info("Retrying " + importer.getDeadLetters().length + " failed requests");
+
+  importer.retryDeadLetters(function (err, fetched) {
+    console.log("Fetched requests: " + fetched.length,
+      "Still failing: " + importer.getDeadLetters().filter(function (item) {
+        return !item.refetched;
+      }).length);
+  });
+  return;
+}
+
+LOG.info("Storing data to: " + dataDir(currentImporter));
 
 var start = new Date().getTime();
 
-importer.start(function (err, terminated) {
+importer.on("task:done", function () {
   console.log("Imported items: " + inMemoryStorer.getNumberOfItems(),
-    "Elapsed time: " + ((new Date().getTime() - start)) / 1000) + " secs.";
-  if (terminated) {
-    console.log("Import process finished.");
+    "Elapsed time: " + ((new Date().getTime() - start) / 1000) + " secs.");
+});
+
+importer.start(null, function (err, summary) {
+  console.log("Imported items: " + summary.items,
+    "Unchanged items: " + summary.unchanged,
+    "Dropped items: " + summary.dropped,
+    "Failed tasks: " + summary.failed,
+    "Elapsed time: " + (summary.elapsed / 1000) + " secs.");
+  if (offline) {
+    console.log("Urls missing from the cache: " + summary.missing.length);
+    summary.missing.forEach(function (url) {
+      console.log("   " + url);
+    });
+  }
+  if (err) {
+    return console.log("Import process aborted: " + err.message);
   }
+  console.log("Import process finished.");
 });
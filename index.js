@@ -1,10 +1,29 @@
 module.exports = {
   InMemoryStorer: require("./lib/InMemoryStorer"),
   FileSystemStorer: require("./lib/FileSystemStorer"),
+  VersioningStorer: require("./lib/VersioningStorer"),
+  NdjsonStorer: require("./lib/NdjsonStorer"),
+  NdjsonReader: require("./lib/NdjsonReader"),
+  CsvStorer: require("./lib/CsvStorer"),
+  SqliteStorer: require("./lib/SqliteStorer"),
   FileSystemCache: require("./lib/FileSystemCache"),
+  RateLimiter: require("./lib/RateLimiter"),
+  HttpFetcher: require("./lib/HttpFetcher"),
+  FixtureFetcher: require("./lib/FixtureFetcher"),
+  ObjectDiff: require("./lib/ObjectDiff"),
+  RunDiff: require("./lib/RunDiff"),
+  StorerQuery: require("./lib/StorerQuery"),
+  StorePipeline: require("./lib/StorePipeline"),
+  PipelineStages: require("./lib/PipelineStages"),
+  SchemaValidator: require("./lib/SchemaValidator"),
+  CharsetDecoder: require("./lib/CharsetDecoder"),
+  AtomicFile: require("./lib/AtomicFile"),
+  Scheduler: require("./lib/Scheduler"),
   BillImporter: require("./lib/bill/BillImporter"),
+  SenateBillImporter: require("./lib/bill/SenateBillImporter"),
   CommitteeImporter: require("./lib/committee/CommitteeImporter"),
   PeopleImporter: require("./lib/people/PeopleImporter"),
   VoteImporter: require("./lib/vote/VoteImporter"),
+  SenateVoteImporter: require("./lib/vote/SenateVoteImporter"),
   EventsImporter: require("./lib/events/EventsImporter")
 };
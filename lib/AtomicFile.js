@@ -0,0 +1,139 @@
+/** Writes files atomically. Data is written to a temporary file in the same
+ * directory and it is renamed to the final file when it is complete, so a
+ * crash never leaves a partial file in place.
+ *
+ * @constructor
+ */
+module.exports = function AtomicFile() {
+
+  /** Node's FileSystem API.
+   * @type {Object}
+   * @private
+   * @fieldOf AtomicFile#
+   */
+  var fs = require("fs");
+
+  /** Number of temporary files created by this process, used to generate
+   * unique names.
+   * @type {Number}
+   * @private
+   * @fieldOf AtomicFile#
+   */
+  var counter = 0;
+
+  /** Generates a temporary file name for the specified file.
+   * @param {String} file Final file. Cannot be null or empty.
+   * @return {String} A unique temporary file in the same directory, never
+   *    null.
+   * @private
+   * @methodOf AtomicFile#
+   */
+  var tempFileOf = function (file) {
+    counter += 1;
+    return file + ".tmp-" + process.pid + "-" + counter;
+  };
+
+  /** Removes the specified file ignoring errors.
+   * @param {String} file File to remove. Cannot be null.
+   * @private
+   * @methodOf AtomicFile#
+   */
+  var removeQuietly = function (file) {
+    try {
+      fs.unlinkSync(file);
+    } catch (err) {
+      // Already removed.
+    }
+  };
+
+  return {
+
+    /** Writes the specified data into a file.
+     *
+     * @param {String} file File to write. Cannot be null or empty.
+     * @param {String|Buffer} data Data to write. Cannot be null.
+     */
+    writeFileSync: function (file, data) {
+      var tempFile = tempFileOf(file);
+
+      try {
+        fs.writeFileSync(tempFile, data);
+        fs.renameSync(tempFile, file);
+      } catch (err) {
+        removeQuietly(tempFile);
+        throw err;
+      }
+    },
+
+    /** Copies a file without reading it into memory.
+     *
+     * @param {String} source File to copy. Cannot be null or empty.
+     * @param {String} file File to write. Cannot be null or empty.
+     * @param {Function} callback Invoked when the file is copied. It takes an
+     *    error as parameter. Cannot be null.
+     */
+    copyFile: function (source, file, callback) {
+      var tempFile = tempFileOf(file);
+
+      fs.copyFile(source, tempFile, function (err) {
+        if (err) {
+          removeQuietly(tempFile);
+          return callback(err);
+        }
+        fs.rename(tempFile, file, function (err) {
+          if (err) {
+            removeQuietly(tempFile);
+          }
+          callback(err || null);
+        });
+      });
+    },
+
+    /** Creates a write stream for the specified file. The stream writes into a
+     * temporary file until it is committed. It is not ended by piped streams,
+     * it must be either committed or aborted.
+     *
+     * The stream has two additional methods: <code>commit(callback)</code>
+     * ends the stream and renames the temporary file to the final file, and
+     * <code>abort()</code> ends the stream and removes the temporary file.
+     *
+     * @param {String} file File to write. Cannot be null or empty.
+     * @return {Stream} A write stream, never null.
+     */
+    createWriteStream: function (file) {
+      var tempFile = tempFileOf(file);
+      var stream = fs.createWriteStream(tempFile);
+      var closed = false;
+
+      stream.commit = function (callback) {
+        if (closed) {
+          return callback(new Error("Stream already closed: " + file));
+        }
+        closed = true;
+        stream.once("error", function (err) {
+          removeQuietly(tempFile);
+          callback(err);
+        });
+        stream.end(function () {
+          fs.rename(tempFile, file, function (err) {
+            if (err) {
+              removeQuietly(tempFile);
+            }
+            callback(err || null);
+          });
+        });
+      };
+      stream.abort = function () {
+        if (!closed) {
+          closed = true;
+          stream.end(function () {
+            removeQuietly(tempFile);
+          });
+        }
+      };
+      stream.tempFile = tempFile;
+
+      return stream;
+    }
+  };
+};
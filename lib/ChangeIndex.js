@@ -0,0 +1,103 @@
+/** Keeps a hash of the last stored version of each item, so importers can
+ * detect whether an item changed since the previous import process.
+ *
+ * @param {String} [indexFile] File to persist the index between import
+ *    processes. If it is null, the index lives only in memory.
+ * @constructor
+ */
+module.exports = function ChangeIndex(indexFile) {
+
+  /** Node's FileSystem API.
+   * @type {Object}
+   * @private
+   * @fieldOf ChangeIndex#
+   */
+  var fs = require("fs");
+
+  /** Node's crypto API.
+   * @type {Object}
+   * @private
+   * @fieldOf ChangeIndex#
+   */
+  var crypto = require("crypto");
+
+  /** Utility to write files atomically.
+   * @type {AtomicFile}
+   * @private
+   * @fieldOf ChangeIndex#
+   */
+  var atomicFile = new (require("./AtomicFile"))();
+
+  /** Item hashes by id.
+   * @type {Object}
+   * @private
+   * @fieldOf ChangeIndex#
+   */
+  var hashes = (function () {
+    if (indexFile && fs.existsSync(indexFile)) {
+      return JSON.parse(fs.readFileSync(indexFile).toString());
+    }
+    return {};
+  }());
+
+  /** Indicates whether the index changed since it was saved.
+   * @type Boolean
+   * @private
+   * @fieldOf ChangeIndex#
+   */
+  var dirty = false;
+
+  return {
+
+    /** Calculates the hash of an item.
+     *
+     * @param {Object} data Item to hash. Cannot be null.
+     * @return {String} The SHA-1 hash of the item JSON, never null.
+     */
+    hash: function (data) {
+      return crypto.createHash("sha1").update(JSON.stringify(data))
+        .digest("hex");
+    },
+
+    /** Indicates whether an item is different from its recorded version.
+     *
+     * @param {String} id Item id. Cannot be null or empty.
+     * @param {String} hash Hash of the current version of the item. Cannot be
+     *    null.
+     * @return {Boolean} True if the item is new or it changed, false
+     *    otherwise.
+     */
+    changed: function (id, hash) {
+      return hashes[id] !== hash;
+    },
+
+    /** Records the current version of an item.
+     *
+     * @param {String} id Item id. Cannot be null or empty.
+     * @param {String} hash Hash of the current version of the item. Cannot be
+     *    null.
+     */
+    put: function (id, hash) {
+      if (hashes[id] !== hash) {
+        hashes[id] = hash;
+        dirty = true;
+      }
+    },
+
+    /** Returns the number of items in the index.
+     * @return {Number} The number of items, never null.
+     */
+    size: function () {
+      return Object.keys(hashes).length;
+    },
+
+    /** Saves the index into the index file, if it changed.
+     */
+    save: function () {
+      if (indexFile && dirty) {
+        atomicFile.writeFileSync(indexFile, JSON.stringify(hashes));
+        dirty = false;
+      }
+    }
+  };
+};
@@ -0,0 +1,160 @@
+/** Decodes HTTP responses into text according to their charset, and fixes
+ * text that was decoded with the wrong charset (mojibake).
+ *
+ * The charset is resolved from the <code>Content-Type</code> header, or from
+ * the <code>&lt;meta charset&gt;</code> tag if the header doesn't specify it.
+ * If no charset is declared and the document is not valid UTF-8, it falls back
+ * to windows-1252, which is a superset of ISO-8859-1.
+ *
+ * @constructor
+ */
+module.exports = function CharsetDecoder() {
+
+  /** Charset used when a document is not valid UTF-8 and doesn't declare its
+   * charset.
+   * @type String
+   * @constant
+   * @private
+   * @fieldOf CharsetDecoder#
+   */
+  var FALLBACK_CHARSET = "windows-1252";
+
+  /** Number of bytes inspected to look for the meta charset tag.
+   * @type Number
+   * @constant
+   * @private
+   * @fieldOf CharsetDecoder#
+   */
+  var SNIFF_SIZE = 2048;
+
+  /** Matches the charset in a Content-Type header.
+   * @type RegExp
+   * @constant
+   * @private
+   * @fieldOf CharsetDecoder#
+   */
+  var CONTENT_TYPE_EXPR = /charset\s*=\s*["']?([\w\-:]+)/i;
+
+  /** Matches both &lt;meta charset="..."&gt; and &lt;meta http-equiv=
+   * "Content-Type" content="text/html; charset=..."&gt;.
+   * @type RegExp
+   * @constant
+   * @private
+   * @fieldOf CharsetDecoder#
+   */
+  var META_EXPR = /<meta[^>]+charset\s*=\s*["']?([\w\-:]+)/i;
+
+  /** Matches runs of characters that look like UTF-8 bytes decoded as
+   * windows-1252: a lead byte followed by continuation bytes.
+   * @type RegExp
+   * @constant
+   * @private
+   * @fieldOf CharsetDecoder#
+   */
+  var MOJIBAKE_EXPR = new RegExp("[\\u00C2-\\u00F4][\\u0080-\\u00BF" +
+    "\\u0152\\u0153\\u0160\\u0161\\u0178\\u017D\\u017E\\u0192\\u02C6" +
+    "\\u02DC\\u2013\\u2014\\u2018-\\u201A\\u201C-\\u201E\\u2020-\\u2022" +
+    "\\u2026\\u2030\\u2039\\u203A\\u20AC\\u2122]+", "g");
+
+  /** Character encoding conversion library.
+   * @type {Object}
+   * @private
+   * @fieldOf CharsetDecoder#
+   */
+  var iconv = require("iconv-lite");
+
+  /** Normalizes a charset name. ISO-8859-1 is decoded as windows-1252, as
+   * browsers do.
+   * @param {String} charset Charset to normalize. Can be null.
+   * @return {String} A supported charset, or null if it isn't supported.
+   * @private
+   * @methodOf CharsetDecoder#
+   */
+  var normalize = function (charset) {
+    var name = charset && charset.toLowerCase();
+
+    if (name === "iso-8859-1" || name === "latin1" || name === "us-ascii") {
+      name = FALLBACK_CHARSET;
+    }
+    return (name && iconv.encodingExists(name)) ? name : null;
+  };
+
+  /** Resolves the charset declared by a document.
+   * @param {Buffer} buffer Document content. Cannot be null.
+   * @param {String} [contentType] Content-Type header. Can be null.
+   * @return {String} The declared charset, or null if there's no valid charset
+   *    declaration.
+   * @private
+   * @methodOf CharsetDecoder#
+   */
+  var detect = function (buffer, contentType) {
+    var match = CONTENT_TYPE_EXPR.exec(contentType || "");
+
+    if (match && normalize(match[1])) {
+      return normalize(match[1]);
+    }
+    match = META_EXPR.exec(buffer.toString("ascii", 0,
+      Math.min(buffer.length, SNIFF_SIZE)));
+
+    return match ? normalize(match[1]) : null;
+  };
+
+  return {
+
+    /** Decodes the specified content into text.
+     *
+     * @param {Buffer|String} content Content to decode. If it is already a
+     *    String it is returned as it is. Cannot be null.
+     * @param {String} [contentType] Content-Type header of the response. Can
+     *    be null.
+     * @param {String} [charset] Charset that overrides the declared one. Can
+     *    be null.
+     * @return {String} The decoded text, never null.
+     */
+    decode: function (content, contentType, charset) {
+      var resolvedCharset;
+      var text;
+
+      if (typeof content === "string") {
+        return content;
+      }
+      resolvedCharset = normalize(charset) || detect(content, contentType);
+
+      if (resolvedCharset) {
+        return iconv.decode(content, resolvedCharset);
+      }
+      text = iconv.decode(content, "utf-8");
+
+      if (text.indexOf("\uFFFD") > -1) {
+        text = iconv.decode(content, FALLBACK_CHARSET);
+      }
+      return text;
+    },
+
+    /** Returns the charset used to decode the specified content.
+     *
+     * @param {Buffer} content Content to inspect. Cannot be null.
+     * @param {String} [contentType] Content-Type header of the response. Can
+     *    be null.
+     * @return {String} The declared charset, or null if it isn't declared.
+     */
+    detect: function (content, contentType) {
+      return detect(content, contentType);
+    },
+
+    /** Fixes UTF-8 text that was decoded as windows-1252, for instance "Ã±"
+     * instead of "ñ". Text that is already valid is not modified.
+     *
+     * @param {String} text Text to fix. Cannot be null.
+     * @return {String} The fixed text, never null.
+     */
+    fixMojibake: function (text) {
+      return text.replace(MOJIBAKE_EXPR, function (chunk) {
+        var fixed = iconv.decode(iconv.encode(chunk, FALLBACK_CHARSET),
+          "utf-8");
+
+        return (fixed.indexOf("\uFFFD") === -1) ? fixed : chunk;
+      });
+    }
+  };
+};
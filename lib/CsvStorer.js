@@ -0,0 +1,350 @@
+/** Storer that exports items as CSV files for spreadsheets. Nested lists are
+ * flattened into related tables that have the key of the parent item, for
+ * instance bill subscribers are written to <code>bill_subscribers.csv</code>
+ * with the bill file as the first column.
+ *
+ * It also writes a <code>manifest.json</code> file that describes each
+ * table: its file, the parent table, the key to join both tables, and the
+ * columns with the path of the value in the original item.
+ *
+ * Items of roles without tables are written into a single table with the
+ * item id and the item as JSON.
+ *
+ * @param {String} dataDir Directory to write CSV files. Cannot be null.
+ * @param {Object} [options] Storer configuration. Can be null.
+ * @param {String} [options.role] Role of the exported items. Default is the
+ *    role of each stored item.
+ * @constructor
+ */
+module.exports = function CsvStorer(dataDir, options) {
+
+  /** Tables of each role. The first table has one row per item, the other
+   * tables have one row per entry of the <code>list</code> field and the
+   * <code>key</code> of the item in the <code>foreignKey</code> column. Columns
+   * are either a field name or an object with the column <code>name</code>
+   * and the <code>path</code> of the value. The path of list entries that are
+   * not objects is ".".
+   * @type Object
+   * @constant
+   * @private
+   * @fieldOf CsvStorer#
+   */
+  var TABLES = {
+    bills: [{
+      name: "bills",
+      key: "file",
+      foreignKey: "bill_file",
+      columns: ["file", "type", "source", "publishedOn", "creationTime",
+        "summary", "revisionChamber", "revisionFile", "textUrl"]
+    }, {
+      name: "bill_subscribers",
+      list: "subscribers",
+      columns: ["name", "party", "province"]
+    }, {
+      name: "bill_committees",
+      list: "committees",
+      columns: [{ name: "committee", path: "." }]
+    }, {
+      name: "bill_dictums",
+      list: "dictums",
+      columns: ["file", "source", "orderPaper", "date", "result", "url"]
+    }, {
+      name: "bill_procedures",
+      list: "procedures",
+      columns: ["file", "source", "topic", "date", "result"]
+    }],
+    vote: [{
+      name: "vote_documents",
+      key: "id",
+      foreignKey: "vote_document_id",
+      columns: ["id", "file", "description", "url", "orderPaper", "document",
+        "version", "date", "hour",
+        { name: "majorityBase", path: "summary.majorityBase" },
+        { name: "majorityType", path: "summary.majorityType" },
+        { name: "quorum", path: "summary.quorum" },
+        { name: "present", path: "summary.present.total" },
+        { name: "absent", path: "summary.absent" },
+        { name: "affirmative", path: "summary.affirmative.total" },
+        { name: "negative", path: "summary.negative.total" },
+        { name: "abstention", path: "summary.abstention.total" },
+        { name: "referencedFiles", path: "references.files" }]
+    }, {
+      name: "votes",
+      list: "votes",
+      columns: ["name", "party", "province", "vote"]
+    }],
+    committees: [{
+      name: "committees",
+      key: "name",
+      foreignKey: "committee_name",
+      columns: ["name", "type", "url", "location", "secretary", "chief",
+        "meetings", "phones"]
+    }, {
+      name: "committee_members",
+      list: "members",
+      columns: ["name", "position", "district", "block"]
+    }],
+    people: [{
+      name: "people",
+      key: "user",
+      foreignKey: "person_user",
+      columns: ["user", "name", "role", "party", "district", "start", "end",
+        "email", "pictureUrl"]
+    }, {
+      name: "people_committees",
+      list: "committees",
+      columns: ["id", "name", "position"]
+    }]
+  };
+
+  /** Node's FileSystem API.
+   * @type {Object}
+   * @private
+   * @fieldOf CsvStorer#
+   */
+  var fs = require("fs");
+
+  /** Node's Path API.
+   * @type {Object}
+   * @private
+   * @fieldOf CsvStorer#
+   */
+  var path = require("path");
+
+  /** Utility to write files atomically.
+   * @type {AtomicFile}
+   * @private
+   * @fieldOf CsvStorer#
+   */
+  var atomicFile = new (require("./AtomicFile"))();
+
+  /** Manages background operations.
+   * @type {BackgroundOperation}
+   * @private
+   * @fieldOf CsvStorer#
+   */
+  var backgroundOperation = new (require("./BackgroundOperation"))();
+
+  /** Open CSV files by table name.
+   * @type {Object}
+   * @private
+   * @fieldOf CsvStorer#
+   */
+  var files = {};
+
+  /** Description of written tables, in the order they were created.
+   * @type {Object[]}
+   * @private
+   * @fieldOf CsvStorer#
+   */
+  var manifest = [];
+
+  /** Returns the tables of the specified role.
+   * @param {String} role Role of the items. Can be null.
+   * @return {Object[]} The list of tables, never null.
+   * @private
+   * @methodOf CsvStorer#
+   */
+  var tablesOf = function (role) {
+    var name = role || "items";
+
+    return TABLES[name] || [{
+      name: name,
+      columns: [{ name: "id", path: "(id)" }, { name: "data", path: "." }]
+    }];
+  };
+
+  /** Returns the column names and value paths of a table. Child tables
+   * start with the key of the parent item.
+   * @param {Object} table Table to read columns. Cannot be null.
+   * @param {Object} parent Parent table, or null for item tables.
+   * @return {Object[]} The columns, each one with a <code>name</code> and a
+   *    <code>path</code>. Never null.
+   * @private
+   * @methodOf CsvStorer#
+   */
+  var columnsOf = function (table, parent) {
+    var columns = table.columns.map(function (column) {
+      if (typeof column === "string") {
+        return { name: column, path: column };
+      }
+      return column;
+    });
+
+    if (parent) {
+      columns.unshift({
+        name: parent.foreignKey,
+        path: "(parent)." + parent.key
+      });
+    }
+    return columns;
+  };
+
+  /** Reads a value from an object.
+   * @param {Object} object Object to read. Cannot be null.
+   * @param {String} valuePath Value path, like <code>summary.quorum</code>.
+   *    "." is the object itself. Cannot be null.
+   * @return {Object} The value, or null if it doesn't exist.
+   * @private
+   * @methodOf CsvStorer#
+   */
+  var valueOf = function (object, valuePath) {
+    if (valuePath === ".") {
+      return object;
+    }
+    return valuePath.split(".").reduce(function (value, field) {
+      return (value === null || value === undefined) ? null : value[field];
+    }, object);
+  };
+
+  /** Formats a value as a CSV field. Lists of strings are joined by commas
+   * and other objects are written as JSON.
+   * @param {Object} value Value to format. Can be null.
+   * @return {String} The CSV field, never null.
+   * @private
+   * @methodOf CsvStorer#
+   */
+  var formatField = function (value) {
+    var field;
+
+    if (value === null || value === undefined) {
+      return "";
+    }
+    if (Array.isArray(value) && value.every(function (entry) {
+        return typeof entry === "string";
+      })) {
+      field = value.join(", ");
+    } else if (typeof value === "object") {
+      field = JSON.stringify(value);
+    } else {
+      field = String(value);
+    }
+    if (/[",\r\n]/.test(field)) {
+      field = "\"" + field.replace(/"/g, "\"\"") + "\"";
+    }
+    return field;
+  };
+
+  /** Returns the open file of a table, creating it if required.
+   * @param {Object} table Table to write. Cannot be null.
+   * @param {Object} parent Parent table, or null for item tables.
+   * @return {Object} The file <code>stream</code> and the table
+   *    <code>columns</code>, never null.
+   * @private
+   * @methodOf CsvStorer#
+   */
+  var fileOf = function (table, parent) {
+    var columns;
+    var stream;
+
+    if (!files[table.name]) {
+      columns = columnsOf(table, parent);
+      stream = fs.createWriteStream(path.join(dataDir, table.name + ".csv"));
+
+      // The byte order mark makes spreadsheets read files as UTF-8.
+      stream.write("\ufeff" + columns.map(function (column) {
+        return formatField(column.name);
+      }).join(",") + "\r\n");
+
+      backgroundOperation.start();
+      stream.on("close", backgroundOperation.end);
+
+      files[table.name] = {
+        stream: stream,
+        columns: columns
+      };
+      manifest.push({
+        name: table.name,
+        file: table.name + ".csv",
+        parent: parent ? parent.name : null,
+        key: parent ? columns[0].name : (table.key || null),
+        source: table.list || null,
+        columns: columns
+      });
+    }
+    return files[table.name];
+  };
+
+  /** Writes a row into a table.
+   * @param {Object} file Table file. Cannot be null.
+   * @param {Object} entry Entry to write. Cannot be null.
+   * @param {Object} context Values referenced by columns, the
+   *    <code>id</code> and the <code>parent</code> item. Cannot be null.
+   * @private
+   * @methodOf CsvStorer#
+   */
+  var writeRow = function (file, entry, context) {
+    file.stream.write(file.columns.map(function (column) {
+      if (column.path === "(id)") {
+        return formatField(context.id);
+      }
+      if (column.path.indexOf("(parent).") === 0) {
+        return formatField(valueOf(context.parent,
+          column.path.substr("(parent).".length)));
+      }
+      return formatField(valueOf(entry, column.path));
+    }).join(",") + "\r\n");
+  };
+
+  (function __constructor() {
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir);
+    }
+  }());
+
+  return {
+
+    /** Writes the item and its lists into the role tables.
+     *
+     * @param {String} id Unique id to identify this data. Cannot be null or
+     *    empty.
+     * @param {Object} data Object having the data to store. Cannot be null.
+     * @param {String} role Role of the specified data. Can be null.
+     * @param {Function} callback Callback invoked when the data is already
+     *    saved. Cannot be null.
+     */
+    store: function (id, data, role, callback) {
+      var tables = tablesOf((options && options.role) || role);
+      var item = JSON.parse(JSON.stringify(data));
+      var context = {
+        id: id,
+        parent: item
+      };
+
+      tables.forEach(function (table, index) {
+        var parent = index > 0 ? tables[0] : null;
+        var file = fileOf(table, parent);
+
+        if (!table.list) {
+          return writeRow(file, item, context);
+        }
+        (item[table.list] || []).forEach(function (entry) {
+          writeRow(file, entry, context);
+        });
+      });
+      setImmediate(callback);
+    },
+
+    /** Closes CSV files and writes the manifest.
+     */
+    close: function () {
+      Object.keys(files).forEach(function (name) {
+        files[name].stream.end();
+      });
+      files = {};
+
+      atomicFile.writeFileSync(path.join(dataDir, "manifest.json"),
+        JSON.stringify({
+          date: new Date().toISOString(),
+          tables: manifest
+        }, null, 2));
+    },
+
+    /** Waits until all files are closed.
+     *
+     * @param {Function} callback Invoked when there is no pending operations.
+     *    Cannot be null.
+     */
+    wait: backgroundOperation.wait
+  };
+};
@@ -1,12 +1,43 @@
 /** Query cache that stores results in the file system. Write operations are
  * made in background in order to increase performance.
  *
+ * Each entry has metadata with the url, the fetch time, the HTTP status and
+ * the ETag and Last-Modified headers. Entries expire according to TTL rules by
+ * url pattern. Expired entries are revalidated using conditional requests
+ * when they are read.
+ *
+ * The cache size can be limited. When the limit is exceeded, least recently
+ * used entries are evicted.
+ *
+ * Entries are written atomically, so a crash never leaves partial entries.
+ * Failed downloads and HTTP error responses are never cached.
+ *
+ * Text entries are stored as UTF-8. Revalidated entries are decoded according
+ * to the charset declared by the response, unless the entry metadata has a
+ * <code>charset</code> that overrides it.
  *
  * @param {String} cacheDir Directory to store cache entries. Cannot be null or
  *    empty.
+ * @param {Object} [options] Cache configuration. Can be null.
+ * @param {RateLimiter} [options.rateLimiter] Limiter for requests made to
+ *    fetch entries. It should be shared with importers. If it is not
+ *    specified, a new limiter is created using these options.
+ * @param {Object} [options.fetcher] Fetcher used to retrieve entries. Default
+ *    is an <code>HttpFetcher</code> that uses the rate limiter.
+ * @param {Boolean} [options.offline] Indicates whether the cache must never
+ *    fetch entries from the network. Default is false.
+ * @param {Object[]} [options.ttl] TTL rules. Each rule has a
+ *    <code>pattern</code> (RegExp or String) that matches entry urls and the
+ *    <code>maxAge</code> in milliseconds for matching entries. A negative
+ *    <code>maxAge</code> means entries never expire. The first matching rule
+ *    is used.
+ * @param {Number} [options.maxAge] Max age in milliseconds for entries that
+ *    don't match any TTL rule. Default is -1, entries never expire.
+ * @param {Number} [options.maxSize] Maximum size of the cache, in bytes.
+ *    Default is 0, which means the size is not limited.
  * @constructor
  */
-module.exports = function FileSystemCache(cacheDir) {
+module.exports = function FileSystemCache(cacheDir, options) {
 
   /** Suffix for store binary streams.
    * @constant
@@ -15,6 +46,62 @@ module.exports = function FileSystemCache(cacheDir) {
    */
   var STREAM_SUFFIX = ".bin";
 
+  /** Suffix for entries metadata.
+   * @constant
+   * @private
+   * @fieldOf FileSystemCache#
+   */
+  var META_SUFFIX = ".meta";
+
+  /** Maximum size of the cache in bytes, 0 means no limit.
+   * @type Number
+   * @constant
+   * @private
+   * @fieldOf FileSystemCache#
+   */
+  var MAX_SIZE = options && options.maxSize || 0;
+
+  /** Ratio of the maximum size the cache is reduced to when it evicts
+   * entries, so eviction doesn't run on every write.
+   * @type Number
+   * @constant
+   * @private
+   * @fieldOf FileSystemCache#
+   */
+  var EVICTION_RATIO = 0.9;
+
+  /** Expression that matches cache files, capturing the key id and the
+   * suffix.
+   * @type RegExp
+   * @constant
+   * @private
+   * @fieldOf FileSystemCache#
+   */
+  var ENTRY_FILE_EXPR = /^([0-9a-f]{40})(\.\w+)?$/;
+
+  /** Max age for entries that don't match any TTL rule.
+   * @type Number
+   * @constant
+   * @private
+   * @fieldOf FileSystemCache#
+   */
+  var DEFAULT_MAX_AGE = (options && options.maxAge !== undefined) ?
+    options.maxAge : -1;
+
+  /** TTL rules by url pattern.
+   * @type Object[]
+   * @constant
+   * @private
+   * @fieldOf FileSystemCache#
+   */
+  var TTL_RULES = (options && options.ttl || []).map(function (rule) {
+    return {
+      pattern: (rule.pattern instanceof RegExp) ? rule.pattern :
+        new RegExp(rule.pattern),
+      maxAge: rule.maxAge
+    };
+  });
+
   /** Manages background operations.
    * @type {Function}
    * @private
@@ -22,6 +109,20 @@ module.exports = function FileSystemCache(cacheDir) {
    */
   var BackgroundOperation = require("./BackgroundOperation");
 
+  /** Utility to write files atomically.
+   * @type {AtomicFile}
+   * @private
+   * @fieldOf FileSystemCache#
+   */
+  var atomicFile = new (require("./AtomicFile"))();
+
+  /** Decodes responses according to their charset.
+   * @type {CharsetDecoder}
+   * @private
+   * @fieldOf FileSystemCache#
+   */
+  var charsetDecoder = new (require("./CharsetDecoder"))();
+
   /** NodeJS crypto API.
    * @type {Object}
    * @private
@@ -43,12 +144,59 @@ module.exports = function FileSystemCache(cacheDir) {
    */
   var path = require("path");
 
-  /** Simple HTTP client for node.
+  /** Limits requests to each host.
    * @type {Function}
    * @private
    * @fieldOf FileSystemCache#
    */
-  var request = require("request");
+  var RateLimiter = require("./RateLimiter");
+
+  /** Limiter for requests made to fetch entries.
+   * @type {RateLimiter}
+   * @private
+   * @fieldOf FileSystemCache#
+   */
+  var rateLimiter = options && options.rateLimiter ||
+    new RateLimiter(options);
+
+  /** Fetcher used to retrieve entries. Default fetcher performs HTTP requests
+   * limited by the rate limiter.
+   * @type {Object}
+   * @private
+   * @fieldOf FileSystemCache#
+   */
+  var fetcher = options && options.fetcher ||
+    new (require("./HttpFetcher"))({ rateLimiter: rateLimiter });
+
+  /** Indicates whether the cache must never fetch entries from the network.
+   * @type Boolean
+   * @constant
+   * @private
+   * @fieldOf FileSystemCache#
+   */
+  var OFFLINE = !!(options && options.offline);
+
+  /** Utility to extend objects.
+   * @type {Function}
+   * @private
+   * @fieldOf FileSystemCache#
+   */
+  var extend = require("extend");
+
+  /** Keys that were requested but didn't exist in the cache.
+   * @type {Object[]}
+   * @private
+   * @fieldOf FileSystemCache#
+   */
+  var misses = [];
+
+  /** Current size of the cache in bytes, or -1 if it wasn't calculated yet.
+   * It is an approximation, eviction calculates the real size.
+   * @type {Number}
+   * @private
+   * @fieldOf FileSystemCache#
+   */
+  var totalSize = -1;
 
   /** Manages cache background operations.
    * @type {BackgroundOperation}
@@ -73,46 +221,523 @@ module.exports = function FileSystemCache(cacheDir) {
     return sha.digest("hex");
   };
 
+  /** Creates the error for a key that doesn't exist in the cache.
+   * @param {Object} key Missing key. Cannot be null.
+   * @return {Error} An error with the <code>ECACHEMISS</code> code, never
+   *    null.
+   * @private
+   * @methodOf FileSystemCache#
+   */
+  var cacheMiss = function (key) {
+    var keyId = JSON.stringify(key);
+
+    if (misses.map(JSON.stringify).indexOf(keyId) === -1) {
+      misses.push(key);
+    }
+    return extend(new Error("Entry not found in cache: " + keyId), {
+      code: "ECACHEMISS",
+      key: key
+    });
+  };
+
+  /** Returns the url for the specified key.
+   * @param {Object} key Entry key, either an url or request options. Cannot
+   *    be null.
+   * @return {String} The url, never null.
+   * @private
+   * @methodOf FileSystemCache#
+   */
+  var urlOf = function (key) {
+    return (typeof key === "string") ? key : String(key.uri || key.url);
+  };
+
+  /** Creates the metadata for an entry.
+   * @param {Object} key Entry key. Cannot be null.
+   * @param {Object} [response] HTTP response the entry was read from. Can be
+   *    null.
+   * @return {Object} The entry metadata, never null.
+   * @private
+   * @methodOf FileSystemCache#
+   */
+  var createMetadata = function (key, response) {
+    var headers = (response && response.headers) || {};
+
+    return {
+      key: key,
+      url: urlOf(key),
+      fetchTime: Date.now(),
+      status: (response && response.statusCode) || 200,
+      etag: headers.etag || null,
+      lastModified: headers["last-modified"] || null,
+      contentType: headers["content-type"] || null,
+      contentLength: headers["content-length"] ?
+        parseInt(headers["content-length"], 10) : null
+    };
+  };
+
+  /** Reads the metadata of an entry. Entries created before metadata was
+   * supported take the file modification time as fetch time.
+   *
+   * @param {Object} key Entry key. Cannot be null.
+   * @param {String} entryFile Entry file, without suffixes. Cannot be null.
+   * @return {Object} The entry metadata, or null if the entry doesn't exist.
+   * @private
+   * @methodOf FileSystemCache#
+   */
+  var readMetadata = function (key, entryFile) {
+    var dataFile;
+
+    if (fs.existsSync(entryFile + META_SUFFIX)) {
+      return JSON.parse(fs.readFileSync(entryFile + META_SUFFIX).toString());
+    }
+    dataFile = fs.existsSync(entryFile + STREAM_SUFFIX) ?
+      entryFile + STREAM_SUFFIX : entryFile;
+
+    if (!fs.existsSync(dataFile)) {
+      return null;
+    }
+    return extend(createMetadata(key), {
+      fetchTime: fs.statSync(dataFile).mtime.getTime()
+    });
+  };
+
+  /** Writes the metadata of an entry.
+   * @param {String} entryFile Entry file, without suffixes. Cannot be null.
+   * @param {Object} metadata Metadata to write. Cannot be null.
+   * @private
+   * @methodOf FileSystemCache#
+   */
+  var writeMetadata = function (entryFile, metadata) {
+    atomicFile.writeFileSync(entryFile + META_SUFFIX, JSON.stringify(metadata));
+  };
+
+  /** Returns the max age for the specified key according to TTL rules.
+   * @param {Object} key Entry key. Cannot be null.
+   * @return {Number} The max age in milliseconds, or a negative number if the
+   *    entry never expires.
+   * @private
+   * @methodOf FileSystemCache#
+   */
+  var maxAgeOf = function (key) {
+    var url = urlOf(key);
+    var i;
+
+    for (i = 0; i < TTL_RULES.length; i++) {
+      if (TTL_RULES[i].pattern.test(url)) {
+        return TTL_RULES[i].maxAge;
+      }
+    }
+    return DEFAULT_MAX_AGE;
+  };
+
+  /** Determines whether an entry expired.
+   * @param {Object} key Entry key. Cannot be null.
+   * @param {Object} metadata Entry metadata. Can be null.
+   * @return {Boolean} true if the entry expired, false otherwise.
+   * @private
+   * @methodOf FileSystemCache#
+   */
+  var isStale = function (key, metadata) {
+    var maxAge = maxAgeOf(key);
+
+    return !!metadata && maxAge !== null && maxAge >= 0 &&
+      Date.now() - metadata.fetchTime > maxAge;
+  };
+
+  /** Revalidates an expired entry with a conditional request. If the server
+   * responds that the entry didn't change, only the fetch time is updated.
+   * If there's a new version, the entry is replaced. If the request fails,
+   * the expired entry is kept.
+   *
+   * @param {Object} key Entry key. Cannot be null.
+   * @param {String} entryFile Entry file, without suffixes. Cannot be null.
+   * @param {Object} metadata Entry metadata. Cannot be null.
+   * @param {Boolean} binary Indicates whether the entry is a binary stream.
+   * @param {Function} callback Invoked when the entry is revalidated. Cannot
+   *    be null.
+   * @private
+   * @methodOf FileSystemCache#
+   */
+  var revalidate = function (key, entryFile, metadata, binary, callback) {
+    var requestOptions = extend(true, {},
+      (typeof key === "string") ? { uri: key } : key);
+
+    requestOptions.headers = extend({}, requestOptions.headers);
+
+    if (metadata.etag) {
+      requestOptions.headers["If-None-Match"] = metadata.etag;
+    }
+    if (metadata.lastModified) {
+      requestOptions.headers["If-Modified-Since"] = metadata.lastModified;
+    }
+    requestOptions.encoding = null;
+
+    fetcher.request(requestOptions, function (err, response, body) {
+      if (!err && response.statusCode === 304) {
+        writeMetadata(entryFile, extend(metadata, {
+          fetchTime: Date.now()
+        }));
+      } else if (!err && response.statusCode === 200) {
+        if (binary) {
+          atomicFile.writeFileSync(entryFile + STREAM_SUFFIX, body);
+        } else {
+          atomicFile.writeFileSync(entryFile, JSON.stringify(
+            charsetDecoder.decode(body, response.headers["content-type"],
+              metadata.charset)));
+        }
+        writeMetadata(entryFile, extend(createMetadata(key, response), {
+          charset: metadata.charset || null
+        }));
+      }
+      callback();
+    });
+  };
+
+  /** Reads all entries in the cache directory.
+   * @return {Object[]} A list of entries with the key <code>id</code>, the
+   *    entry <code>files</code>, the data file, the <code>size</code> in
+   *    bytes, the <code>lastAccess</code> time and whether it is a
+   *    <code>binary</code> entry. Never null.
+   * @private
+   * @methodOf FileSystemCache#
+   */
+  var scanEntries = function () {
+    var entries = {};
+
+    fs.readdirSync(cacheDir).forEach(function (fileName) {
+      var match = ENTRY_FILE_EXPR.exec(fileName);
+      var file = path.join(cacheDir, fileName);
+      var entry;
+      var stat;
+
+      if (!match) {
+        return;
+      }
+      stat = fs.statSync(file);
+      entry = entries[match[1]] || (entries[match[1]] = {
+        id: match[1],
+        files: [],
+        dataFile: null,
+        size: 0,
+        lastAccess: 0,
+        binary: false
+      });
+      entry.files.push(file);
+      entry.size += stat.size;
+
+      if (!match[2] || match[2] === STREAM_SUFFIX) {
+        extend(entry, {
+          dataFile: file,
+          binary: match[2] === STREAM_SUFFIX,
+          lastAccess: stat.atime.getTime(),
+          modified: stat.mtime.getTime()
+        });
+      }
+    });
+
+    return Object.keys(entries).map(function (id) {
+      return entries[id];
+    });
+  };
+
+  /** Reads the metadata of a scanned entry. Entries created before metadata
+   * was supported take the file modification time as fetch time.
+   * @param {Object} entry Scanned entry. Cannot be null.
+   * @return {Object} The entry metadata, never null.
+   * @private
+   * @methodOf FileSystemCache#
+   */
+  var readEntryMetadata = function (entry) {
+    var metaFile = path.join(cacheDir, entry.id + META_SUFFIX);
+
+    if (fs.existsSync(metaFile)) {
+      return JSON.parse(fs.readFileSync(metaFile).toString());
+    }
+    return {
+      url: null,
+      fetchTime: entry.modified
+    };
+  };
+
+  /** Removes all files of a scanned entry.
+   * @param {Object} entry Entry to remove. Cannot be null.
+   * @private
+   * @methodOf FileSystemCache#
+   */
+  var removeEntry = function (entry) {
+    entry.files.forEach(function (file) {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    });
+  };
+
+  /** Updates the access time of an entry data file, used to evict least
+   * recently used entries. The modification time is kept.
+   * @param {String} dataFile Entry data file. Cannot be null.
+   * @private
+   * @methodOf FileSystemCache#
+   */
+  var touch = function (dataFile) {
+    var stat;
+
+    if (MAX_SIZE && fs.existsSync(dataFile)) {
+      stat = fs.statSync(dataFile);
+      fs.utimesSync(dataFile, new Date(), stat.mtime);
+    }
+  };
+
+  /** Evicts least recently used entries if the cache exceeds the maximum size.
+   * @private
+   * @methodOf FileSystemCache#
+   */
+  var evict = function () {
+    var entries;
+
+    if (totalSize <= MAX_SIZE) {
+      return;
+    }
+    entries = scanEntries().sort(function (entry1, entry2) {
+      return entry1.lastAccess - entry2.lastAccess;
+    });
+    totalSize = entries.reduce(function (size, entry) {
+      return size + entry.size;
+    }, 0);
+
+    while (totalSize > MAX_SIZE * EVICTION_RATIO && entries.length > 0) {
+      removeEntry(entries[0]);
+      totalSize -= entries.shift().size;
+    }
+  };
+
+  /** Accounts the size of a written entry and evicts entries if the cache
+   * exceeds the maximum size.
+   * @param {String} entryFile Entry file, without suffixes. Cannot be null.
+   * @private
+   * @methodOf FileSystemCache#
+   */
+  var entryWritten = function (entryFile) {
+    if (!MAX_SIZE) {
+      return;
+    }
+    if (totalSize === -1) {
+      totalSize = scanEntries().reduce(function (size, entry) {
+        return size + entry.size;
+      }, 0);
+    } else {
+      [entryFile, entryFile + STREAM_SUFFIX, entryFile + META_SUFFIX]
+        .forEach(function (file) {
+          if (fs.existsSync(file)) {
+            totalSize += fs.statSync(file).size;
+          }
+        });
+    }
+    evict();
+  };
+
+  /** Fetches the url defined by the key and stores the response as a binary
+   * entry. The response is written to a temporary file that is renamed when
+   * the download is complete. Failed downloads, truncated responses and HTTP
+   * error responses are removed.
+   *
+   * @param {Object} key Entry key, either an url or request options. Cannot
+   *    be null.
+   * @param {String} entryFile Entry file, without suffixes. Cannot be null.
+   * @param {Function} callback Invoked when the entry is stored. It takes an
+   *    error as parameter. Cannot be null.
+   * @private
+   * @methodOf FileSystemCache#
+   */
+  var download = function (key, entryFile, callback) {
+    fetcher.stream(key, function (err, stream) {
+      var fileStream;
+      var metadata = null;
+      var failed = false;
+      var fail;
+
+      if (err) {
+        return callback(err);
+      }
+      fileStream = atomicFile.createWriteStream(entryFile + STREAM_SUFFIX);
+      fail = function (err) {
+        if (!failed) {
+          failed = true;
+          fileStream.abort();
+          callback(err);
+        }
+      };
+
+      stream.on("response", function (response) {
+        if (response.statusCode !== 200) {
+          stream.abort();
+          return fail(extend(new Error("Cannot fetch " + urlOf(key) +
+            ": HTTP status " + response.statusCode), {
+            statusCode: response.statusCode
+          }));
+        }
+        metadata = createMetadata(key, response);
+      });
+      stream.on("error", fail);
+      fileStream.on("error", fail);
+      stream.on("end", function () {
+        if (failed) {
+          return;
+        }
+        if (metadata.contentLength &&
+            metadata.contentLength !== fileStream.bytesWritten +
+            fileStream.writableLength) {
+          return fail(new Error("Truncated response from " + urlOf(key)));
+        }
+        fileStream.commit(function (err) {
+          if (err) {
+            return fail(err);
+          }
+          writeMetadata(entryFile, metadata);
+          entryWritten(entryFile);
+          callback(null);
+        });
+      });
+      stream.pipe(fileStream, { end: false });
+    });
+  };
+
+  /** Lists all entries in the cache with their metadata.
+   * @param {Function} callback Receives an error and the list of entries as
+   *    parameters. Cannot be null.
+   * @private
+   * @methodOf FileSystemCache#
+   */
+  var listEntries = function (callback) {
+    process.nextTick(function () {
+      var entries;
+
+      try {
+        entries = scanEntries().map(function (entry) {
+          var metadata;
+
+          try {
+            metadata = readEntryMetadata(entry);
+          } catch (err) {
+            metadata = { url: null, fetchTime: entry.modified };
+          }
+          return {
+            id: entry.id,
+            url: metadata.url,
+            size: entry.size,
+            binary: entry.binary,
+            fetchTime: metadata.fetchTime,
+            lastAccess: entry.lastAccess,
+            stale: !!metadata.url && isStale(metadata.url, metadata)
+          };
+        });
+      } catch (err) {
+        return callback(err);
+      }
+      callback(null, entries);
+    });
+  };
+
+  /** Checks a scanned entry looking for broken files: entries that are not
+   * valid JSON, invalid metadata, and truncated binary entries.
+   *
+   * @param {Object} entry Entry to check. Cannot be null.
+   * @return {String} A description of the problem, or null if the entry is
+   *    valid.
+   * @private
+   * @methodOf FileSystemCache#
+   */
+  var checkEntry = function (entry) {
+    var metadata;
+    var size;
+    var fd;
+    var buffer;
+
+    try {
+      metadata = readEntryMetadata(entry);
+    } catch (err) {
+      return "Invalid metadata: " + err.message;
+    }
+    if (!entry.dataFile) {
+      return "Metadata without data";
+    }
+    size = fs.statSync(entry.dataFile).size;
+
+    if (!entry.binary) {
+      try {
+        JSON.parse(fs.readFileSync(entry.dataFile).toString());
+      } catch (err) {
+        return "Invalid JSON entry: " + err.message;
+      }
+      return null;
+    }
+    if (size === 0) {
+      return "Empty binary entry";
+    }
+    if (metadata.contentLength && metadata.contentLength !== size) {
+      return "Truncated binary entry, expected " + metadata.contentLength +
+        " bytes but found " + size;
+    }
+
+    // PDF documents must end with the %%EOF mark.
+    buffer = Buffer.alloc(Math.min(size, 1024));
+    fd = fs.openSync(entry.dataFile, "r");
+    fs.readSync(fd, buffer, 0, Math.min(size, 5), 0);
+
+    if (buffer.toString("ascii", 0, 5) === "%PDF-") {
+      fs.readSync(fd, buffer, 0, buffer.length, size - buffer.length);
+
+      if (buffer.toString("ascii").indexOf("%%EOF") === -1) {
+        fs.closeSync(fd);
+        return "Truncated PDF document";
+      }
+    }
+    fs.closeSync(fd);
+
+    return null;
+  };
+
   return {
 
     /** Puts an entry into the cache.
      *
      * @param {Object} key Entry key. Cannot be null.
      * @param {Object} [data] Entry value. If it is null, this cache will try
-     *    to fetch the url defined by <code>key</code>.
+     *    to fetch the url defined by <code>key</code>. In offline mode it
+     *    fails with an <code>ECACHEMISS</code> error instead.
+     * @param {Object} [theMetadata] Entry metadata, like the HTTP
+     *    <code>status</code>, the <code>etag</code> and the
+     *    <code>lastModified</code> date. Can be null.
      * @param {Function} [theCallback] Invoked when the cache entry is
      *    successfully stored. It takes an error as parameter.
      */
-    put: function (key, data, theCallback) {
+    put: function (key, data, theMetadata, theCallback) {
       var mustFetch = !data || (typeof data === "function");
-      var callback = (typeof data === "function") ? data : theCallback;
+      var callback = (typeof data === "function") ? data :
+        (typeof theMetadata === "function") ? theMetadata : theCallback;
+      var metadata = (typeof theMetadata === "function") ? null : theMetadata;
       var keyId = generateKeyId(key);
       var entryFile = path.join(cacheDir, keyId);
 
-      process.nextTick(function () {
-        var stream;
-        var fileStream;
+      if (mustFetch && OFFLINE) {
+        return process.nextTick(function () {
+          if (callback) {
+            callback(cacheMiss(key));
+          }
+        });
+      }
 
+      process.nextTick(function () {
         if (mustFetch) {
-          stream = request(key, function (err) {
-            if (err && callback) {
+          download(key, entryFile, function (err) {
+            backgroundOperation.end();
+            if (callback) {
               callback(err);
             }
           });
-          stream.on("end", function () {
-            // Maybe it is a node bug with file streams, we need to wait until
-            // IO operations finish.
-            setTimeout(function () {
-              fileStream.end();
-              if (callback) {
-                callback(null);
-              }
-            }, 0);
-          });
-          fileStream = fs.createWriteStream(entryFile + STREAM_SUFFIX);
-          stream.pipe(fileStream);
         } else {
-          fs.writeFileSync(entryFile, JSON.stringify(data));
+          atomicFile.writeFileSync(entryFile, JSON.stringify(data));
+          writeMetadata(entryFile, extend(createMetadata(key), metadata));
+          entryWritten(entryFile);
           backgroundOperation.end();
         }
       });
@@ -126,28 +751,105 @@ module.exports = function FileSystemCache(cacheDir) {
      * @param {Object} key Entry key. Cannot be null.
      * @param {Function} callback Invoked to provide the entry value. It takes
      *    an error and the entry value as parameters. If the entry is a binary
-     *    stream, it takes a stream to read the file instead of the value.
-     *    Cannot be null.
+     *    stream, it takes a stream to read the file instead of the value. If
+     *    the entry doesn't exist, the error has the <code>ECACHEMISS</code>
+     *    code. Entries with broken metadata or content are removed and they
+     *    are also reported as missing. Cannot be null.
      */
     get: function (key, callback) {
       var keyId = generateKeyId(key);
       var entryFile = path.join(cacheDir, keyId);
+      var binary = fs.existsSync(entryFile + STREAM_SUFFIX);
+      var metadata;
+      var read = function () {
+        touch(binary ? entryFile + STREAM_SUFFIX : entryFile);
 
-      if (fs.existsSync(entryFile + STREAM_SUFFIX)) {
-        process.nextTick(function () {
-          callback(null, fs.createReadStream(entryFile + STREAM_SUFFIX, {
-            flags: 'r'
-          }));
+        if (binary) {
+          process.nextTick(function () {
+            callback(null, fs.createReadStream(entryFile + STREAM_SUFFIX, {
+              flags: 'r'
+            }));
+          });
+        } else {
+          fs.readFile(entryFile, function (err, buffer) {
+            var value;
+
+            if (err && err.code === "ENOENT") {
+              return callback(cacheMiss(key));
+            } else if (err) {
+              return callback(err);
+            }
+            try {
+              value = JSON.parse(buffer.toString());
+            } catch (parseErr) {
+              removeEntry({
+                files: [entryFile, entryFile + META_SUFFIX]
+              });
+              return callback(cacheMiss(key));
+            }
+            callback(null, value);
+          });
+        }
+      };
+
+      try {
+        metadata = readMetadata(key, entryFile);
+      } catch (err) {
+        removeEntry({
+          files: [entryFile, entryFile + STREAM_SUFFIX, entryFile + META_SUFFIX]
         });
-      } else {
-        fs.readFile(entryFile, function (err, buffer) {
-          if (err) {
-            callback(err);
-          } else {
-            callback(null, JSON.parse(buffer.toString()));
-          }
+        return process.nextTick(function () {
+          callback(cacheMiss(key));
         });
       }
+      if (!OFFLINE && isStale(key, metadata)) {
+        revalidate(key, entryFile, metadata, binary, read);
+      } else {
+        read();
+      }
+    },
+
+    /** Reads the metadata of an entry.
+     * @param {Object} key Entry key. Cannot be null.
+     * @param {Function} callback Receives an error and the metadata as
+     *    parameters. Metadata has the <code>url</code>, the
+     *    <code>fetchTime</code>, the HTTP <code>status</code>, the
+     *    <code>etag</code> and the <code>lastModified</code> date. It is null
+     *    if the entry doesn't exist. Cannot be null.
+     */
+    getMetadata: function (key, callback) {
+      var entryFile = path.join(cacheDir, generateKeyId(key));
+
+      process.nextTick(function () {
+        var metadata;
+
+        try {
+          metadata = readMetadata(key, entryFile);
+        } catch (err) {
+          return callback(err);
+        }
+        callback(null, metadata);
+      });
+    },
+
+    /** Determines whether an entry expired according to TTL rules.
+     * @param {Object} key Entry key. Cannot be null.
+     * @param {Function} callback Receives an error and a boolean indicating
+     *    whether the entry expired. Cannot be null.
+     */
+    isStale: function (key, callback) {
+      var entryFile = path.join(cacheDir, generateKeyId(key));
+
+      process.nextTick(function () {
+        var metadata;
+
+        try {
+          metadata = readMetadata(key, entryFile);
+        } catch (err) {
+          return callback(err);
+        }
+        callback(null, isStale(key, metadata));
+      });
     },
 
     /** Determines whether the specified key exists in the cache.
@@ -166,6 +868,197 @@ module.exports = function FileSystemCache(cacheDir) {
       });
     },
 
+    /** Lists all entries in the cache.
+     *
+     * @param {Function} callback Receives an error and the list of entries as
+     *    parameters. Each entry has the key <code>id</code>, the original
+     *    <code>url</code> (null for entries without metadata), the
+     *    <code>size</code> in bytes, whether it is a <code>binary</code>
+     *    entry, the <code>fetchTime</code>, the <code>lastAccess</code> time
+     *    and whether it is <code>stale</code>. Cannot be null.
+     */
+    list: listEntries,
+
+    /** Calculates statistics about the cache.
+     *
+     * @param {Function} callback Receives an error and the statistics as
+     *    parameters: number of <code>entries</code>, number of
+     *    <code>binary</code> entries, number of <code>stale</code> entries,
+     *    the <code>size</code> and the <code>maxSize</code> in bytes, and the
+     *    <code>oldest</code> and <code>newest</code> fetch times. Cannot be
+     *    null.
+     */
+    stats: function (callback) {
+      listEntries(function (err, entries) {
+        var stats = {
+          entries: entries && entries.length,
+          binary: 0,
+          stale: 0,
+          size: 0,
+          maxSize: MAX_SIZE,
+          oldest: null,
+          newest: null
+        };
+
+        if (err) {
+          return callback(err);
+        }
+        entries.forEach(function (entry) {
+          stats.binary += entry.binary ? 1 : 0;
+          stats.stale += entry.stale ? 1 : 0;
+          stats.size += entry.size;
+
+          if (stats.oldest === null || entry.fetchTime < stats.oldest) {
+            stats.oldest = entry.fetchTime;
+          }
+          if (stats.newest === null || entry.fetchTime > stats.newest) {
+            stats.newest = entry.fetchTime;
+          }
+        });
+        callback(null, stats);
+      });
+    },
+
+    /** Removes entries fetched before the specified period.
+     *
+     * @param {Number} olderThan Age in milliseconds. Entries older than this
+     *    age are removed. Cannot be null.
+     * @param {Function} callback Receives an error and the number of removed
+     *    entries as parameters. Cannot be null.
+     */
+    purge: function (olderThan, callback) {
+      process.nextTick(function () {
+        var limit = Date.now() - olderThan;
+        var removed = 0;
+
+        try {
+          scanEntries().forEach(function (entry) {
+            var fetchTime;
+
+            try {
+              fetchTime = readEntryMetadata(entry).fetchTime;
+            } catch (err) {
+              fetchTime = entry.modified;
+            }
+            if (fetchTime < limit) {
+              removeEntry(entry);
+              removed += 1;
+            }
+          });
+        } catch (err) {
+          return callback(err);
+        }
+        totalSize = -1;
+        callback(null, removed);
+      });
+    },
+
+    /** Looks for broken entries: entries that are not valid JSON, invalid
+     * metadata and truncated binary entries.
+     *
+     * @param {Boolean} [fix] Indicates whether to remove broken entries.
+     *    Default is false.
+     * @param {Function} callback Receives an error and the list of problems
+     *    as parameters. Each problem has the entry <code>id</code>, the
+     *    <code>url</code> if it is known, the data <code>file</code> and the
+     *    <code>problem</code> description. Cannot be null.
+     */
+    verify: function (fix, theCallback) {
+      var callback = (typeof fix === "function") ? fix : theCallback;
+
+      process.nextTick(function () {
+        var problems = [];
+
+        try {
+          scanEntries().forEach(function (entry) {
+            var problem = checkEntry(entry);
+            var metadata;
+
+            if (problem) {
+              try {
+                metadata = readEntryMetadata(entry);
+              } catch (err) {
+                metadata = {};
+              }
+              problems.push({
+                id: entry.id,
+                url: metadata.url || null,
+                file: entry.dataFile,
+                problem: problem
+              });
+              if (fix === true) {
+                removeEntry(entry);
+              }
+            }
+          });
+        } catch (err) {
+          return callback(err);
+        }
+        callback(null, problems);
+      });
+    },
+
+    /** Fixes text entries that were decoded with the wrong charset, for
+     * instance "Ã±" instead of "ñ". Entries are rewritten only if they
+     * change.
+     *
+     * @param {Function} callback Receives an error and the number of fixed
+     *    entries as parameters. Cannot be null.
+     */
+    normalize: function (callback) {
+      var fixValue = function (value) {
+        var key;
+
+        if (typeof value === "string") {
+          return charsetDecoder.fixMojibake(value);
+        }
+        if (value && typeof value === "object") {
+          for (key in value) {
+            if (value.hasOwnProperty(key)) {
+              value[key] = fixValue(value[key]);
+            }
+          }
+        }
+        return value;
+      };
+
+      process.nextTick(function () {
+        var fixed = 0;
+
+        try {
+          scanEntries().forEach(function (entry) {
+            var content;
+            var normalized;
+
+            if (entry.binary || !entry.dataFile) {
+              return;
+            }
+            try {
+              content = fs.readFileSync(entry.dataFile).toString();
+              normalized = JSON.stringify(fixValue(JSON.parse(content)));
+            } catch (err) {
+              // Broken entries are reported by verify().
+              return;
+            }
+            if (normalized !== content) {
+              atomicFile.writeFileSync(entry.dataFile, normalized);
+              fixed += 1;
+            }
+          });
+        } catch (err) {
+          return callback(err);
+        }
+        callback(null, fixed);
+      });
+    },
+
+    /** Returns the keys that were requested but didn't exist in the cache.
+     * @return {Object[]} A list of keys, never null.
+     */
+    getMisses: function () {
+      return misses.slice();
+    },
+
     /** Waits until the cache has no more pending background operations.
      *
      * @param {Function} callback Invoked when the cache has no pending
@@ -7,6 +7,15 @@
  * @param {String} dataDir Directory to store data. Cannot be null.
  * @param {Number} [options.deph] Number of directory levels to balance the
  *    tree. Default is 0, which means the root data dir will store all items.
+ * @param {Boolean} [options.append] Indicates whether to append items to an
+ *    existing bundle file, used to resume import processes. Default is false.
+ * @param {Boolean} [options.readOnly] Indicates whether the storer is used
+ *    only to read items. The bundle file is not touched and items cannot be
+ *    stored. Default is false.
+ * @param {String} [options.archiveDir] Directory to keep a copy of the bundle
+ *    file of each import process when the storer is closed. Copies are named
+ *    after the date the storer was created, like 20150310T030000Z.js. Can be
+ *    null.
  * @constructor
  */
 module.exports = function FileSystemStorer(dataDir, options) {
@@ -24,6 +33,13 @@ module.exports = function FileSystemStorer(dataDir, options) {
    */
   var BackgroundOperation = require("./BackgroundOperation");
 
+  /** Utility to write files atomically.
+   * @type {AtomicFile}
+   * @private
+   * @fieldOf FileSystemStorer#
+   */
+  var atomicFile = new (require("./AtomicFile"))();
+
   /** Node's FileSystem API.
    * @type {Object}
    * @private
@@ -38,6 +54,13 @@ module.exports = function FileSystemStorer(dataDir, options) {
    */
   var path = require("path");
 
+  /** Async flow control library.
+   * @type Object
+   * @private
+   * @fieldOf FileSystemStorer#
+   */
+  var async = require("async");
+
   /** File to store all bills.
    * @constant
    * @private
@@ -51,37 +74,131 @@ module.exports = function FileSystemStorer(dataDir, options) {
    */
   var backgroundOperation = new BackgroundOperation();
 
+  /** End of a closed bundle file.
+   * @constant
+   * @private
+   * @fieldOf FileSystemStorer#
+   */
+  var BUNDLE_END = JSON.stringify({ done: true }) + "]";
+
+  /** Name of the bundle copy for this import process.
+   * @type String
+   * @constant
+   * @private
+   * @fieldOf FileSystemStorer#
+   */
+  var ARCHIVE_NAME = new Date().toISOString().replace(/[-:]|\.\d+/g, "") +
+    ".js";
+
+  /** Opens the existing bundle file to append new items. If the bundle was
+   * already closed, it removes the end mark.
+   * @return {Stream} A write stream to append items, never null.
+   * @private
+   * @methodOf FileSystemStorer#
+   */
+  var openBundle = function () {
+    var size = fs.statSync(BUNDLE_FILE).size;
+    var buffer = Buffer.alloc(Math.min(size, BUNDLE_END.length));
+    var fd = fs.openSync(BUNDLE_FILE, "r");
+
+    fs.readSync(fd, buffer, 0, buffer.length, size - buffer.length);
+    fs.closeSync(fd);
+
+    if (buffer.toString() === BUNDLE_END) {
+      fs.truncateSync(BUNDLE_FILE, size - BUNDLE_END.length);
+    }
+    return fs.createWriteStream(BUNDLE_FILE, { flags: "a" });
+  };
+
   /** Bundle file write stream.
    * @type {Stream}
    * @private
    * @fieldOf FileSystemStorer#
    */
   var bundleStream = (function () {
-    var stream = fs.createWriteStream(BUNDLE_FILE);
+    var stream;
+
+    if (options && options.readOnly) {
+      return null;
+    }
+    if (options && options.append && fs.existsSync(BUNDLE_FILE)) {
+      return openBundle();
+    }
+    stream = fs.createWriteStream(BUNDLE_FILE);
     stream.write("[");
     return stream;
   }());
 
-  /** Manages cache background operations.
+  /** Expression that matches files in the data directory that are not
+   * items: the bundle, temporary files and importer files like checkpoints.
+   * @type RegExp
+   * @constant
+   * @private
+   * @fieldOf FileSystemStorer#
+   */
+  var NOT_ITEM_EXPR = /^all\.js$|\.tmp-\d+-\d+$|\.json$/;
+
+  /** Returns the file of an item.
    * @param {String} id Item id. Cannot be null or empty.
-   * @return {String} The
+   * @param {Boolean} [create] Indicates whether to create the directories
+   *    that balance the tree. Default is false.
+   * @return {String} The item file, never null.
    * @private
    * @methodOf FileSystemStorer#
    */
-  var generateFileName = function (id) {
+  var generateFileName = function (id, create) {
     var itemDir = dataDir;
     var i;
 
     for (i = 0; i < DEPH; i++) {
       itemDir = path.join(itemDir, id.substr(i * 2, 2));
 
-      if (!fs.existsSync(itemDir)) {
+      if (create && !fs.existsSync(itemDir)) {
         fs.mkdirSync(itemDir);
       }
     }
     return path.join(itemDir, id);
   };
 
+  /** Lists the ids of items in a directory of the tree.
+   * @param {String} dir Directory to list. Cannot be null.
+   * @param {Number} level Level of the directory in the tree, 0 is the data
+   *    directory. Cannot be null.
+   * @param {Function} callback Receives an error and the list of ids as
+   *    parameters. Cannot be null.
+   * @private
+   * @methodOf FileSystemStorer#
+   */
+  var listDir = function (dir, level, callback) {
+    fs.readdir(dir, { withFileTypes: true }, function (err, entries) {
+      var ids = [];
+
+      if (err) {
+        return callback(err);
+      }
+      async.eachSeries(entries, function (entry, next) {
+        if (level < DEPH) {
+          // Balancing directories have two characters, other directories
+          // like archived runs are not part of the tree.
+          if (!entry.isDirectory() || entry.name.length !== 2) {
+            return next();
+          }
+          return listDir(path.join(dir, entry.name), level + 1,
+            function (err, childIds) {
+              ids = ids.concat(childIds || []);
+              next(err);
+            });
+        }
+        if (entry.isFile() && !NOT_ITEM_EXPR.test(entry.name)) {
+          ids.push(entry.name);
+        }
+        next();
+      }, function (err) {
+        callback(err, ids);
+      });
+    });
+  };
+
   return {
 
     /** Stores the specified data object into the file system.
@@ -94,13 +211,18 @@ module.exports = function FileSystemStorer(dataDir, options) {
      *    saved. Cannot be null.
      */
     store: function (id, data, role, callback) {
-      var dataFile = generateFileName(id);
+      var dataFile;
+
+      if (!bundleStream) {
+        return setImmediate(callback, new Error("Storer is read-only."));
+      }
+      dataFile = generateFileName(id, true);
 
       // Contention is delegated to node.
       setImmediate(function () {
         var jsonData = JSON.stringify(data);
 
-        fs.writeFileSync(dataFile, jsonData);
+        atomicFile.writeFileSync(dataFile, jsonData);
         bundleStream.write(jsonData);
         bundleStream.write(",");
 
@@ -113,8 +235,104 @@ module.exports = function FileSystemStorer(dataDir, options) {
     /** Closes and clean up this storer.
      */
     close: function () {
-      bundleStream.write(JSON.stringify({ done: true }));
-      bundleStream.end("]");
+      var archiveDir = options && options.archiveDir;
+
+      if (!bundleStream) {
+        return;
+      }
+      if (!archiveDir) {
+        return bundleStream.end(BUNDLE_END);
+      }
+      backgroundOperation.start();
+      bundleStream.end(BUNDLE_END, function () {
+        if (!fs.existsSync(archiveDir)) {
+          fs.mkdirSync(archiveDir);
+        }
+        atomicFile.copyFile(BUNDLE_FILE, path.join(archiveDir, ARCHIVE_NAME),
+          function () {
+            backgroundOperation.end();
+          });
+      });
+    },
+
+    /** Reads a stored item. Items are available when pending background
+     * operations finish.
+     *
+     * @param {String} id Item id. Cannot be null or empty.
+     * @param {Function} callback Receives an error and the item as
+     *    parameters. The item is null if it doesn't exist. Cannot be null.
+     */
+    get: function (id, callback) {
+      fs.readFile(generateFileName(id), function (err, data) {
+        if (err) {
+          return callback(err.code === "ENOENT" ? null : err, null);
+        }
+        try {
+          callback(null, JSON.parse(data.toString()));
+        } catch (parseErr) {
+          callback(parseErr, null);
+        }
+      });
+    },
+
+    /** Indicates whether an item exists.
+     *
+     * @param {String} id Item id. Cannot be null or empty.
+     * @param {Function} callback Receives an error and whether the item
+     *    exists as parameters. Cannot be null.
+     */
+    exists: function (id, callback) {
+      fs.stat(generateFileName(id), function (err, stats) {
+        if (err) {
+          return callback(err.code === "ENOENT" ? null : err, false);
+        }
+        callback(null, stats.isFile());
+      });
+    },
+
+    /** Lists the ids of stored items, sorted.
+     *
+     * @param {Function} callback Receives an error and the list of ids as
+     *    parameters. Cannot be null.
+     */
+    list: function (callback) {
+      listDir(dataDir, 0, function (err, ids) {
+        callback(err, ids && ids.sort());
+      });
+    },
+
+    /** Reads stored items one by one, without loading all of them into
+     * memory.
+     *
+     * @param {Function} [filter] Invoked with each item and its id, it returns
+     *    whether to provide the item to the iterator. Can be null.
+     * @param {Function} iterator Invoked with each item, its id and a
+     *    callback that must be invoked with an error as parameter to read the
+     *    next item. Cannot be null.
+     * @param {Function} callback Invoked when all items were read. It takes
+     *    an error and the number of items provided to the iterator as
+     *    parameters. Cannot be null.
+     */
+    iterate: function (filter, iterator, callback) {
+      var storer = this;
+      var count = 0;
+
+      storer.list(function (err, ids) {
+        if (err) {
+          return callback(err, count);
+        }
+        async.eachSeries(ids, function (id, next) {
+          storer.get(id, function (err, item) {
+            if (err || item === null || (filter && !filter(item, id))) {
+              return next(err);
+            }
+            count += 1;
+            iterator(item, id, next);
+          });
+        }, function (err) {
+          callback(err || null, count);
+        });
+      });
     },
 
     /** Waits until there is no more pending background operations.
@@ -0,0 +1,376 @@
+/** Fetcher that serves recorded responses from a fixtures directory, so
+ * importers can run without network access. It implements the same interface
+ * as <code>HttpFetcher</code>.
+ *
+ * The directory has an <code>index.json</code> file that maps request keys to
+ * fixtures. Each fixture has the <code>file</code> with the response body,
+ * relative to the fixtures directory, and optionally the
+ * <code>statusCode</code> (default 200) and the response <code>headers</code>:
+ *
+ * <pre>
+ * {
+ *   "GET http://www.hcdn.gov.ar/diputados/": {
+ *     "file": "people/legislatives.html",
+ *     "headers": { "content-type": "text/html; charset=utf-8" }
+ *   }
+ * }
+ * </pre>
+ *
+ * Keys are built by <code>keyOf()</code>: the request method, the url and,
+ * for requests with a form or a body, the encoded form or body. Query
+ * parameters that change on every run, like the current date, can be left
+ * out of keys with the <code>ignoreParams</code> option.
+ *
+ * Requests without fixture fail with an error having the
+ * <code>ENOFIXTURE</code> code. In record mode, missing fixtures are fetched
+ * using another fetcher and saved into the fixtures directory.
+ *
+ * @param {String} fixturesDir Directory that contains the fixtures. Cannot be
+ *    null or empty.
+ * @param {Object} [options] Fetcher configuration. Can be null.
+ * @param {Boolean} [options.record] Indicates whether to record missing
+ *    fixtures. Default is false.
+ * @param {Boolean} [options.refresh] Indicates whether to record again every
+ *    requested fixture, even if it exists. Default is false.
+ * @param {Object} [options.fetcher] Fetcher used to record missing fixtures.
+ *    Default is a new <code>HttpFetcher</code> created with these options.
+ * @param {String[]} [options.ignoreParams] Query parameters left out of the
+ *    request keys. Can be null.
+ * @constructor
+ */
+module.exports = function FixtureFetcher(fixturesDir, options) {
+
+  /** Name of the file that maps requests to fixtures.
+   * @type String
+   * @constant
+   * @private
+   * @fieldOf FixtureFetcher#
+   */
+  var INDEX_FILE = "index.json";
+
+  /** Headers saved when a fixture is recorded.
+   * @type String[]
+   * @constant
+   * @private
+   * @fieldOf FixtureFetcher#
+   */
+  var RECORDED_HEADERS = ["content-type", "etag", "last-modified"];
+
+  /** File extensions for recorded fixtures by content type.
+   * @type Object
+   * @constant
+   * @private
+   * @fieldOf FixtureFetcher#
+   */
+  var EXTENSIONS = {
+    "text/html": ".html",
+    "application/pdf": ".pdf",
+    "application/json": ".json",
+    "text/plain": ".txt"
+  };
+
+  /** Indicates whether to record missing fixtures.
+   * @type Boolean
+   * @constant
+   * @private
+   * @fieldOf FixtureFetcher#
+   */
+  var RECORD = options && (options.record === true ||
+    options.refresh === true);
+
+  /** Indicates whether to record again fixtures that already exist.
+   * @type Boolean
+   * @constant
+   * @private
+   * @fieldOf FixtureFetcher#
+   */
+  var REFRESH = options && options.refresh === true;
+
+  /** Query parameters left out of the request keys.
+   * @type String[]
+   * @constant
+   * @private
+   * @fieldOf FixtureFetcher#
+   */
+  var IGNORE_PARAMS = options && options.ignoreParams || [];
+
+  /** Node's FileSystem API.
+   * @type {Object}
+   * @private
+   * @fieldOf FixtureFetcher#
+   */
+  var fs = require("fs");
+
+  /** Node's Path API.
+   * @type {Object}
+   * @private
+   * @fieldOf FixtureFetcher#
+   */
+  var path = require("path");
+
+  /** Node's crypto API.
+   * @type {Object}
+   * @private
+   * @fieldOf FixtureFetcher#
+   */
+  var crypto = require("crypto");
+
+  /** Node's query string API.
+   * @type {Object}
+   * @private
+   * @fieldOf FixtureFetcher#
+   */
+  var querystring = require("querystring");
+
+  /** Node's stream API.
+   * @type {Object}
+   * @private
+   * @fieldOf FixtureFetcher#
+   */
+  var PassThrough = require("stream").PassThrough;
+
+  /** Utility to extend objects.
+   * @type {Function}
+   * @private
+   * @fieldOf FixtureFetcher#
+   */
+  var extend = require("extend");
+
+  /** Utility to write files atomically.
+   * @type {AtomicFile}
+   * @private
+   * @fieldOf FixtureFetcher#
+   */
+  var atomicFile = new (require("./AtomicFile"))();
+
+  /** Fetcher used to record missing fixtures, created on demand.
+   * @type {Object}
+   * @private
+   * @fieldOf FixtureFetcher#
+   */
+  var recordFetcher = options && options.fetcher || null;
+
+  /** Keys of the fixtures recorded by this fetcher.
+   * @type {String[]}
+   * @private
+   * @fieldOf FixtureFetcher#
+   */
+  var recordedKeys = [];
+
+  /** Fixtures by request key.
+   * @type {Object}
+   * @private
+   * @fieldOf FixtureFetcher#
+   */
+  var fixtures = (function () {
+    var indexFile = path.join(fixturesDir, INDEX_FILE);
+
+    if (!fs.existsSync(indexFile)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(indexFile).toString());
+  }());
+
+  /** Returns the key that identifies the specified request.
+   * @param {String|Object} requestOptions Url or request options. Cannot be
+   *    null.
+   * @return {String} The request key, never null.
+   * @private
+   * @methodOf FixtureFetcher#
+   */
+  var keyOf = function (requestOptions) {
+    var key;
+    var stripParams = function (url) {
+      return IGNORE_PARAMS.reduce(function (url, param) {
+        return url.replace(new RegExp("([?&])" + param + "=[^&]*(&|$)"),
+          "$1");
+      }, String(url)).replace(/[?&]$/, "");
+    };
+
+    if (typeof requestOptions === "string") {
+      return "GET " + stripParams(requestOptions);
+    }
+    key = (requestOptions.method || "GET").toUpperCase() + " " +
+      stripParams(requestOptions.uri || requestOptions.url);
+
+    if (requestOptions.qs) {
+      key += "?" + querystring.stringify(requestOptions.qs);
+    }
+    if (requestOptions.form) {
+      key += " " + ((typeof requestOptions.form === "string") ?
+        requestOptions.form : querystring.stringify(requestOptions.form));
+    }
+    if (requestOptions.body) {
+      key += " " + requestOptions.body;
+    }
+    return key;
+  };
+
+  /** Records the fixture for the specified request.
+   * @param {String|Object} requestOptions Url or request options. Cannot be
+   *    null.
+   * @param {Function} callback Receives an error and the fixture as
+   *    parameters. Cannot be null.
+   * @private
+   * @methodOf FixtureFetcher#
+   */
+  var record = function (requestOptions, callback) {
+    var key = keyOf(requestOptions);
+    var HttpFetcher;
+
+    if (!recordFetcher) {
+      HttpFetcher = require("./HttpFetcher");
+      recordFetcher = new HttpFetcher(options);
+    }
+    recordFetcher.request(extend({}, (typeof requestOptions === "string") ?
+        { uri: requestOptions } : requestOptions, { encoding: null }),
+        function (err, response, body) {
+      var contentType = response && response.headers["content-type"] || "";
+      var fixture;
+
+      if (err) {
+        return callback(err);
+      }
+      fixture = {
+        // Refreshed fixtures keep their file.
+        file: (fixtures[key] && fixtures[key].file) ||
+          crypto.createHash("sha1").update(key).digest("hex") +
+          (EXTENSIONS[contentType.split(";")[0].trim()] || ".bin"),
+        statusCode: response.statusCode,
+        headers: {}
+      };
+      RECORDED_HEADERS.forEach(function (header) {
+        if (response.headers[header]) {
+          fixture.headers[header] = response.headers[header];
+        }
+      });
+      try {
+        atomicFile.writeFileSync(path.join(fixturesDir, fixture.file), body);
+        fixtures[key] = fixture;
+        recordedKeys.push(key);
+        atomicFile.writeFileSync(path.join(fixturesDir, INDEX_FILE),
+          JSON.stringify(fixtures, null, 2));
+      } catch (writeErr) {
+        return callback(writeErr);
+      }
+      callback(null, fixture);
+    });
+  };
+
+  /** Resolves the fixture for the specified request, recording it if it
+   * doesn't exist and record mode is enabled.
+   * @param {String|Object} requestOptions Url or request options. Cannot be
+   *    null.
+   * @param {Function} callback Receives an error, the fixture and the
+   *    response as parameters. Cannot be null.
+   * @private
+   * @methodOf FixtureFetcher#
+   */
+  var resolve = function (requestOptions, callback) {
+    var key = keyOf(requestOptions);
+    var fixture = fixtures[key];
+    var respond = function (fixture) {
+      callback(null, fixture, {
+        statusCode: fixture.statusCode || 200,
+        headers: extend({}, fixture.headers)
+      });
+    };
+
+    if (fixture && (!REFRESH || recordedKeys.indexOf(key) > -1)) {
+      return process.nextTick(function () {
+        respond(fixture);
+      });
+    }
+    if (RECORD) {
+      return record(requestOptions, function (err, fixture) {
+        if (err) {
+          return callback(err);
+        }
+        respond(fixture);
+      });
+    }
+    process.nextTick(function () {
+      callback(extend(new Error("Fixture not found: " + key), {
+        code: "ENOFIXTURE",
+        transient: false
+      }));
+    });
+  };
+
+  return {
+
+    /** Returns the key that identifies the specified request in the fixtures
+     * index.
+     *
+     * @param {String|Object} requestOptions Url or request options. Cannot be
+     *    null.
+     * @return {String} The request key, never null.
+     */
+    keyOf: keyOf,
+
+    /** Serves the fixture for the specified request.
+     *
+     * @param {String|Object} requestOptions Url or request options. Cannot be
+     *    null.
+     * @param {Function} callback Receives an error, the response and the body
+     *    as parameters. The body is a Buffer if the <code>encoding</code>
+     *    option is null, otherwise it is a String. Cannot be null.
+     */
+    request: function (requestOptions, callback) {
+      resolve(requestOptions, function (err, fixture, response) {
+        var body;
+
+        if (err) {
+          return callback(err);
+        }
+        fs.readFile(path.join(fixturesDir, fixture.file), function (err,
+            data) {
+          if (err) {
+            return callback(err);
+          }
+          body = (requestOptions.encoding === null) ? data :
+            data.toString(requestOptions.encoding || "utf8");
+          callback(null, response, body);
+        });
+      });
+    },
+
+    /** Serves the fixture for the specified request as a stream.
+     *
+     * @param {String|Object} requestOptions Url or request options. Cannot be
+     *    null.
+     * @param {Function} callback Receives an error and the response stream as
+     *    parameters. Cannot be null.
+     */
+    stream: function (requestOptions, callback) {
+      resolve(requestOptions, function (err, fixture, response) {
+        var stream = new PassThrough();
+        var source = null;
+        var aborted = false;
+
+        if (err) {
+          return callback(err);
+        }
+        stream.abort = function () {
+          aborted = true;
+          if (source) {
+            source.unpipe(stream);
+            source.destroy();
+          }
+          stream.end();
+        };
+        callback(null, stream);
+
+        stream.emit("response", response);
+
+        if (!aborted) {
+          source = fs.createReadStream(path.join(fixturesDir, fixture.file));
+          source.on("error", function (err) {
+            stream.emit("error", err);
+          });
+          source.pipe(stream);
+        }
+      });
+    }
+  };
+};
@@ -0,0 +1,66 @@
+/** Default fetcher that performs HTTP requests. Requests are limited by a
+ * <code>RateLimiter</code>.
+ *
+ * A fetcher is any object with the following methods:
+ *
+ * <ul>
+ *   <li><code>request(requestOptions, callback)</code>: performs a request
+ *   and buffers the response. The callback receives an error, the response
+ *   (with <code>statusCode</code> and <code>headers</code>) and the body. The
+ *   body is a Buffer if the <code>encoding</code> option is null.</li>
+ *   <li><code>stream(requestOptions, callback)</code>: performs a request and
+ *   provides the response as a readable stream. The stream emits the
+ *   <code>response</code> event before any data, and it has an
+ *   <code>abort()</code> method to cancel the request.</li>
+ * </ul>
+ *
+ * Request options are the ones supported by the request module, or just an
+ * url.
+ *
+ * @param {Object} [options] Fetcher configuration. Can be null.
+ * @param {RateLimiter} [options.rateLimiter] Limiter for requests. If it is
+ *    not specified, a new limiter is created using these options.
+ * @constructor
+ */
+module.exports = function HttpFetcher(options) {
+
+  /** Limits requests to each host.
+   * @type {Function}
+   * @private
+   * @fieldOf HttpFetcher#
+   */
+  var RateLimiter = require("./RateLimiter");
+
+  /** Limiter used for every request.
+   * @type {RateLimiter}
+   * @private
+   * @fieldOf HttpFetcher#
+   */
+  var rateLimiter = options && options.rateLimiter ||
+    new RateLimiter(options);
+
+  return {
+
+    /** Performs a request and buffers the response.
+     *
+     * @param {String|Object} requestOptions Url or request options. Cannot be
+     *    null.
+     * @param {Function} callback Receives an error, the response and the body
+     *    as parameters. Cannot be null.
+     */
+    request: function (requestOptions, callback) {
+      rateLimiter.request(requestOptions, callback);
+    },
+
+    /** Performs a request and provides the response as a stream.
+     *
+     * @param {String|Object} requestOptions Url or request options. Cannot be
+     *    null.
+     * @param {Function} callback Receives an error and the response stream as
+     *    parameters. Cannot be null.
+     */
+    stream: function (requestOptions, callback) {
+      rateLimiter.stream(requestOptions, callback);
+    }
+  };
+};
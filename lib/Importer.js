@@ -5,6 +5,9 @@
  *
  * It also provides some useful methods to deal with raw data.
  *
+ * Importers are event emitters, look at <code>start()</code> for the list of
+ * events.
+ *
  * @constructor
  */
 module.exports = function Importer(options) {
@@ -36,6 +39,27 @@ module.exports = function Importer(options) {
    */
   var POOL_SIZE = options && options.poolSize || 2;
 
+  /** Maximum share of empty documents listed by a page, beyond it the layout
+   * of the documents is considered changed. Look at
+   * <code>checkDocuments()</code>.
+   * @type Number
+   * @constant
+   * @private
+   * @fieldOf Importer#
+   */
+  var MAX_EMPTY_DOCUMENTS = options && options.maxEmptyDocuments || 0.5;
+
+  /** Network error codes that are considered transient failures, so the
+   * request is retried.
+   * @type String[]
+   * @constant
+   * @private
+   * @fieldOf Importer#
+   */
+  var TRANSIENT_CODES = ["ETIMEDOUT", "ESOCKETTIMEDOUT", "ECONNRESET",
+    "ECONNREFUSED", "ECONNABORTED", "EPIPE", "EAI_AGAIN", "EHOSTUNREACH",
+    "ENETUNREACH"];
+
   /** Node's FileSystem API.
    * @type {Object}
    * @private
@@ -50,12 +74,19 @@ module.exports = function Importer(options) {
    */
   var crypto = require("crypto");
 
-  /** Simple HTTP client for node.
+  /** Limits requests to each host.
    * @type {Function}
    * @private
    * @fieldOf Importer#
    */
-  var request = require("request");
+  var RateLimiter = require("./RateLimiter");
+
+  /** Node's events API.
+   * @type {Function}
+   * @private
+   * @fieldOf Importer#
+   */
+  var EventEmitter = require("events").EventEmitter;
 
   /** Async flow contro library.
    * @type Object
@@ -71,6 +102,43 @@ module.exports = function Importer(options) {
    */
   var extend = require("extend");
 
+  /** Retry policy for failed requests. Delays are in milliseconds.
+   * @type Object
+   * @constant
+   * @private
+   * @fieldOf Importer#
+   */
+  var RETRY = extend({
+    retries: 3,
+    minTimeout: 1000,
+    maxTimeout: 30000,
+    factor: 2,
+    jitter: true
+  }, options && options.retry);
+
+  /** Decodes responses according to their charset.
+   * @type {CharsetDecoder}
+   * @private
+   * @fieldOf Importer#
+   */
+  var charsetDecoder = new (require("./CharsetDecoder"))();
+
+  /** Utility to write files atomically.
+   * @type {AtomicFile}
+   * @private
+   * @fieldOf Importer#
+   */
+  var atomicFile = new (require("./AtomicFile"))();
+
+  /** Hashes of stored items, used to store only items that changed since the
+   * previous import process. It is null if there's no change index file.
+   * @type {ChangeIndex}
+   * @private
+   * @fieldOf Importer#
+   */
+  var changeIndex = options && options.changeIndexFile ?
+    new (require("./ChangeIndex"))(options.changeIndexFile) : null;
+
   /** Utility to create temporary files.
    * @type {Object}
    * @private
@@ -78,6 +146,20 @@ module.exports = function Importer(options) {
    */
   var tmp = require('tmp');
 
+  /** Extracts the text of each page from a PDF file. It takes the file and a
+   * callback that receives an error and the list of pages. Default extractor
+   * uses pdftotext keeping the original layout.
+   * @type {Function}
+   * @private
+   * @fieldOf Importer#
+   */
+  var pdfExtractor = options && options.pdfExtractor ||
+    function (file, callback) {
+      require("pdf-text-extract")(file, {
+        "-layout": ""
+      }, callback);
+    };
+
   /** Lightweight DOM library to parse results.
    * @type Object
    * @private
@@ -97,7 +179,523 @@ module.exports = function Importer(options) {
    * @private
    * @fieldOf Importer#
    */
-  var storers = options.storers || [];
+  var storers = options && options.storers || [];
+
+  /** Stages that process items before they are stored. The pipeline option
+   * is either a <code>StorePipeline</code> or the stages by role.
+   * @type {StorePipeline}
+   * @private
+   * @fieldOf Importer#
+   */
+  var pipeline = (function (config) {
+    if (!config || typeof config.process === "function") {
+      return config || null;
+    }
+    return new (require("./StorePipeline"))(config);
+  }(options && options.pipeline));
+
+  /** Limiter used for every request, shared with other components if it is
+   * provided in the options.
+   * @type {RateLimiter}
+   * @private
+   * @fieldOf Importer#
+   */
+  var rateLimiter = options && options.rateLimiter ||
+    new RateLimiter(options);
+
+  /** Fetcher used for every request. Default fetcher performs HTTP requests
+   * limited by the rate limiter.
+   * @type {Object}
+   * @private
+   * @fieldOf Importer#
+   */
+  var fetcher = options && options.fetcher || new (require("./HttpFetcher"))({
+    rateLimiter: rateLimiter
+  });
+
+  /** Indicates whether the importer works only with the query cache, without
+   * touching the network.
+   * @type Boolean
+   * @constant
+   * @private
+   * @fieldOf Importer#
+   */
+  var OFFLINE = !!(options && options.offline === true);
+
+  /** Urls requested in offline mode that were not found in the cache.
+   * @type {String[]}
+   * @private
+   * @fieldOf Importer#
+   */
+  var missingUrls = [];
+
+  /** Requests that failed after all retries, kept to retry them later.
+   * @type {Object[]}
+   * @private
+   * @fieldOf Importer#
+   */
+  var deadLetters = [];
+
+  /** Names of tasks already executed by this importer, including tasks from
+   * previous runs if the import process was resumed.
+   * @type {String[]}
+   * @private
+   * @fieldOf Importer#
+   */
+  var completedTasks = [];
+
+  /** Tasks that were enqueued but not finished yet.
+   * @type {Object[]}
+   * @private
+   * @fieldOf Importer#
+   */
+  var pendingTasks = [];
+
+  /** Tasks finished with error, kept in the checkpoint to execute them again
+   * if the import process is resumed.
+   * @type {Object[]}
+   * @private
+   * @fieldOf Importer#
+   */
+  var erroredTasks = [];
+
+  /** Indicates whether the import process was stopped by
+   * <code>stop()</code>. Tasks that were not executed yet are kept in the
+   * checkpoint to resume the import process.
+   * @type Boolean
+   * @private
+   * @fieldOf Importer#
+   */
+  var interrupted = false;
+
+  /** Number of tasks finished with error.
+   * @type {Number}
+   * @private
+   * @fieldOf Importer#
+   */
+  var failedTasks = 0;
+
+  /** Number of items saved by storers.
+   * @type {Number}
+   * @private
+   * @fieldOf Importer#
+   */
+  var storedItems = 0;
+
+  /** Error that aborted the import process, if any.
+   * @type {Error}
+   * @private
+   * @fieldOf Importer#
+   */
+  var abortError = null;
+
+  /** Number of items dropped by the pipeline.
+   * @type {Number}
+   * @private
+   * @fieldOf Importer#
+   */
+  var droppedItems = 0;
+
+  /** Number of items skipped because they didn't change.
+   * @type {Number}
+   * @private
+   * @fieldOf Importer#
+   */
+  var unchangedItems = 0;
+
+  /** Saves an item using configured storers. Storers with the
+   * <code>skipUnchanged</code> flag don't receive items that didn't change
+   * since the previous import process.
+   * @param {String} id Item unique identifier. Cannot be null or empty.
+   * @param {Object} data Data to store. Cannot be null.
+   * @param {String} role Role of the item. Cannot be null.
+   * @param {Function} callback Invoked when storers already saved the data.
+   *    It takes an error as parameter. Cannot be null.
+   * @private
+   * @methodOf Importer#
+   */
+  var storeItem = function (id, data, role, callback) {
+    var hash = changeIndex && changeIndex.hash(data);
+    var unchanged = !!changeIndex && !changeIndex.changed(id, hash);
+    var targetStorers = storers.filter(function (storer) {
+      return !unchanged || storer.skipUnchanged !== true;
+    });
+
+    if (unchanged) {
+      unchangedItems += 1;
+      instance.emit("item:unchanged", {
+        id: id,
+        role: role
+      });
+    }
+    async.each(targetStorers, function (storer, nextStorer) {
+      storer.store(id, data, role, nextStorer);
+    }, function (err) {
+      if (!err && !unchanged) {
+        if (changeIndex) {
+          changeIndex.put(id, hash);
+        }
+        storedItems += 1;
+        instance.emit("item:stored", {
+          id: id,
+          role: role,
+          data: data
+        });
+      }
+      callback(err);
+    });
+  };
+
+  /** Returns the url for the specified request.
+   * @param {String|Object} url Url or request options. Cannot be null.
+   * @return {String} The request url, never null.
+   * @private
+   * @methodOf Importer#
+   */
+  var urlOf = function (url) {
+    return (typeof url === "string") ? url : (url.uri || url.url);
+  };
+
+  /** Creates an error for a failed request and classifies it as a transient
+   * or a permanent failure. Timeouts, connection errors and 5xx responses
+   * are transient, anything else is permanent.
+   *
+   * @param {String|Object} url Requested url. Cannot be null.
+   * @param {Error} [cause] Network error, if any. Can be null.
+   * @param {Object} [response] HTTP response, if any. Can be null.
+   * @return {Error} A classified error, never null.
+   * @private
+   * @methodOf Importer#
+   */
+  var createRequestError = function (url, cause, response) {
+    var statusCode = response && response.statusCode;
+    var error = new Error("Request to " + urlOf(url) + " failed: " +
+      (cause ? cause.message || cause : "HTTP status " + statusCode));
+
+    return extend(error, {
+      url: urlOf(url),
+      cause: cause,
+      statusCode: statusCode,
+      transient: cause ? (cause.connect === true ||
+        TRANSIENT_CODES.indexOf(cause.code) > -1) :
+        (statusCode >= 500 || statusCode === 408 || statusCode === 429)
+    });
+  };
+
+  /** Classifies the error of a failed document download as a transient or a
+   * permanent failure, like <code>createRequestError()</code> does.
+   *
+   * @param {String|Object} url Document url. Cannot be null.
+   * @param {Error} err Download error, with the <code>statusCode</code> of
+   *    HTTP error responses. Cannot be null.
+   * @return {Error} A classified error, never null.
+   * @private
+   * @methodOf Importer#
+   */
+  var documentError = function (url, err) {
+    if (err.statusCode) {
+      return createRequestError(url, null, { statusCode: err.statusCode });
+    }
+    return createRequestError(url, err);
+  };
+
+  /** Creates the error for a url that doesn't exist in the query cache in
+   * offline mode, and adds the url to the missing urls report.
+   *
+   * @param {String|Object} url Requested url. Cannot be null.
+   * @return {Error} An error with the <code>ECACHEMISS</code> code, never
+   *    null.
+   * @private
+   * @methodOf Importer#
+   */
+  var cacheMiss = function (url) {
+    if (missingUrls.indexOf(urlOf(url)) === -1) {
+      missingUrls.push(urlOf(url));
+    }
+    return extend(new Error("Cache miss in offline mode: " + urlOf(url)), {
+      code: "ECACHEMISS",
+      url: urlOf(url),
+      transient: false
+    });
+  };
+
+  /** Creates an error for a source page that doesn't have the expected
+   * layout.
+   * @param {String|Object} url Url or request options of the page. Cannot be
+   *    null.
+   * @param {String} expectation Description of the broken expectation.
+   *    Cannot be null.
+   * @return {Error} An error with the <code>ELAYOUT</code> code, never null.
+   * @private
+   * @methodOf Importer#
+   */
+  var layoutError = function (url, expectation) {
+    return extend(new Error("Source layout changed at " + urlOf(url) + ": " +
+      expectation), {
+      code: "ELAYOUT",
+      url: urlOf(url),
+      expectation: expectation,
+      transient: false
+    });
+  };
+
+  /** Checks a page against the structural expectations of the importer.
+   * @param {String|Object} url Url or request options of the page. Cannot be
+   *    null.
+   * @param {Function} $ DOM of the page. Cannot be null.
+   * @param {Object[]} expectations Expectations to check. Cannot be null.
+   * @return {Error} An <code>ELAYOUT</code> error for the first broken
+   *    expectation, or null if the page matches all of them.
+   * @private
+   * @methodOf Importer#
+   */
+  var checkExpectations = function (url, $, expectations) {
+    var broken = null;
+
+    expectations.some(function (expectation) {
+      var elements = $(expectation.selector);
+      var min = expectation.min === undefined ? 1 : expectation.min;
+      var content;
+      var missingText;
+
+      if (elements.length < min) {
+        broken = "expected at least " + min + " elements matching '" +
+          expectation.selector + "', found " + elements.length;
+      } else if (expectation.text) {
+        content = elements.text().replace(/\s+/g, " ");
+        missingText = [].concat(expectation.text).filter(function (text) {
+          return (text instanceof RegExp) ? !text.test(content) :
+            content.indexOf(text) === -1;
+        });
+
+        if (missingText.length > 0) {
+          broken = "expected text " + missingText.join(", ") + " in '" +
+            expectation.selector + "'";
+        }
+      }
+      if (broken && expectation.description) {
+        broken = expectation.description + " (" + broken + ")";
+      }
+      return broken !== null;
+    });
+
+    return broken ? layoutError(url, broken) : null;
+  };
+
+  /** Calculates the delay before the next retry using exponential backoff.
+   * If jitter is enabled, the delay is randomized between half and the full
+   * backoff.
+   *
+   * @param {Number} attempt Number of the failed attempt, starting at 0.
+   * @return {Number} Delay in milliseconds, never null.
+   * @private
+   * @methodOf Importer#
+   */
+  var backoff = function (attempt) {
+    var delay = Math.min(RETRY.maxTimeout,
+      RETRY.minTimeout * Math.pow(RETRY.factor, attempt));
+
+    if (RETRY.jitter) {
+      delay = delay / 2 + Math.random() * delay / 2;
+    }
+    return Math.round(delay);
+  };
+
+  /** Fetches the specified url retrying transient failures. The response body
+   * is decoded according to the charset declared by the response, or to the
+   * <code>charset</code> option if it is set.
+   *
+   * @param {String|Object} url Url or request options. Cannot be null.
+   * @param {Function} callback Receives an error, the response body and the
+   *    response as parameters. Cannot be null.
+   * @private
+   * @methodOf Importer#
+   */
+  var fetch = function (url, callback) {
+    var attempt = 0;
+    var requestOptions = extend({}, (typeof url === "string") ?
+      { uri: url } : url, { encoding: null });
+    var doRequest = function () {
+      fetcher.request(requestOptions, function (err, response, body) {
+        var error;
+
+        if (!err && response.statusCode === 200) {
+          return callback(null, charsetDecoder.decode(body,
+            response.headers["content-type"], options.charset), response);
+        }
+        error = createRequestError(url, err, response);
+        error.attempts = attempt + 1;
+
+        if (error.transient && attempt < RETRY.retries) {
+          LOG.info(error.message + ". Retrying (" + (attempt + 1) + "/" +
+            RETRY.retries + ").");
+          setTimeout(doRequest, Math.max(backoff(attempt),
+            rateLimiter.retryAfter(response)));
+          attempt += 1;
+        } else {
+          callback(error);
+        }
+      });
+    };
+    doRequest();
+  };
+
+  /** Puts a response into the query cache, if any, with its metadata.
+   * @param {String|Object} url Requested url or request options. Cannot be
+   *    null.
+   * @param {String} body Response body. Cannot be null.
+   * @param {Object} response HTTP response. Cannot be null.
+   * @private
+   * @methodOf Importer#
+   */
+  var putIntoCache = function (url, body, response) {
+    if (options.queryCache) {
+      options.queryCache.put(url, body, {
+        charset: options.charset || null,
+        status: response.statusCode,
+        etag: response.headers.etag || null,
+        lastModified: response.headers["last-modified"] || null,
+        contentType: response.headers["content-type"] || null
+      });
+    }
+  };
+
+  /** Removes a request from the dead-letter list.
+   *
+   * @param {String|Object} url Url or request options. Cannot be null.
+   * @private
+   * @methodOf Importer#
+   */
+  var removeDeadLetter = function (url) {
+    var key = JSON.stringify(url);
+
+    deadLetters = deadLetters.filter(function (deadLetter) {
+      return JSON.stringify(deadLetter.request) !== key;
+    });
+  };
+
+  /** Adds a failed request to the dead-letter list, replacing any previous
+   * entry for the same url.
+   *
+   * @param {String|Object} url Failed url or request options. Cannot be null.
+   * @param {Error} err Failure cause. Cannot be null.
+   * @param {Boolean} [binary] Indicates whether the request is a binary
+   *    document fetched by <code>fetchDocument()</code>. Default is false.
+   * @private
+   * @methodOf Importer#
+   */
+  var addDeadLetter = function (url, err, binary) {
+    removeDeadLetter(url);
+    deadLetters.push({
+      request: url,
+      url: urlOf(url),
+      error: err.message || String(err),
+      statusCode: err.statusCode,
+      transient: err.transient === true,
+      binary: binary === true,
+      attempts: err.attempts || 1,
+      date: new Date()
+    });
+  };
+
+  /** Fetches a dead letter again and puts the response into the query cache.
+   * Binary documents are downloaded like <code>fetchDocument()</code> does,
+   * pages are decoded and cached like <code>initEnv()</code> does.
+   *
+   * @param {Object} deadLetter Dead letter to fetch. Cannot be null.
+   * @param {Function} callback Receives an error as parameter. Cannot be
+   *    null.
+   * @private
+   * @methodOf Importer#
+   */
+  var refetch = function (deadLetter, callback) {
+    if (!deadLetter.binary) {
+      return fetch(deadLetter.request, function (err, body, response) {
+        if (!err) {
+          putIntoCache(deadLetter.request, body, response);
+        }
+        callback(err);
+      });
+    }
+    options.queryCache.put(deadLetter.request, function (err) {
+      callback(err && documentError(deadLetter.request, err));
+    });
+  };
+
+  /** Writes the dead-letter list to the configured file, if any.
+   * @private
+   * @methodOf Importer#
+   */
+  var saveDeadLetters = function () {
+    if (options.deadLetterFile) {
+      atomicFile.writeFileSync(options.deadLetterFile,
+        JSON.stringify(deadLetters, null, 2));
+    }
+  };
+
+  /** Writes the current import state to the checkpoint file, if any. The
+   * checkpoint has the completed tasks, the tasks in flight, the tasks that
+   * failed and the importer specific state.
+   * @private
+   * @methodOf Importer#
+   */
+  var saveCheckpoint = function () {
+    if (options.checkpointFile) {
+      atomicFile.writeFileSync(options.checkpointFile, JSON.stringify({
+        role: options.role,
+        date: new Date(),
+        completed: completedTasks,
+        inFlight: pendingTasks,
+        failed: erroredTasks,
+        state: instance.getState()
+      }, null, 2));
+    }
+  };
+
+  /** Reads the checkpoint file and restores the import state. The importer
+   * specific state is provided to the subclass through
+   * <code>restoreState()</code>.
+   *
+   * @return {Object[]} Returns the tasks that were in flight or failed when
+   *    the checkpoint was saved, never null.
+   * @private
+   * @methodOf Importer#
+   */
+  var restoreCheckpoint = function () {
+    var checkpoint;
+
+    if (!options.checkpointFile || !fs.existsSync(options.checkpointFile)) {
+      LOG.info("No checkpoint found, starting a new import process.");
+      return [];
+    }
+    checkpoint = JSON.parse(fs.readFileSync(options.checkpointFile));
+    completedTasks = checkpoint.completed || [];
+    instance.restoreState(checkpoint.state);
+
+    LOG.info("Resuming import process from checkpoint saved at " +
+      checkpoint.date + ". Completed tasks: " + completedTasks.length);
+
+    return (checkpoint.inFlight || []).concat(checkpoint.failed || []);
+  };
+
+  /** Registers a handler for a queue event. Old versions of async take
+   * handlers as properties of the queue, newer versions take them through
+   * methods.
+   *
+   * @param {Object} queue Queue to listen. Cannot be null.
+   * @param {String} event Event name, either "empty" or "drain". Cannot be
+   *    null.
+   * @param {Function} handler Event handler. Cannot be null.
+   * @private
+   * @methodOf Importer#
+   */
+  var listen = function (queue, event, handler) {
+    queue[event] = handler;
+
+    if (queue[event] !== handler) {
+      queue[event](handler);
+    }
+  };
 
   /** Checks whether the specified object is a valid DOM element.
    * @param {Object} element Object to check. Cannot be null.
@@ -134,7 +732,7 @@ module.exports = function Importer(options) {
     } else if (typeof element === "string") {
       if (html) {
         context = cheerio.load(element);
-        content = context("*").text();
+        content = context.root().text();
       } else {
         content = element;
       }
@@ -155,20 +753,95 @@ module.exports = function Importer(options) {
     // TODO(seykron): most of time in the process is the DOM parsing. Find
     // a better implementation.
     process.nextTick(function () {
-      var $ = cheerio.load(html);
+      var $;
+
+      try {
+        $ = cheerio.load(html);
+      } catch (cause) {
+        return callback(extend(new Error("Cannot parse document: " + cause), {
+          cause: cause,
+          transient: false
+        }));
+      }
       callback(null, $);
     });
   };
 
+  /** Reads a stream into memory.
+   * @param {Stream} stream Stream to read. Cannot be null.
+   * @param {Function} callback Receives an error and a Buffer with the
+   *    content as parameters. Cannot be null.
+   * @private
+   * @methodOf Importer#
+   */
+  var readStream = function (stream, callback) {
+    var chunks = [];
+
+    stream.on("data", function (chunk) {
+      chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk);
+    });
+    stream.on("error", callback);
+    stream.on("end", function () {
+      callback(null, Buffer.concat(chunks));
+    });
+  };
+
+  /** Normalizes extracted text: trailing white spaces are removed and runs of
+   * blank lines are collapsed. Form feeds between PDF pages are kept.
+   * @param {String} content Text to normalize. Cannot be null.
+   * @return {String} The normalized text, never null.
+   * @private
+   * @methodOf Importer#
+   */
+  var normalizeText = function (content) {
+    return content.split(/\r?\n/).map(function (line) {
+      return line.replace(/[ \t\u00a0]+$/, "");
+    }).join("\n").replace(/\n{3,}/g, "\n\n").trim();
+  };
+
+  /** Extracts the text of an HTML document.
+   * @param {String} html Document to read. Cannot be null.
+   * @return {String} The text of the document body, never null.
+   * @private
+   * @methodOf Importer#
+   */
+  var htmlText = function (html) {
+    var $ = cheerio.load(html);
+
+    $("script, style, head").remove();
+    $("br").replaceWith("\n");
+    $("p, div, tr, li, h1, h2, h3, h4, h5, h6").each(function (index, el) {
+      $(el).append("\n");
+    });
+    return $.root().text().split("\n").map(function (line) {
+      return line.replace(/[ \t\u00a0]+/g, " ").trim();
+    }).join("\n");
+  };
+
   (function __constructor() {
+    EventEmitter.call(instance);
+
+    if (options && options.deadLetterFile &&
+        fs.existsSync(options.deadLetterFile)) {
+      deadLetters = JSON.parse(fs.readFileSync(options.deadLetterFile));
+    }
+
     // Closes storers when the process is terminated by pressing Ctrl+C. It
-    // doesn't work on Windows yet.
-    process.on('SIGINT', function() {
-      storers.forEach(function (storer) {
-        storer.close();
+    // doesn't work on Windows yet. Long-running processes that create many
+    // importers handle signals by themselves.
+    if (!options || options.handleSignals !== false) {
+      process.on('SIGINT', function() {
+        storers.forEach(function (storer) {
+          storer.close();
+        });
+        saveDeadLetters();
+        saveCheckpoint();
+        if (changeIndex) {
+          changeIndex.save();
+        }
+        process.exit();
       });
-      process.exit();
-    });
+    }
   }());
 
   return extend(instance, {
@@ -192,25 +865,58 @@ module.exports = function Importer(options) {
     },
 
     /** Initializes the import environment for the specified url. It uses the
-     * cache if possible.
+     * cache if possible. In offline mode, urls that are not in the cache fail
+     * with an <code>ECACHEMISS</code> error and they are never fetched.
+     *
+     * Transient failures are retried according to the <code>retry</code>
+     * option. Requests that still fail are added to the dead-letter list and
+     * the callback receives an error with the <code>transient</code> flag.
+     *
+     * If layout expectations are specified, the page is checked against them
+     * and the callback receives an <code>ELAYOUT</code> error if the page
+     * doesn't match, look at <code>checkLayout()</code>.
      *
      * @param {String} url Url to fetch and load into the import environment.
      *    Cannot be null or empty.
+     * @param {Object[]} [expectations] Layout expectations of the page. Can be
+     *    null.
      * @param {Function} callback Callback that receives results. It takes an
      *    error and the DOM Window instance as parameters. Cannot be null.
      */
-    initEnv: function (url, callback) {
-      var doFetch = function () {
-        request(url, function (err, response, body) {
-          if (!err && response.statusCode === 200) {
-            if (options.queryCache) {
-              options.queryCache.put(url, body);
-            }
+    initEnv: function (url, expectations, callback) {
+      var envCallback;
+      var doFetch;
 
-            createEnv(body, callback);
-          } else {
-            callback(err);
+      if (typeof expectations === "function") {
+        callback = expectations;
+        expectations = null;
+      }
+      // Pages that are processed again leave the dead-letter list.
+      envCallback = function (err, $) {
+        var error = err || (expectations &&
+          checkExpectations(url, $, expectations)) || null;
+
+        if (!error) {
+          removeDeadLetter(url);
+        }
+        callback(error, $);
+      };
+      doFetch = function () {
+        if (OFFLINE) {
+          return callback(cacheMiss(url));
+        }
+        fetch(url, function (err, body, response) {
+          if (err) {
+            addDeadLetter(url, err);
+            return callback(err);
           }
+          putIntoCache(url, body, response);
+          createEnv(body, function (err, $) {
+            if (err) {
+              addDeadLetter(url, err);
+            }
+            envCallback(err, $);
+          });
         });
       };
       if (options.queryCache) {
@@ -219,7 +925,7 @@ module.exports = function Importer(options) {
           if (err) {
             doFetch();
           } else {
-            createEnv(pageData, callback);
+            createEnv(pageData, envCallback);
           }
         });
       } else {
@@ -227,29 +933,238 @@ module.exports = function Importer(options) {
       }
     },
 
-    /** Starts the importer and notifies every time a task is processed.
+    /** Fetches a binary document either from the cache or from the network.
+     * Documents are put into the query cache, which is required. In offline
+     * mode, documents that are not in the cache fail with an
+     * <code>ECACHEMISS</code> error. Failed downloads are added to the
+     * dead-letter list.
+     *
+     * @param {String} fileUrl Url of the document. Cannot be null.
+     * @param {Function} callback Invoked to provide the document. It takes an
+     *    error and a read stream for the document. Cannot be null.
+     */
+    fetchDocument: function (fileUrl, callback) {
+      options.queryCache.exists(fileUrl, function(err, exists) {
+        if (err) {
+          return callback(err);
+        }
+        if (exists) {
+          removeDeadLetter(fileUrl);
+          options.queryCache.get(fileUrl, callback);
+        } else if (OFFLINE) {
+          callback(cacheMiss(fileUrl));
+        } else {
+          options.queryCache.put(fileUrl, function (err) {
+            if (err) {
+              err = documentError(fileUrl, err);
+              addDeadLetter(fileUrl, err, true);
+              return callback(err);
+            }
+            removeDeadLetter(fileUrl);
+            options.queryCache.get(fileUrl, callback);
+          });
+        }
+      });
+    },
+
+    /** Fetches a document through the query cache and extracts its plain
+     * text. PDF documents are converted with the PDF extractor, pages are
+     * separated by form feeds. Other documents are read as HTML.
+     *
+     * @param {String} fileUrl Url of the document. Cannot be null.
+     * @param {Function} callback Receives an error and the document as
+     *    parameters. The document has the <code>type</code> (pdf or html),
+     *    the <code>contentType</code> declared by the server, if any, and the
+     *    <code>text</code>. Cannot be null.
+     */
+    fetchDocumentText: function (fileUrl, callback) {
+      var getMetadata = function (next) {
+        if (typeof options.queryCache.getMetadata !== "function") {
+          return next(null);
+        }
+        options.queryCache.getMetadata(fileUrl, function (err, metadata) {
+          next(metadata || null);
+        });
+      };
+
+      instance.fetchDocument(fileUrl, function (err, stream) {
+        if (err) {
+          return callback(err);
+        }
+        readStream(stream, function (err, content) {
+          if (err) {
+            return callback(err);
+          }
+          getMetadata(function (metadata) {
+            var contentType = (metadata && metadata.contentType) || null;
+            var isPdf = /pdf/i.test(contentType || "") ||
+              content.slice(0, 4).toString() === "%PDF" ||
+              (!contentType && /\.pdf$/i.test(urlOf(fileUrl)));
+
+            if (!isPdf) {
+              return callback(null, {
+                type: "html",
+                contentType: contentType,
+                text: normalizeText(htmlText(charsetDecoder.decode(content,
+                  contentType, options.charset)))
+              });
+            }
+            instance.writeTempFile(content, function (err, file) {
+              if (err) {
+                return callback(err);
+              }
+              instance.extractPdfText(file, function (err, pages) {
+                fs.unlink(file, function () {});
+
+                if (err) {
+                  return callback(err);
+                }
+                callback(null, {
+                  type: "pdf",
+                  contentType: contentType,
+                  text: normalizeText(pages.join("\f"))
+                });
+              });
+            });
+          });
+        });
+      });
+    },
+
+    /** Returns the urls that were not found in the cache in offline mode.
+     * @return {String[]} A list of urls, never null.
+     */
+    getMissingUrls: function () {
+      return missingUrls.slice();
+    },
+
+    /** Returns the importer specific state to save into checkpoints, for
+     * instance the current page or period. Subclasses that support resumable
+     * imports must override this method.
+     *
+     * @return {Object} A JSON serializable state, or null if there's no state.
+     */
+    getState: function () {
+      return null;
+    },
+
+    /** Restores the importer specific state from a checkpoint. It is invoked
+     * before enqueuing any task.
      *
-     * @param {Function} [progressCallback] Function invoked when a group of
-     *    tasks are already processed.
+     * @param {Object} state State previously returned by
+     *    <code>getState()</code>. Can be null.
+     */
+    restoreState: function (state) {
+    },
+
+    /** Starts the importer and notifies the progress through events:
+     *
+     * <ul>
+     *   <li><code>task:start</code>: a task started. Receives
+     *      <code>{ task, pending }</code>.</li>
+     *   <li><code>task:done</code>: a task finished successfully. Receives
+     *      <code>{ task, exit, elapsed }</code>.</li>
+     *   <li><code>task:error</code>: a task finished with error. Receives
+     *      <code>{ task, error, transient, elapsed }</code>.</li>
+     *   <li><code>item:stored</code>: an item was saved by all storers.
+     *      Receives <code>{ id, role, data }</code>.</li>
+     *   <li><code>item:unchanged</code>: an item didn't change since the
+     *      previous import process, so it was stored only by storers without
+     *      the <code>skipUnchanged</code> flag. Receives
+     *      <code>{ id, role }</code>.</li>
+     *   <li><code>item:dropped</code>: an item was dropped by the pipeline.
+     *      Receives <code>{ id, role }</code>.</li>
+     *   <li><code>queue:empty</code>: the queue is empty and new tasks were
+     *      enqueued. Receives <code>{ enqueued, pending }</code>.</li>
+     *   <li><code>page:eof</code>: the data source has no more data. Receives
+     *      <code>{ task }</code>.</li>
+     *   <li><code>end</code>: the import process finished. Receives
+     *      <code>{ completed, failed, items, unchanged, dropped, deadLetters,
+     *      missing, error, elapsed }</code>, where <code>missing</code> is the
+     *      list of urls not found in the cache in offline mode and
+     *      <code>error</code> is the message of the error that aborted the
+     *      import process, if any.</li>
+     * </ul>
+     *
+     * A task that fails with an <code>ELAYOUT</code> error aborts the import
+     * process, because the source page changed and the importer would store
+     * garbage. The end callback receives that error.
+     *
+     * If the <code>resume</code> option is set, it continues from the last
+     * checkpoint: tasks in flight and tasks that failed are enqueued again and
+     * the importer state is restored. The checkpoint is removed when the
+     * import process finishes without failed tasks.
+     *
+     * @param {Function} [progressCallback] Function invoked without arguments
+     *    when the queue is empty, with an error after each task, and with
+     *    <code>(null, true)</code> when the import process finished.
+     * @param {Function} [endCallback] Invoked when the import process finished.
+     *    It takes an error and the <code>end</code> event payload as
+     *    parameters.
      */
     start: function (progressCallback, endCallback) {
+      var resumedTasks = options.resume ? restoreCheckpoint() : [];
+      var startTime = Date.now();
       var queue = async.queue(function (task, callback) {
+        var taskStart = Date.now();
+
         if (stop) {
           LOG.info("Task '" + task.name + "' aborted.");
+
+          if (!interrupted) {
+            // The import process finished, there's nothing to resume.
+            pendingTasks.splice(pendingTasks.indexOf(task), 1);
+          }
           return callback();
         }
+        instance.emit("task:start", {
+          task: task,
+          pending: pendingTasks.length
+        });
 
         // Let GC do its job.
         process.nextTick(function () {
           instance.execute(task, function (err, exit) {
+            pendingTasks.splice(pendingTasks.indexOf(task), 1);
+
+            // The task that found the end of data is completed anyway.
+            if (err && !exit) {
+              erroredTasks.push(task);
+            } else {
+              completedTasks.push(task.name);
+            }
+            saveCheckpoint();
+
             if (err) {
               LOG.info("Task '" + task.name + "' in error: " + err);
+              failedTasks += 1;
+
+              if (instance.isLayoutError(err) && !abortError) {
+                LOG.error(err.message + ". Aborting the import process.");
+                abortError = err;
+                stop = true;
+              }
+              instance.emit("task:error", {
+                task: task,
+                error: err,
+                transient: instance.isTransientError(err),
+                elapsed: Date.now() - taskStart
+              });
+            } else {
+              instance.emit("task:done", {
+                task: task,
+                exit: !!exit,
+                elapsed: Date.now() - taskStart
+              });
             }
             if (progressCallback) {
               progressCallback(err);
             }
             if (exit) {
               stop = true;
+              instance.emit("page:eof", {
+                task: task
+              });
             }
             try {
               callback(err);
@@ -259,50 +1174,283 @@ module.exports = function Importer(options) {
           });
         });
       }, POOL_SIZE);
-
-      queue.empty = function () {
+      var enqueue = function (task) {
+        pendingTasks.push(task);
+        queue.push(task);
+      };
+      var onEmpty = function () {
+        var enqueued = 0;
         var i;
         var task;
 
-        progressCallback();
+        if (progressCallback) {
+          progressCallback();
+        }
 
+        // Don't add tasks that will be aborted anyway.
+        if (stop) {
+          return;
+        }
         LOG.info("Queue empty. Adding another " + POOL_SIZE +
           " pages to the queue.");
         for (i = 0; i < POOL_SIZE; i++) {
           task = instance.enqueueTask();
 
           if (task) {
-            queue.push(task);
+            enqueue(task);
+            enqueued += 1;
           }
         }
+        saveCheckpoint();
+        instance.emit("queue:empty", {
+          enqueued: enqueued,
+          pending: pendingTasks.length
+        });
       };
-      queue.drain = function () {
-        if (stop) {
-          storers.forEach(function (storer) {
-            storer.close();
-          });
+      var onDrain = function () {
+        // The queue also drains when there are no more tasks to enqueue, for
+        // instance if resumed tasks finished after the end of data.
+        stop = true;
+
+        storers.forEach(function (storer) {
+          storer.close();
+        });
+        if (progressCallback) {
           progressCallback(null, true);
         }
+        saveDeadLetters();
+        if (changeIndex) {
+          changeIndex.save();
+        }
+        if (deadLetters.length > 0) {
+          LOG.info(deadLetters.length + " requests failed. See the " +
+            "dead-letter list to retry them.");
+        }
+        if (options.checkpointFile &&
+            fs.existsSync(options.checkpointFile) &&
+            pendingTasks.length === 0 && erroredTasks.length === 0) {
+          fs.unlinkSync(options.checkpointFile);
+        }
+        if (OFFLINE) {
+          LOG.info(missingUrls.length + " urls were not found in the " +
+            "cache:\n" + missingUrls.join("\n"));
+        }
+        instance.emit("end", {
+          completed: completedTasks.length,
+          failed: failedTasks,
+          items: storedItems,
+          unchanged: unchangedItems,
+          dropped: droppedItems,
+          error: abortError ? abortError.message : null,
+          deadLetters: deadLetters.length,
+          missing: missingUrls.slice(),
+          elapsed: Date.now() - startTime
+        });
       };
-      queue.empty();
+
+      if (endCallback) {
+        instance.on("end", function (summary) {
+          endCallback(abortError, summary);
+        });
+      }
+
+      listen(queue, "empty", onEmpty);
+      listen(queue, "drain", onDrain);
+
+      if (resumedTasks.length > 0) {
+        resumedTasks.forEach(enqueue);
+      } else {
+        onEmpty();
+      }
     },
 
-    /** Stops the import process after current pages are finished.
+    /** Stops the import process after current pages are finished. Tasks that
+     * were not executed yet are kept in the checkpoint.
      */
     stop: function () {
+      interrupted = true;
       stop = true;
     },
 
-    /** Stores the specified data using configured storers.
+    /** Returns the requests that failed after all retries.
+     *
+     * @return {Object[]} A list of dead letters, each one with the failed
+     *    <code>url</code>, the <code>error</code> message, the HTTP
+     *    <code>statusCode</code> if any, whether the failure was
+     *    <code>transient</code>, whether the request is a
+     *    <code>binary</code> document, the number of <code>attempts</code>,
+     *    the failure <code>date</code> and whether it was
+     *    <code>refetched</code> by <code>retryDeadLetters()</code>. Never
+     *    null.
+     */
+    getDeadLetters: function () {
+      return deadLetters.slice();
+    },
+
+    /** Reports a request that cannot be processed, for instance because the
+     * response cannot be parsed. It is added to the dead-letter list.
+     *
+     * @param {String|Object} url Failed url or request options. Cannot be null.
+     * @param {Error} err Failure cause. Cannot be null.
+     */
+    deadLetter: function (url, err) {
+      addDeadLetter(url, err);
+    },
+
+    /** Determines whether the specified error means that the layout of a
+     * source page changed.
+     *
+     * @param {Error} err Error to check. Can be null.
+     * @return {Boolean} true if the error is a layout error, false otherwise.
+     */
+    isLayoutError: function (err) {
+      return !!(err && err.code === "ELAYOUT");
+    },
+
+    /** Checks a page against structural expectations. Each expectation has a
+     * CSS <code>selector</code>, the <code>min</code> number of elements that
+     * must match it (default is 1), an optional <code>text</code>, either a
+     * string, a regular expression or a list of them, that must be found in
+     * the matching elements, and an optional <code>description</code> of the
+     * expectation for error messages.
+     *
+     * @param {String|Object} url Url or request options of the page. Cannot
+     *    be null.
+     * @param {Function} $ DOM of the page. Cannot be null.
+     * @param {Object[]} expectations Expectations to check. Cannot be null.
+     * @return {Error} An error with the <code>ELAYOUT</code> code that names
+     *    the url and the broken expectation, or null if the page matches.
+     */
+    checkLayout: function (url, $, expectations) {
+      return checkExpectations(url, $, expectations);
+    },
+
+    /** Creates the error for a source document that doesn't match the
+     * expectations of the importer, for documents that are not parsed with
+     * <code>checkLayout()</code> like PDF files.
+     *
+     * @param {String|Object} url Url or request options of the document.
+     *    Cannot be null.
+     * @param {String} expectation Description of the broken expectation.
+     *    Cannot be null.
+     * @return {Error} An error with the <code>ELAYOUT</code> code, never null.
+     */
+    layoutError: function (url, expectation) {
+      return layoutError(url, expectation);
+    },
+
+    /** Checks the documents listed by a page after they are parsed, for
+     * documents like vote PDF files that are not parsed with
+     * <code>checkLayout()</code>. A single document without data doesn't mean
+     * the layout changed: it's added to the dead-letter list so the rest of
+     * the page is still imported. If no document has data, or the share of
+     * empty documents exceeds the <code>maxEmptyDocuments</code> option, the
+     * documents layout changed.
+     *
+     * @param {String|Object} url Url or request options of the page that
+     *    lists the documents. Cannot be null.
+     * @param {Number} total Number of documents listed by the page. Cannot be
+     *    null.
+     * @param {String[]} emptyUrls Urls of the documents without data. Cannot
+     *    be null.
+     * @param {String} expectation Description of the expected data, like
+     *    "expected vote rows in the documents". Cannot be null.
+     * @return {Error} An error with the <code>ELAYOUT</code> code, or null if
+     *    the documents are fine.
+     */
+    checkDocuments: function (url, total, emptyUrls, expectation) {
+      emptyUrls.forEach(function (documentUrl) {
+        LOG.error("No data found in " + documentUrl);
+        addDeadLetter(documentUrl, new Error("No data found in the document"));
+      });
+      if (total > 0 && (emptyUrls.length === total ||
+          emptyUrls.length / total > MAX_EMPTY_DOCUMENTS)) {
+        return layoutError(url, expectation + " (" + emptyUrls.length +
+          " of " + total + " documents are empty)");
+      }
+      return null;
+    },
+
+    /** Determines whether the specified error is a transient failure that may
+     * succeed if the operation is retried.
+     *
+     * @param {Error} err Error to check. Can be null.
+     * @return {Boolean} true if the error is transient, false otherwise.
+     */
+    isTransientError: function (err) {
+      return !!(err && err.transient);
+    },
+
+    /** Fetches again the requests in the dead-letter list that failed for
+     * transient reasons. Permanent failures, like pages that cannot be
+     * parsed, are not retried. Responses are put into the query cache so the
+     * next import process doesn't hit the network. Requests stay in the list,
+     * flagged as <code>refetched</code>, until the next import process
+     * processes them successfully.
+     *
+     * @param {Function} callback Invoked when all requests were retried. It
+     *    takes an error and the list of fetched urls as parameters. Cannot
+     *    be null.
+     */
+    retryDeadLetters: function (callback) {
+      var fetched = [];
+
+      if (OFFLINE) {
+        return callback(new Error("Cannot retry requests in offline mode."));
+      }
+
+      async.eachLimit(deadLetters.filter(function (deadLetter) {
+        return deadLetter.transient && !deadLetter.refetched;
+      }), POOL_SIZE, function (deadLetter, next) {
+        refetch(deadLetter, function (err) {
+          if (err) {
+            addDeadLetter(deadLetter.request, extend(err, {
+              attempts: deadLetter.attempts + (err.attempts || 1)
+            }), deadLetter.binary);
+            return next();
+          }
+          deadLetter.refetched = true;
+          fetched.push(deadLetter.url);
+          next();
+        });
+      }, function (err) {
+        saveDeadLetters();
+        callback(err, fetched);
+      });
+    },
+
+    /** Stores the specified data using configured storers. If there's a
+     * pipeline, the item is processed by the pipeline stages and the
+     * resulting items are stored instead. If there's a change index, items
+     * that didn't change since the previous import process are not stored
+     * again.
      * @param {String} id Item unique identifier. Cannot be null or empty.
      * @param {Object} data Data to store. Cannot be null.
      * @param {Function} callback Invoked when storers already saved the data.
      *    It takes an error as parameter. Cannot be null.
      */
     store: function (id, data, callback) {
-      async.each(storers, function (storer, nextStorer) {
-        storer.store(id, data, options.role || "", nextStorer);
-      }, callback);
+      var role = options.role || "";
+
+      if (!pipeline || !pipeline.hasStages(role)) {
+        return storeItem(id, data, role, callback);
+      }
+      pipeline.process(id, data, role, function (err, items) {
+        if (err) {
+          return callback(err);
+        }
+        if (items.length === 0) {
+          droppedItems += 1;
+          instance.emit("item:dropped", {
+            id: id,
+            role: role
+          });
+          return callback();
+        }
+        async.eachSeries(items, function (item, nextItem) {
+          storeItem(item.id, item.data, item.role || role, nextItem);
+        }, callback);
+      });
     },
 
     /** Strips non white characters from  a string.
@@ -377,10 +1525,21 @@ module.exports = function Importer(options) {
       return instance.trim(text(element) || defaultText);
     },
 
+    /** Extracts the text of each page from a PDF file, using the extractor
+     * provided in the <code>pdfExtractor</code> option if any.
+     *
+     * @param {String} file PDF file to read. Cannot be null or empty.
+     * @param {Function} callback Receives an error and the list of pages as
+     *    parameters. Cannot be null.
+     */
+    extractPdfText: function (file, callback) {
+      pdfExtractor(file, callback);
+    },
+
     /** Creates a temporary file and writes the specified data.
      *
-     * @param {String|Stream} content Data to write into the temp file. May be
-     *    a String content or a read Stream. Cannot be null.
+     * @param {String|Buffer|Stream} content Data to write into the temp file.
+     *    May be a String or Buffer content or a read Stream. Cannot be null.
      * @param {Function} callback Invoked to provide the temporary file. It
      *    takes a file as parameter. Cannot be null.
      */
@@ -393,12 +1552,12 @@ module.exports = function Importer(options) {
         }
 
         if (typeof content === "string" ||
-          content instanceof String) {
+          content instanceof String || Buffer.isBuffer(content)) {
           fs.writeFile(path, content, function (err) {
             if (err) {
               return callback(err);
             }
-            callback(path);
+            callback(null, path);
           });
         } else {
           fsStream = fs.createWriteStream(path);
@@ -480,3 +1639,5 @@ module.exports = function Importer(options) {
     }
   });
 };
+
+require("util").inherits(module.exports, require("events").EventEmitter);
@@ -0,0 +1,218 @@
+/** Reads items written by the <code>NdjsonStorer</code> one by one, without
+ * loading files into memory. Compressed files are detected by their
+ * <code>.gz</code> extension.
+ *
+ * An incomplete last line, left by an interrupted import process, is
+ * skipped.
+ *
+ * @param {String|String[]} source Either a file, a list of files or a
+ *    directory. Directories are read in file name order. Cannot be null.
+ * @param {Object} [options] Reader configuration. Can be null.
+ * @param {String} [options.prefix] Reads only files that start with this
+ *    prefix, for instance the role of files split by role. Can be null.
+ * @constructor
+ */
+module.exports = function NdjsonReader(source, options) {
+
+  /** Expression that matches NDJSON file names.
+   * @type RegExp
+   * @constant
+   * @private
+   * @fieldOf NdjsonReader#
+   */
+  var FILE_EXPR = /\.ndjson(\.gz)?$/;
+
+  /** Node's FileSystem API.
+   * @type {Object}
+   * @private
+   * @fieldOf NdjsonReader#
+   */
+  var fs = require("fs");
+
+  /** Node's Path API.
+   * @type {Object}
+   * @private
+   * @fieldOf NdjsonReader#
+   */
+  var path = require("path");
+
+  /** Node's compression API.
+   * @type {Object}
+   * @private
+   * @fieldOf NdjsonReader#
+   */
+  var zlib = require("zlib");
+
+  /** Node's streams API.
+   * @type {Object}
+   * @private
+   * @fieldOf NdjsonReader#
+   */
+  var stream = require("stream");
+
+  /** Returns the files to read.
+   * @return {String[]} The list of files, never null.
+   * @private
+   * @methodOf NdjsonReader#
+   */
+  var listFiles = function () {
+    var prefix = (options && options.prefix) || "";
+
+    if (Array.isArray(source)) {
+      return source;
+    }
+    if (!fs.statSync(source).isDirectory()) {
+      return [source];
+    }
+    return fs.readdirSync(source).filter(function (file) {
+      return FILE_EXPR.test(file) && file.indexOf(prefix) === 0;
+    }).sort().map(function (file) {
+      return path.join(source, file);
+    });
+  };
+
+  /** Creates a stream that splits text into lines and parses each line.
+   * @return {Stream} A transform stream in object mode, never null.
+   * @private
+   * @methodOf NdjsonReader#
+   */
+  var createParser = function () {
+    var pending = "";
+    var parser = new stream.Transform({
+      readableObjectMode: true
+    });
+    var pushLine = function (line, last) {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        parser.push(JSON.parse(line));
+      } catch (err) {
+        if (!last) {
+          throw err;
+        }
+      }
+    };
+
+    parser._transform = function (chunk, encoding, callback) {
+      var lines = (pending + chunk.toString()).split("\n");
+
+      pending = lines.pop();
+
+      try {
+        lines.forEach(function (line) {
+          pushLine(line, false);
+        });
+      } catch (err) {
+        return callback(err);
+      }
+      callback();
+    };
+    parser._flush = function (callback) {
+      pushLine(pending, true);
+      callback();
+    };
+    return parser;
+  };
+
+  /** Creates a stream of the text of a single file, uncompressing it if
+   * required.
+   * @param {String} file File to read. Cannot be null.
+   * @return {Stream} A readable stream, never null.
+   * @private
+   * @methodOf NdjsonReader#
+   */
+  var createFileStream = function (file) {
+    var fileStream = fs.createReadStream(file);
+    var gunzip;
+
+    if (!/\.gz$/.test(file)) {
+      return fileStream;
+    }
+    gunzip = zlib.createGunzip({
+      // Interrupted processes leave truncated files.
+      finishFlush: zlib.constants.Z_SYNC_FLUSH
+    });
+    fileStream.on("error", function (err) {
+      gunzip.destroy(err);
+    });
+    return fileStream.pipe(gunzip);
+  };
+
+  return {
+
+    /** Creates a stream of items.
+     *
+     * @return {Stream} A readable stream in object mode that emits each item,
+     *    never null.
+     */
+    createReadStream: function () {
+      var files = listFiles();
+      var output = new stream.PassThrough({
+        objectMode: true
+      });
+      var readNext = function () {
+        var parser;
+        var textStream;
+
+        if (files.length === 0) {
+          return output.end();
+        }
+        parser = createParser();
+        textStream = createFileStream(files.shift());
+
+        textStream.on("error", function (err) {
+          output.destroy(err);
+        });
+        parser.on("error", function (err) {
+          output.destroy(err);
+        });
+        parser.on("end", readNext);
+        textStream.pipe(parser).pipe(output, {
+          end: false
+        });
+      };
+
+      readNext();
+
+      return output;
+    },
+
+    /** Invokes an iterator for each item. The next item is read when the
+     * iterator finishes.
+     *
+     * @param {Function} iterator Invoked with each item and a callback that
+     *    must be invoked with an error as parameter. Cannot be null.
+     * @param {Function} callback Invoked when all items were read. It takes
+     *    an error and the number of items as parameters. Cannot be null.
+     */
+    each: function (iterator, callback) {
+      var items = this.createReadStream();
+      var count = 0;
+      var done = false;
+      var finish = function (err) {
+        if (!done) {
+          done = true;
+          callback(err || null, count);
+        }
+      };
+
+      items.on("data", function (item) {
+        items.pause();
+        count += 1;
+
+        iterator(item, function (err) {
+          if (err) {
+            items.destroy();
+            return finish(err);
+          }
+          items.resume();
+        });
+      });
+      items.on("error", finish);
+      items.on("end", function () {
+        finish();
+      });
+    }
+  };
+};
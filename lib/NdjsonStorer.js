@@ -0,0 +1,230 @@
+/** Storer that writes items as newline-delimited JSON: one JSON document per
+ * line. Unlike the FileSystemStorer bundle, files are valid after each item,
+ * so an interrupted import process leaves at most an incomplete last line,
+ * and they can be read item by item with the <code>NdjsonReader</code>.
+ *
+ * Files are named after the role, or <code>items</code> if files are not
+ * split by role, followed by a sequence number: items-0001.ndjson. If a
+ * maximum size is configured, a new file is started when the current one
+ * reaches that size.
+ *
+ * @param {String} dataDir Directory to write files. Cannot be null.
+ * @param {Object} [options] Storer configuration. Can be null.
+ * @param {Boolean} [options.gzip] Indicates whether to compress files. Files
+ *    have the <code>.ndjson.gz</code> extension. The compressed stream is
+ *    flushed after each item, so an interrupted file can still be
+ *    decompressed up to the last item. Default is false.
+ * @param {Number} [options.maxSize] Maximum size of each file in bytes,
+ *    before compression. Default is 0, which means no limit.
+ * @param {Boolean} [options.byRole] Indicates whether to write items of each
+ *    role into different files. Default is false.
+ * @param {Boolean} [options.append] Indicates whether to keep existing files
+ *    and start new ones after them, used to resume import processes. Default
+ *    is false, which means existing files are removed when the first item is
+ *    written.
+ * @constructor
+ */
+module.exports = function NdjsonStorer(dataDir, options) {
+
+  /** Maximum size of each file in bytes, 0 means no limit.
+   * @type Number
+   * @constant
+   * @private
+   * @fieldOf NdjsonStorer#
+   */
+  var MAX_SIZE = (options && options.maxSize) || 0;
+
+  /** Files extension.
+   * @type String
+   * @constant
+   * @private
+   * @fieldOf NdjsonStorer#
+   */
+  var EXTENSION = (options && options.gzip) ? ".ndjson.gz" : ".ndjson";
+
+  /** Node's FileSystem API.
+   * @type {Object}
+   * @private
+   * @fieldOf NdjsonStorer#
+   */
+  var fs = require("fs");
+
+  /** Node's Path API.
+   * @type {Object}
+   * @private
+   * @fieldOf NdjsonStorer#
+   */
+  var path = require("path");
+
+  /** Node's compression API.
+   * @type {Object}
+   * @private
+   * @fieldOf NdjsonStorer#
+   */
+  var zlib = require("zlib");
+
+  /** Manages background operations.
+   * @type {BackgroundOperation}
+   * @private
+   * @fieldOf NdjsonStorer#
+   */
+  var backgroundOperation = new (require("./BackgroundOperation"))();
+
+  /** Open files by name prefix. Each file has the write
+   * <code>stream</code>, the <code>sequence</code> number and the number of
+   * bytes written (<code>size</code>).
+   * @type {Object}
+   * @private
+   * @fieldOf NdjsonStorer#
+   */
+  var files = {};
+
+  /** Lists the existing files with the specified prefix, either compressed
+   * or not.
+   * @param {String} prefix File name prefix. Cannot be null.
+   * @return {Object[]} A list of files with the file <code>name</code> and
+   *    the <code>sequence</code> number, never null.
+   * @private
+   * @methodOf NdjsonStorer#
+   */
+  var listFiles = function (prefix) {
+    var fileExpr = new RegExp("^" + prefix + "-(\\d+)\\.ndjson(\\.gz)?$");
+
+    return fs.readdirSync(dataDir).map(function (file) {
+      var match = fileExpr.exec(file);
+
+      return match ? {
+        name: file,
+        sequence: parseInt(match[1], 10)
+      } : null;
+    }).filter(function (file) {
+      return file !== null;
+    });
+  };
+
+  /** Returns the last sequence number of the existing files with the
+   * specified prefix.
+   * @param {String} prefix File name prefix. Cannot be null.
+   * @return {Number} The last sequence number, or 0 if there are no files.
+   * @private
+   * @methodOf NdjsonStorer#
+   */
+  var lastSequence = function (prefix) {
+    return listFiles(prefix).reduce(function (last, file) {
+      return Math.max(last, file.sequence);
+    }, 0);
+  };
+
+  /** Removes the existing files with the specified prefix. Otherwise, files
+   * written by a previous import process after the last file of this
+   * process would be read as part of it.
+   * @param {String} prefix File name prefix. Cannot be null.
+   * @private
+   * @methodOf NdjsonStorer#
+   */
+  var removeFiles = function (prefix) {
+    listFiles(prefix).forEach(function (file) {
+      fs.unlinkSync(path.join(dataDir, file.name));
+    });
+  };
+
+  /** Opens the next file with the specified prefix.
+   * @param {String} prefix File name prefix. Cannot be null.
+   * @param {Number} sequence Sequence number of the file. Cannot be null.
+   * @return {Object} The open file, never null.
+   * @private
+   * @methodOf NdjsonStorer#
+   */
+  var openFile = function (prefix, sequence) {
+    var name = prefix + "-" + ("000" + sequence).substr(-4) + EXTENSION;
+    var fileStream = fs.createWriteStream(path.join(dataDir, name));
+    var stream = fileStream;
+
+    if (options && options.gzip) {
+      stream = zlib.createGzip();
+      stream.pipe(fileStream);
+    }
+    backgroundOperation.start();
+    fileStream.on("close", backgroundOperation.end);
+
+    return {
+      stream: stream,
+      sequence: sequence,
+      size: 0
+    };
+  };
+
+  /** Returns the file to write an item, rotating files if the current one
+   * reached the maximum size.
+   * @param {String} role Role of the item. Can be null.
+   * @return {Object} The open file, never null.
+   * @private
+   * @methodOf NdjsonStorer#
+   */
+  var fileFor = function (role) {
+    var prefix = (options && options.byRole && role) || "items";
+    var file = files[prefix];
+
+    if (!file && options && options.append) {
+      file = files[prefix] = openFile(prefix, lastSequence(prefix) + 1);
+    } else if (!file) {
+      removeFiles(prefix);
+      file = files[prefix] = openFile(prefix, 1);
+    } else if (MAX_SIZE && file.size >= MAX_SIZE) {
+      file.stream.end();
+      file = files[prefix] = openFile(prefix, file.sequence + 1);
+    }
+    return file;
+  };
+
+  (function __constructor() {
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir);
+    }
+  }());
+
+  return {
+
+    /** Writes the specified item as a new line.
+     *
+     * @param {String} id Unique id to identify this data. Cannot be null or
+     *    empty.
+     * @param {Object} data Object having the data to store. Cannot be null.
+     * @param {String} role Role of the specified data. Can be null.
+     * @param {Function} callback Callback invoked when the data is already
+     *    written. Cannot be null.
+     */
+    store: function (id, data, role, callback) {
+      var line = JSON.stringify(data) + "\n";
+      var file = fileFor(role);
+      var written = function () {
+        callback();
+      };
+
+      file.size += Buffer.byteLength(line);
+
+      if (options && options.gzip) {
+        file.stream.write(line);
+        file.stream.flush(zlib.constants.Z_SYNC_FLUSH, written);
+      } else {
+        file.stream.write(line, written);
+      }
+    },
+
+    /** Closes all open files.
+     */
+    close: function () {
+      Object.keys(files).forEach(function (prefix) {
+        files[prefix].stream.end();
+      });
+      files = {};
+    },
+
+    /** Waits until all files are closed.
+     *
+     * @param {Function} callback Invoked when there is no pending operations.
+     *    Cannot be null.
+     */
+    wait: backgroundOperation.wait
+  };
+};
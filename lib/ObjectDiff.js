@@ -0,0 +1,194 @@
+/** Computes structural differences between JSON values. Objects are compared
+ * by property and arrays by position. Each difference has the
+ * <code>path</code> of the value, the <code>type</code> of change
+ * (<code>added</code>, <code>removed</code> or <code>changed</code>) and the
+ * previous (<code>from</code>) and new (<code>to</code>) values.
+ *
+ * @param {Object} [options] Diff options. Can be null.
+ * @param {Boolean} [options.unorderedArrays] Indicates whether arrays are
+ *    compared as lists of entries instead of by position, so inserting an
+ *    entry is reported as a single addition. Entries are identified by their
+ *    JSON value and changed entries are reported as removed and added.
+ *    Default is false.
+ * @constructor
+ */
+module.exports = function ObjectDiff(options) {
+
+  /** Expression that matches property names that don't need to be quoted in
+   * paths.
+   * @type RegExp
+   * @constant
+   * @private
+   * @fieldOf ObjectDiff#
+   */
+  var IDENTIFIER_EXPR = /^[a-zA-Z_$][\w$]*$/;
+
+  /** Returns the type of a JSON value.
+   * @param {Object} value Value to check. Can be null.
+   * @return {String} Either "array", "object" or "value", never null.
+   * @private
+   * @methodOf ObjectDiff#
+   */
+  var typeOf = function (value) {
+    if (Array.isArray(value)) {
+      return "array";
+    }
+    return (value !== null && typeof value === "object") ? "object" : "value";
+  };
+
+  /** Builds the path of a child value.
+   * @param {String} path Path of the parent value. Cannot be null.
+   * @param {String|Number} key Property name or array index. Cannot be null.
+   * @return {String} The child path, never null.
+   * @private
+   * @methodOf ObjectDiff#
+   */
+  var childPath = function (path, key) {
+    if (typeof key === "number") {
+      return path + "[" + key + "]";
+    }
+    if (IDENTIFIER_EXPR.test(key)) {
+      return path ? path + "." + key : key;
+    }
+    return path + "[" + JSON.stringify(key) + "]";
+  };
+
+  /** Converts a value into its JSON representation.
+   * @param {Object} value Value to convert. Can be null.
+   * @return {Object} The JSON value, or null if the value is undefined.
+   * @private
+   * @methodOf ObjectDiff#
+   */
+  var toJSON = function (value) {
+    return (value === undefined) ? null : JSON.parse(JSON.stringify(value));
+  };
+
+  /** Compares two arrays as lists of entries and adds the entries that were
+   * added or removed to the list of differences.
+   * @param {String} path Path of the compared arrays. Cannot be null.
+   * @param {Object[]} from Previous array. Cannot be null.
+   * @param {Object[]} to New array. Cannot be null.
+   * @param {Object[]} changes List to add differences. Cannot be null.
+   * @private
+   * @methodOf ObjectDiff#
+   */
+  var compareEntries = function (path, from, to, changes) {
+    var keyOf = function (entry) {
+      return JSON.stringify(entry);
+    };
+    var fromKeys = from.map(keyOf);
+    var remaining = to.map(keyOf);
+    var added = [];
+    var index;
+
+    fromKeys.forEach(function (key, i) {
+      index = remaining.indexOf(key);
+
+      if (index === -1) {
+        changes.push({ path: childPath(path, i), type: "removed",
+          from: from[i] });
+      } else {
+        remaining[index] = null;
+      }
+    });
+    remaining.forEach(function (key, i) {
+      if (key !== null) {
+        added.push({ path: childPath(path, i), type: "added", to: to[i] });
+      }
+    });
+    changes.push.apply(changes, added);
+  };
+
+  /** Compares two values and adds differences to the list.
+   * @param {String} path Path of the compared values. Cannot be null.
+   * @param {Object} from Previous value. Can be null.
+   * @param {Object} to New value. Can be null.
+   * @param {Object[]} changes List to add differences. Cannot be null.
+   * @private
+   * @methodOf ObjectDiff#
+   */
+  var compare = function (path, from, to, changes) {
+    var type = typeOf(from);
+    var keys;
+    var i;
+
+    if (type !== typeOf(to)) {
+      changes.push({ path: path, type: "changed", from: from, to: to });
+    } else if (type === "array" && options && options.unorderedArrays) {
+      compareEntries(path, from, to, changes);
+    } else if (type === "array") {
+      for (i = 0; i < Math.max(from.length, to.length); i++) {
+        if (i >= to.length) {
+          changes.push({ path: childPath(path, i), type: "removed",
+            from: from[i] });
+        } else if (i >= from.length) {
+          changes.push({ path: childPath(path, i), type: "added",
+            to: to[i] });
+        } else {
+          compare(childPath(path, i), from[i], to[i], changes);
+        }
+      }
+    } else if (type === "object") {
+      keys = Object.keys(from);
+      Object.keys(to).forEach(function (key) {
+        if (keys.indexOf(key) === -1) {
+          keys.push(key);
+        }
+      });
+      keys.sort().forEach(function (key) {
+        if (!to.hasOwnProperty(key)) {
+          changes.push({ path: childPath(path, key), type: "removed",
+            from: from[key] });
+        } else if (!from.hasOwnProperty(key)) {
+          changes.push({ path: childPath(path, key), type: "added",
+            to: to[key] });
+        } else {
+          compare(childPath(path, key), from[key], to[key], changes);
+        }
+      });
+    } else if (from !== to) {
+      changes.push({ path: path, type: "changed", from: from, to: to });
+    }
+  };
+
+  return {
+
+    /** Computes the differences between two JSON values. Values are
+     * normalized to JSON before comparing them, so dates are compared as
+     * strings.
+     *
+     * @param {Object} from Previous value. Can be null.
+     * @param {Object} to New value. Can be null.
+     * @return {Object[]} The list of differences, empty if both values are
+     *    equal. Never null.
+     */
+    diff: function (from, to) {
+      var changes = [];
+
+      compare("", toJSON(from), toJSON(to), changes);
+
+      return changes;
+    },
+
+    /** Formats a list of differences as text, one difference per line.
+     *
+     * @param {Object[]} changes Differences returned by <code>diff()</code>.
+     *    Cannot be null.
+     * @return {String} The formatted differences, never null.
+     */
+    format: function (changes) {
+      return changes.map(function (change) {
+        var path = change.path || "(root)";
+
+        if (change.type === "added") {
+          return "+ " + path + ": " + JSON.stringify(change.to);
+        }
+        if (change.type === "removed") {
+          return "- " + path + ": " + JSON.stringify(change.from);
+        }
+        return "~ " + path + ": " + JSON.stringify(change.from) + " -> " +
+          JSON.stringify(change.to);
+      }).join("\n");
+    }
+  };
+};
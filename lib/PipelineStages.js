@@ -0,0 +1,136 @@
+/** Built-in stages for the <code>StorePipeline</code>. Each function creates
+ * a stage with the specified configuration.
+ *
+ * Fields are referenced by path, like <code>summary.quorum</code>. Paths that
+ * go through a list apply to every entry of the list, for instance
+ * <code>members.email</code>.
+ */
+module.exports = (function PipelineStages() {
+
+  /** Returns the objects that hold the last field of a path, expanding lists.
+   * @param {Object} value Object to read. Can be null.
+   * @param {String[]} fields Fields of the path without the last one. Cannot
+   *    be null.
+   * @return {Object[]} The list of objects, never null.
+   * @private
+   * @methodOf PipelineStages#
+   */
+  var holdersOf = function (value, fields) {
+    if (Array.isArray(value)) {
+      return value.reduce(function (holders, entry) {
+        return holders.concat(holdersOf(entry, fields));
+      }, []);
+    }
+    if (value === null || typeof value !== "object") {
+      return [];
+    }
+    if (fields.length === 0) {
+      return [value];
+    }
+    return holdersOf(value[fields[0]], fields.slice(1));
+  };
+
+  /** Invokes a function with each object that holds the field of a path.
+   * @param {Object} data Item to read. Cannot be null.
+   * @param {String} path Field path. Cannot be null.
+   * @param {Function} fn Invoked with the holder object and the field name.
+   *    Cannot be null.
+   * @private
+   * @methodOf PipelineStages#
+   */
+  var eachField = function (data, path, fn) {
+    var fields = path.split(".");
+    var field = fields.pop();
+
+    holdersOf(data, fields).forEach(function (holder) {
+      fn(holder, field);
+    });
+  };
+
+  return {
+
+    /** Creates a stage that drops items that don't match a condition.
+     *
+     * @param {Function} predicate Receives the item data, id and role, and
+     *    returns whether to keep the item. Cannot be null.
+     * @return {Function} A new stage, never null.
+     */
+    filter: function (predicate) {
+      return function (item, callback) {
+        callback(null, predicate(item.data, item.id, item.role) ? item : null);
+      };
+    },
+
+    /** Creates a stage that drops items without the specified fields. Empty
+     * strings are considered missing.
+     *
+     * @param {String[]} paths Paths of the required fields. Cannot be null.
+     * @return {Function} A new stage, never null.
+     */
+    requireFields: function (paths) {
+      return this.filter(function (data) {
+        return paths.every(function (path) {
+          var found = false;
+
+          eachField(data, path, function (holder, field) {
+            found = found || (holder[field] !== null &&
+              holder[field] !== undefined && holder[field] !== "");
+          });
+          return found;
+        });
+      });
+    },
+
+    /** Creates a stage that transforms the data of each item.
+     *
+     * @param {Function} transform Receives the item data, id and role, and
+     *    returns the new data. Cannot be null.
+     * @return {Function} A new stage, never null.
+     */
+    map: function (transform) {
+      return function (item, callback) {
+        item.data = transform(item.data, item.id, item.role);
+        callback(null, item);
+      };
+    },
+
+    /** Creates a stage that removes or replaces sensitive fields.
+     *
+     * @param {String[]} paths Paths of the fields to redact. Cannot be null.
+     * @param {Object} [replacement] Value that replaces redacted fields.
+     *    Default is to remove the fields.
+     * @return {Function} A new stage, never null.
+     */
+    redact: function (paths, replacement) {
+      return function (item, callback) {
+        paths.forEach(function (path) {
+          eachField(item.data, path, function (holder, field) {
+            if (!holder.hasOwnProperty(field)) {
+              return;
+            }
+            if (replacement === undefined) {
+              delete holder[field];
+            } else {
+              holder[field] = replacement;
+            }
+          });
+        });
+        callback(null, item);
+      };
+    },
+
+    /** Creates a stage that splits each item into many items, for instance
+     * to store entries of a list as items of another role.
+     *
+     * @param {Function} split Receives the item and returns the list of new
+     *    items, each one with the <code>id</code>, <code>role</code> and
+     *    <code>data</code>. Cannot be null.
+     * @return {Function} A new stage, never null.
+     */
+    fanOut: function (split) {
+      return function (item, callback) {
+        callback(null, split(item));
+      };
+    }
+  };
+}());
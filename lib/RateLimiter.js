@@ -0,0 +1,287 @@
+/** Limits the requests made to each host. It enforces a maximum number of
+ * requests per second and a maximum number of concurrent connections per
+ * host. It also sends a User-Agent header and honors the Retry-After header
+ * sent by servers.
+ *
+ * A single limiter should be shared by all components that fetch data from
+ * the same hosts.
+ *
+ * @param {Object} [options] Limiter configuration. Can be null.
+ * @param {Number} [options.requestsPerSecond] Maximum number of requests per
+ *    second to a single host. Default is 2.
+ * @param {Number} [options.maxConnections] Maximum number of concurrent
+ *    connections to a single host. Default is 4.
+ * @param {String} [options.userAgent] User-Agent header sent in every request.
+ *    Default identifies this importer.
+ * @constructor
+ */
+module.exports = function RateLimiter(options) {
+
+  /** Maximum number of requests per second to a single host.
+   * @type Number
+   * @constant
+   * @private
+   * @fieldOf RateLimiter#
+   */
+  var REQUESTS_PER_SECOND = options && options.requestsPerSecond || 2;
+
+  /** Maximum number of concurrent connections to a single host.
+   * @type Number
+   * @constant
+   * @private
+   * @fieldOf RateLimiter#
+   */
+  var MAX_CONNECTIONS = options && options.maxConnections || 4;
+
+  /** User-Agent header sent in every request.
+   * @type String
+   * @constant
+   * @private
+   * @fieldOf RateLimiter#
+   */
+  var USER_AGENT = options && options.userAgent || "ogov-importer/" +
+    require("../package.json").version +
+    " (+https://github.com/seykron/ogov-importer)";
+
+  /** Simple HTTP client for node.
+   * @type {Function}
+   * @private
+   * @fieldOf RateLimiter#
+   */
+  var request = require("request");
+
+  /** Utility to extend objects.
+   * @type {Function}
+   * @private
+   * @fieldOf RateLimiter#
+   */
+  var extend = require("extend");
+
+  /** Node's URL API.
+   * @type {Object}
+   * @private
+   * @fieldOf RateLimiter#
+   */
+  var url = require("url");
+
+  /** State of each host: active connections, pending requests and the time
+   * the next request is allowed.
+   * @type {Object}
+   * @private
+   * @fieldOf RateLimiter#
+   */
+  var hosts = {};
+
+  /** Returns the url for the specified request.
+   * @param {String|Object} requestOptions Url or request options. Cannot be
+   *    null.
+   * @return {String} The request url, never null.
+   * @private
+   * @methodOf RateLimiter#
+   */
+  var urlOf = function (requestOptions) {
+    return (typeof requestOptions === "string") ? requestOptions :
+      (requestOptions.uri || requestOptions.url);
+  };
+
+  /** Returns the state for the host of the specified request.
+   * @param {String|Object} requestOptions Url or request options. Cannot be
+   *    null.
+   * @return {Object} The host state, never null.
+   * @private
+   * @methodOf RateLimiter#
+   */
+  var getHost = function (requestOptions) {
+    var host = url.parse(String(urlOf(requestOptions))).host || "";
+
+    if (!hosts.hasOwnProperty(host)) {
+      hosts[host] = {
+        name: host,
+        active: 0,
+        pending: [],
+        nextTime: 0,
+        timer: null
+      };
+    }
+    return hosts[host];
+  };
+
+  /** Runs pending requests for the specified host while limits allow it.
+   * @param {Object} host Host state. Cannot be null.
+   * @private
+   * @methodOf RateLimiter#
+   */
+  var schedule = function (host) {
+    var wait;
+    var job;
+
+    if (host.timer || host.pending.length === 0 ||
+        host.active >= MAX_CONNECTIONS) {
+      return;
+    }
+    wait = host.nextTime - Date.now();
+
+    if (wait > 0) {
+      host.timer = setTimeout(function () {
+        host.timer = null;
+        schedule(host);
+      }, wait);
+      return;
+    }
+
+    job = host.pending.shift();
+    host.active += 1;
+    host.nextTime = Math.max(host.nextTime, Date.now()) +
+      1000 / REQUESTS_PER_SECOND;
+
+    job(function release() {
+      host.active -= 1;
+      schedule(host);
+    });
+    schedule(host);
+  };
+
+  /** Adds the User-Agent header to the specified request.
+   * @param {String|Object} requestOptions Url or request options. Cannot be
+   *    null.
+   * @return {Object} New request options, never null.
+   * @private
+   * @methodOf RateLimiter#
+   */
+  var prepare = function (requestOptions) {
+    var preparedOptions = (typeof requestOptions === "string") ?
+      { uri: requestOptions } : extend(true, {}, requestOptions);
+
+    preparedOptions.headers = extend({
+      "User-Agent": USER_AGENT
+    }, preparedOptions.headers);
+
+    return preparedOptions;
+  };
+
+  /** Returns the delay requested by the Retry-After header, if any.
+   * @param {Object} response HTTP response. Can be null.
+   * @return {Number} The delay in milliseconds, or 0 if there's no delay.
+   * @private
+   * @methodOf RateLimiter#
+   */
+  var retryAfter = function (response) {
+    var value = response && response.headers &&
+      response.headers["retry-after"];
+    var delay = 0;
+
+    if (value) {
+      if (/^\d+$/.test(value)) {
+        delay = parseInt(value, 10) * 1000;
+      } else if (!isNaN(Date.parse(value))) {
+        delay = Date.parse(value) - Date.now();
+      }
+    }
+    return Math.max(delay, 0);
+  };
+
+  /** Delays new requests to the host of the specified response if the server
+   * sent a Retry-After header.
+   * @param {String|Object} requestOptions Url or request options. Cannot be
+   *    null.
+   * @param {Object} response HTTP response. Can be null.
+   * @private
+   * @methodOf RateLimiter#
+   */
+  var honorRetryAfter = function (requestOptions, response) {
+    var delay = retryAfter(response);
+    var host;
+
+    if (delay > 0) {
+      host = getHost(requestOptions);
+      host.nextTime = Math.max(host.nextTime, Date.now() + delay);
+    }
+  };
+
+  /** Waits until a request to the host of the specified url is allowed.
+   *
+   * @param {String|Object} requestOptions Url or request options. Cannot be
+   *    null.
+   * @param {Function} callback Invoked when the request is allowed. It takes
+   *    a function that must be invoked to release the connection. Cannot be
+   *    null.
+   * @private
+   * @methodOf RateLimiter#
+   */
+  var acquire = function (requestOptions, callback) {
+    var host = getHost(requestOptions);
+
+    host.pending.push(callback);
+    schedule(host);
+  };
+
+  return {
+
+    /** Waits until a request to the host of the specified url is allowed.
+     *
+     * @param {String|Object} requestOptions Url or request options. Cannot be
+     *    null.
+     * @param {Function} callback Invoked when the request is allowed. It takes
+     *    a function that must be invoked to release the connection. Cannot be
+     *    null.
+     */
+    acquire: acquire,
+
+    /** Performs a request when limits allow it and buffers the response.
+     *
+     * @param {String|Object} requestOptions Url or request options, as
+     *    supported by the request module. Cannot be null.
+     * @param {Function} callback Receives an error, the response and the body
+     *    as parameters. Cannot be null.
+     */
+    request: function (requestOptions, callback) {
+      acquire(requestOptions, function (release) {
+        request(prepare(requestOptions), function (err, response, body) {
+          honorRetryAfter(requestOptions, response);
+          release();
+          callback(err, response, body);
+        });
+      });
+    },
+
+    /** Performs a request when limits allow it and provides the response as a
+     * stream.
+     *
+     * @param {String|Object} requestOptions Url or request options, as
+     *    supported by the request module. Cannot be null.
+     * @param {Function} callback Receives an error and the request stream as
+     *    parameters. Cannot be null.
+     */
+    stream: function (requestOptions, callback) {
+      acquire(requestOptions, function (release) {
+        var released = false;
+        var stream = request(prepare(requestOptions));
+        var releaseOnce = function () {
+          if (!released) {
+            released = true;
+            release();
+          }
+        };
+
+        stream.on("response", function (response) {
+          honorRetryAfter(requestOptions, response);
+        });
+        stream.on("complete", releaseOnce);
+        stream.on("error", releaseOnce);
+        // Aborted requests neither complete nor fail.
+        stream.on("abort", releaseOnce);
+        stream.on("close", releaseOnce);
+
+        callback(null, stream);
+      });
+    },
+
+    /** Returns the delay requested by the Retry-After header of the specified
+     * response.
+     *
+     * @param {Object} response HTTP response. Can be null.
+     * @return {Number} The delay in milliseconds, or 0 if there's no delay.
+     */
+    retryAfter: retryAfter
+  };
+};
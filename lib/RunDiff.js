@@ -0,0 +1,283 @@
+/** Compares the items imported by two import processes of the same importer.
+ * It reports added, removed and modified items. Modified items have the full
+ * list of changes, and the changes that matter for the role are summarized
+ * by field: new and removed entries of lists like bill procedures or
+ * committee members, and previous and new values of fields like the party of
+ * a person.
+ *
+ * @param {String} role Role of the compared items. Cannot be null.
+ * @constructor
+ */
+module.exports = function RunDiff(role) {
+
+  /** Field that identifies items of each role. Items of other roles are
+   * identified by their content, so they can be only added or removed.
+   * @type Object
+   * @constant
+   * @private
+   * @fieldOf RunDiff#
+   */
+  var ID_FIELDS = {
+    bills: "file",
+    committees: "name",
+    people: "user",
+    vote: "id"
+  };
+
+  /** Fields summarized for each role, with a function to describe list
+   * entries.
+   * @type Object
+   * @constant
+   * @private
+   * @fieldOf RunDiff#
+   */
+  var TRACKED_FIELDS = {
+    bills: {
+      procedures: function (procedure) {
+        return [procedure.date && procedure.date.substr(0, 10),
+          procedure.topic, procedure.result];
+      },
+      dictums: function (dictum) {
+        return [dictum.date && dictum.date.substr(0, 10), dictum.orderPaper,
+          dictum.result];
+      },
+      subscribers: function (subscriber) {
+        return [subscriber.name, subscriber.party, subscriber.province];
+      }
+    },
+    committees: {
+      members: function (member) {
+        return [member.name, member.position, member.block];
+      }
+    },
+    people: {
+      party: null,
+      district: null
+    }
+  };
+
+  /** Computes differences between items. List entries are compared by value.
+   * @type {ObjectDiff}
+   * @private
+   * @fieldOf RunDiff#
+   */
+  var objectDiff = new (require("./ObjectDiff"))({
+    unorderedArrays: true
+  });
+
+  /** Node's crypto API.
+   * @type {Object}
+   * @private
+   * @fieldOf RunDiff#
+   */
+  var crypto = require("crypto");
+
+  /** Returns the id of an item.
+   * @param {Object} item Item to identify. Cannot be null.
+   * @return {String} The item id, never null.
+   * @private
+   * @methodOf RunDiff#
+   */
+  var idOf = function (item) {
+    var field = ID_FIELDS[role];
+
+    if (field && item[field]) {
+      return String(item[field]);
+    }
+    return crypto.createHash("sha1").update(JSON.stringify(item))
+      .digest("hex");
+  };
+
+  /** Indexes items by id.
+   * @param {Object[]} items Items to index. Cannot be null.
+   * @return {Object} Items by id, never null.
+   * @private
+   * @methodOf RunDiff#
+   */
+  var indexOf = function (items) {
+    var index = {};
+
+    items.forEach(function (item) {
+      index[idOf(item)] = item;
+    });
+    return index;
+  };
+
+  /** Returns the top level field of a change path.
+   * @param {String} path Change path, like <code>procedures[2].date</code>.
+   *    Cannot be null.
+   * @return {String} The field name, never null.
+   * @private
+   * @methodOf RunDiff#
+   */
+  var fieldOf = function (path) {
+    return path.split(/[.\[]/)[0];
+  };
+
+  /** Summarizes the changes of the tracked fields of the role.
+   * @param {Object[]} changes Changes of a single item. Cannot be null.
+   * @return {Object} Changes by field. List fields have the
+   *    <code>added</code> and <code>removed</code> entries, other fields have
+   *    the previous (<code>from</code>) and new (<code>to</code>) values.
+   *    Never null.
+   * @private
+   * @methodOf RunDiff#
+   */
+  var summarize = function (changes) {
+    var tracked = TRACKED_FIELDS[role] || {};
+    var fields = {};
+
+    changes.forEach(function (change) {
+      var field = fieldOf(change.path);
+      var isList = change.path !== field;
+
+      if (!tracked.hasOwnProperty(field)) {
+        return;
+      }
+      if (isList) {
+        fields[field] = fields[field] || { added: [], removed: [] };
+
+        if (change.type === "added") {
+          fields[field].added.push(change.to);
+        } else if (change.type === "removed") {
+          fields[field].removed.push(change.from);
+        }
+      } else {
+        fields[field] = {
+          from: change.from === undefined ? null : change.from,
+          to: change.to === undefined ? null : change.to
+        };
+      }
+    });
+    return fields;
+  };
+
+  /** Describes a value for text reports.
+   * @param {String} field Field the value belongs to. Cannot be null.
+   * @param {Object} value Value to describe. Can be null.
+   * @return {String} A short description, never null.
+   * @private
+   * @methodOf RunDiff#
+   */
+  var describe = function (field, value) {
+    var describer = (TRACKED_FIELDS[role] || {})[field];
+
+    if (describer && value !== null && typeof value === "object") {
+      return describer(value).filter(function (part) {
+        return part;
+      }).join(", ");
+    }
+    return JSON.stringify(value);
+  };
+
+  return {
+
+    /** Compares the items of two import processes.
+     *
+     * @param {Object[]} fromItems Items of the previous import process. Cannot
+     *    be null.
+     * @param {Object[]} toItems Items of the new import process. Cannot be
+     *    null.
+     * @return {Object} The report, with the list of <code>added</code> and
+     *    <code>removed</code> item ids, the list of <code>modified</code>
+     *    items and the <code>summary</code> with the number of items of each
+     *    kind. Each modified item has the <code>id</code>, the list of
+     *    <code>changes</code> computed by <code>ObjectDiff</code> and the
+     *    changes by tracked <code>fields</code>. Never null.
+     */
+    diff: function (fromItems, toItems) {
+      var from = indexOf(fromItems);
+      var to = indexOf(toItems);
+      var report = {
+        role: role,
+        added: [],
+        removed: [],
+        modified: [],
+        summary: {
+          added: 0,
+          removed: 0,
+          modified: 0,
+          unchanged: 0
+        }
+      };
+
+      Object.keys(from).sort().forEach(function (id) {
+        var changes;
+
+        if (!to.hasOwnProperty(id)) {
+          return report.removed.push(id);
+        }
+        changes = objectDiff.diff(from[id], to[id]);
+
+        if (changes.length === 0) {
+          report.summary.unchanged += 1;
+        } else {
+          report.modified.push({
+            id: id,
+            changes: changes,
+            fields: summarize(changes)
+          });
+        }
+      });
+      Object.keys(to).sort().forEach(function (id) {
+        if (!from.hasOwnProperty(id)) {
+          report.added.push(id);
+        }
+      });
+      report.summary.added = report.added.length;
+      report.summary.removed = report.removed.length;
+      report.summary.modified = report.modified.length;
+
+      return report;
+    },
+
+    /** Formats a report as text.
+     *
+     * @param {Object} report Report returned by <code>diff()</code>. Cannot
+     *    be null.
+     * @return {String} The formatted report, never null.
+     */
+    format: function (report) {
+      var lines = [];
+
+      report.added.forEach(function (id) {
+        lines.push("+ " + id);
+      });
+      report.removed.forEach(function (id) {
+        lines.push("- " + id);
+      });
+      report.modified.forEach(function (item) {
+        var fields = Object.keys(item.fields);
+        var others = item.changes.filter(function (change) {
+          return fields.indexOf(fieldOf(change.path)) === -1;
+        });
+
+        lines.push("~ " + item.id);
+
+        fields.forEach(function (field) {
+          var change = item.fields[field];
+
+          if (change.added) {
+            change.added.forEach(function (entry) {
+              lines.push("    " + field + " + " + describe(field, entry));
+            });
+            change.removed.forEach(function (entry) {
+              lines.push("    " + field + " - " + describe(field, entry));
+            });
+          } else {
+            lines.push("    " + field + ": " + describe(field, change.from) +
+              " -> " + describe(field, change.to));
+          }
+        });
+        if (others.length > 0) {
+          lines.push(objectDiff.format(others).replace(/^/gm, "    "));
+        }
+      });
+      lines.push("Added: " + report.summary.added + ", removed: " +
+        report.summary.removed + ", modified: " + report.summary.modified +
+        ", unchanged: " + report.summary.unchanged);
+
+      return lines.join("\n");
+    }
+  };
+};
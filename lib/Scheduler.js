@@ -0,0 +1,376 @@
+/** Runs importers periodically according to cron expressions. It is designed
+ * to run as a long-running process.
+ *
+ * Runs of the same importer never overlap: if an importer is still running
+ * when it is scheduled again, the new run is skipped. The outcome of each run
+ * is recorded into the run history, which is saved into a file if it is
+ * configured.
+ *
+ * By default it handles the SIGTERM and SIGINT signals: it stops scheduling
+ * new runs, stops running importers after their current tasks and exits when
+ * all runs are finished.
+ *
+ * @param {Object} options Scheduler configuration. Cannot be null.
+ * @param {Object} options.jobs Cron expressions by importer role. Cannot be
+ *    null.
+ * @param {Function} options.runner Function that starts an importer run. It
+ *    takes the role and a callback that must be invoked with an error and the
+ *    run summary when the run finishes. It must return an object with a
+ *    <code>stop()</code> method to stop the run. Cannot be null.
+ * @param {String} [options.timeZone] Time zone of cron expressions. Default
+ *    is the system time zone.
+ * @param {String} [options.historyFile] File to persist the run history. Can
+ *    be null.
+ * @param {Number} [options.historySize] Maximum number of runs kept in the
+ *    history. Default is 100.
+ * @param {Boolean} [options.handleSignals] Indicates whether to shut down on
+ *    SIGTERM and SIGINT. Default is true.
+ * @param {Number} [options.shutdownTimeout] Time to wait for running
+ *    importers on shutdown, in milliseconds. Default is 60000.
+ * @param {winston.Logger} [options.logger] Logger for this class. Can be null.
+ * @constructor
+ */
+module.exports = function Scheduler(options) {
+
+  /** Class logger, using the default if no one is provided.
+   * @type winston.Logger
+   * @constant
+   * @private
+   */
+  var LOG = options.logger || require("winston");
+
+  /** Maximum number of runs kept in the history.
+   * @type Number
+   * @constant
+   * @private
+   * @fieldOf Scheduler#
+   */
+  var HISTORY_SIZE = options.historySize || 100;
+
+  /** Time to wait for running importers on shutdown, in milliseconds.
+   * @type Number
+   * @constant
+   * @private
+   * @fieldOf Scheduler#
+   */
+  var SHUTDOWN_TIMEOUT = options.shutdownTimeout || 60000;
+
+  /** Node's FileSystem API.
+   * @type {Object}
+   * @private
+   * @fieldOf Scheduler#
+   */
+  var fs = require("fs");
+
+  /** Cron jobs library.
+   * @type {Function}
+   * @private
+   * @fieldOf Scheduler#
+   */
+  var CronJob = require("cron").CronJob;
+
+  /** Utility to extend objects.
+   * @type {Function}
+   * @private
+   * @fieldOf Scheduler#
+   */
+  var extend = require("extend");
+
+  /** Utility to write files atomically.
+   * @type {AtomicFile}
+   * @private
+   * @fieldOf Scheduler#
+   */
+  var atomicFile = new (require("./AtomicFile"))();
+
+  /** Cron jobs by importer role.
+   * @type {Object}
+   * @private
+   * @fieldOf Scheduler#
+   */
+  var cronJobs = {};
+
+  /** Runs in progress by importer role. Each run has the history
+   * <code>entry</code> and the <code>handle</code> returned by the runner.
+   * @type {Object}
+   * @private
+   * @fieldOf Scheduler#
+   */
+  var running = {};
+
+  /** Finished and running importer runs, oldest first.
+   * @type {Object[]}
+   * @private
+   * @fieldOf Scheduler#
+   */
+  var history = [];
+
+  /** Indicates whether the scheduler is shutting down.
+   * @type Boolean
+   * @private
+   * @fieldOf Scheduler#
+   */
+  var stopping = false;
+
+  /** Callbacks waiting for running importers to finish.
+   * @type {Function[]}
+   * @private
+   * @fieldOf Scheduler#
+   */
+  var stopCallbacks = [];
+
+  /** Saves the run history, if there's a history file.
+   * @private
+   * @methodOf Scheduler#
+   */
+  var saveHistory = function () {
+    if (history.length > HISTORY_SIZE) {
+      history = history.slice(history.length - HISTORY_SIZE);
+    }
+    if (options.historyFile) {
+      atomicFile.writeFileSync(options.historyFile,
+        JSON.stringify(history, null, 2));
+    }
+  };
+
+  /** Invokes the stop callbacks if there are no runs in progress.
+   * @private
+   * @methodOf Scheduler#
+   */
+  var notifyStopped = function () {
+    var callbacks;
+
+    if (Object.keys(running).length === 0) {
+      callbacks = stopCallbacks;
+      stopCallbacks = [];
+      callbacks.forEach(function (callback) {
+        callback();
+      });
+    }
+  };
+
+  /** Starts a run of the specified importer, unless it is already running.
+   * @param {String} role Role of the importer to run. Cannot be null.
+   * @private
+   * @methodOf Scheduler#
+   */
+  var run = function (role) {
+    var entry = {
+      id: role + "-" + Date.now(),
+      role: role,
+      start: new Date().toISOString(),
+      end: null,
+      elapsed: null,
+      status: "running",
+      error: null,
+      summary: null
+    };
+    var finished = false;
+    var handle;
+
+    if (stopping) {
+      return;
+    }
+    if (running.hasOwnProperty(role)) {
+      LOG.info("Importer " + role + " is still running, run skipped.");
+      history.push(extend(entry, {
+        end: entry.start,
+        elapsed: 0,
+        status: "skipped"
+      }));
+      return saveHistory();
+    }
+
+    LOG.info("Starting scheduled run of " + role + ".");
+    history.push(entry);
+    saveHistory();
+
+    running[role] = {
+      entry: entry,
+      handle: null
+    };
+
+    try {
+      handle = options.runner(role, function (err, summary) {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        delete running[role];
+
+        extend(entry, {
+          end: new Date().toISOString(),
+          elapsed: Date.now() - Date.parse(entry.start),
+          status: err ? "failed" : (stopping ? "stopped" : "success"),
+          error: err ? String(err.message || err) : null,
+          summary: summary || null
+        });
+        LOG.info("Run of " + role + " finished with status " +
+          entry.status + ".");
+        saveHistory();
+        notifyStopped();
+      });
+      if (running[role]) {
+        running[role].handle = handle;
+      }
+    } catch (err) {
+      finished = true;
+      delete running[role];
+      extend(entry, {
+        end: new Date().toISOString(),
+        elapsed: 0,
+        status: "failed",
+        error: String(err.message || err)
+      });
+      LOG.error("Cannot start " + role + ": " + err);
+      saveHistory();
+    }
+  };
+
+  /** Stops scheduling runs and stops the runs in progress.
+   * @param {Function} callback Invoked when all runs are finished. Cannot be
+   *    null.
+   * @private
+   * @methodOf Scheduler#
+   */
+  var stop = function (callback) {
+    var role;
+
+    stopping = true;
+
+    for (role in cronJobs) {
+      if (cronJobs.hasOwnProperty(role)) {
+        cronJobs[role].stop();
+      }
+    }
+    for (role in running) {
+      if (running.hasOwnProperty(role) && running[role].handle) {
+        LOG.info("Stopping " + role + "...");
+        running[role].handle.stop();
+      }
+    }
+    stopCallbacks.push(callback);
+    notifyStopped();
+  };
+
+  /** Shuts down the process when the scheduler receives a signal. Runs are
+   * stopped gracefully and the process exits when they finish, or when the
+   * shutdown timeout expires.
+   * @param {String} signal Received signal. Cannot be null.
+   * @private
+   * @methodOf Scheduler#
+   */
+  var shutdown = function (signal) {
+    var timer;
+
+    if (stopping) {
+      return;
+    }
+    LOG.info("Received " + signal + ", waiting for running importers.");
+
+    timer = setTimeout(function () {
+      var role;
+
+      LOG.info("Shutdown timeout expired, exiting.");
+      for (role in running) {
+        if (running.hasOwnProperty(role)) {
+          extend(running[role].entry, {
+            end: new Date().toISOString(),
+            status: "interrupted"
+          });
+        }
+      }
+      saveHistory();
+      process.exit(1);
+    }, SHUTDOWN_TIMEOUT);
+
+    stop(function () {
+      clearTimeout(timer);
+      LOG.info("Scheduler stopped.");
+      process.exit(0);
+    });
+  };
+
+  (function __constructor() {
+    if (options.historyFile && fs.existsSync(options.historyFile)) {
+      history = JSON.parse(fs.readFileSync(options.historyFile).toString());
+
+      // Runs in progress when the previous process died.
+      history.forEach(function (entry) {
+        if (entry.status === "running") {
+          entry.status = "interrupted";
+        }
+      });
+    }
+  }());
+
+  return {
+
+    /** Schedules all jobs. Invalid cron expressions throw an error before
+     * any job is scheduled.
+     */
+    start: function () {
+      var role;
+
+      for (role in options.jobs) {
+        if (options.jobs.hasOwnProperty(role)) {
+          try {
+            cronJobs[role] = new CronJob(options.jobs[role],
+              run.bind(null, role), null, false, options.timeZone);
+          } catch (err) {
+            cronJobs = {};
+            throw new Error("Invalid cron expression for " + role + ": " +
+              err.message);
+          }
+        }
+      }
+      for (role in cronJobs) {
+        if (cronJobs.hasOwnProperty(role)) {
+          cronJobs[role].start();
+          LOG.info("Scheduled " + role + " (" + options.jobs[role] + ").");
+        }
+      }
+      if (options.handleSignals !== false) {
+        process.on("SIGTERM", shutdown.bind(null, "SIGTERM"));
+        process.on("SIGINT", shutdown.bind(null, "SIGINT"));
+      }
+    },
+
+    /** Stops scheduling runs and stops the runs in progress after their
+     * current tasks.
+     *
+     * @param {Function} callback Invoked when all runs are finished. Cannot
+     *    be null.
+     */
+    stop: stop,
+
+    /** Runs the specified importer immediately, unless it is already
+     * running.
+     *
+     * @param {String} role Role of the importer to run. Cannot be null.
+     */
+    run: run,
+
+    /** Returns the roles of the importers currently running.
+     * @return {String[]} A list of roles, never null.
+     */
+    getRunning: function () {
+      return Object.keys(running);
+    },
+
+    /** Returns the run history, oldest first. Each run has an
+     * <code>id</code>, the importer <code>role</code>, the <code>start</code>
+     * and <code>end</code> dates, the <code>elapsed</code> time in
+     * milliseconds, the <code>status</code> (<code>running</code>,
+     * <code>success</code>, <code>failed</code>, <code>skipped</code>,
+     * <code>stopped</code> or <code>interrupted</code>), the
+     * <code>error</code> message if it failed and the importer
+     * <code>summary</code>.
+     *
+     * @return {Object[]} The list of runs, never null.
+     */
+    getHistory: function () {
+      return history.slice();
+    }
+  };
+};
@@ -0,0 +1,403 @@
+/** Validates imported items against the JSON Schema of their role and keeps
+ * a data-quality report. Schemas are in the <code>schemas</code> directory,
+ * one file per role.
+ *
+ * Each item is checked for:
+ * <ul>
+ *   <li>missing fields: required fields that don't exist or are empty;</li>
+ *   <li>invalid fields: values that don't match the schema, like a bill file
+ *      with an unexpected format;</li>
+ *   <li>suspicious values: values that match the schema but are likely
+ *      parsing errors, like placeholders, markup or dates out of range.</li>
+ * </ul>
+ *
+ * Items with missing or invalid fields are invalid. Suspicious values are
+ * only reported.
+ *
+ * @param {Object} [options] Validator configuration. Can be null.
+ * @param {Object} [options.schemas] Schemas by role, replacing the built-in
+ *    ones. Can be null.
+ * @param {Boolean} [options.dropInvalid] Indicates whether the pipeline stage
+ *    drops invalid items. Default is false, which means invalid items are
+ *    reported and stored anyway.
+ * @param {Number} [options.maxSamples] Maximum number of invalid items kept in
+ *    the report of each role. Default is 10.
+ * @constructor
+ */
+module.exports = function SchemaValidator(options) {
+
+  /** Maximum number of invalid items kept in the report of each role.
+   * @type Number
+   * @constant
+   * @private
+   * @fieldOf SchemaValidator#
+   */
+  var MAX_SAMPLES = (options && options.maxSamples) || 10;
+
+  /** Values that scrapers use when a field is not found.
+   * @type String[]
+   * @constant
+   * @private
+   * @fieldOf SchemaValidator#
+   */
+  var PLACEHOLDERS = ["NONE", "N/A", "-", "NULL", "UNDEFINED", "NAN",
+    "INVALID DATE"];
+
+  /** Expression that matches ISO dates, capturing the year.
+   * @type RegExp
+   * @constant
+   * @private
+   * @fieldOf SchemaValidator#
+   */
+  var DATE_EXPR = /^(\d{4})-\d{2}-\d{2}T/;
+
+  /** Expression that matches markup left by the HTML parser.
+   * @type RegExp
+   * @constant
+   * @private
+   * @fieldOf SchemaValidator#
+   */
+  var MARKUP_EXPR = /<\/?[a-z][^>]*>|&[a-z]+;|&#\d+;/i;
+
+  /** First year of the Congress, older dates are parsing errors.
+   * @type Number
+   * @constant
+   * @private
+   * @fieldOf SchemaValidator#
+   */
+  var MIN_YEAR = 1854;
+
+  /** Roles with built-in schemas.
+   * @type String[]
+   * @constant
+   * @private
+   * @fieldOf SchemaValidator#
+   */
+  var ROLES = ["bills", "vote", "committees", "people", "events"];
+
+  /** JSON Schema validator.
+   * @type {Object}
+   * @private
+   * @fieldOf SchemaValidator#
+   */
+  var ajv = new (require("ajv"))({
+    allErrors: true,
+    strict: false
+  });
+
+  /** Compiled schemas by role.
+   * @type Object
+   * @private
+   * @fieldOf SchemaValidator#
+   */
+  var validators = {};
+
+  /** Quality report by role.
+   * @type Object
+   * @private
+   * @fieldOf SchemaValidator#
+   */
+  var reports = {};
+
+  /** Returns the compiled schema of a role.
+   * @param {String} role Role of the item. Can be null.
+   * @return {Function} The validation function, or null if there's no
+   *    schema for the role.
+   * @private
+   * @methodOf SchemaValidator#
+   */
+  var validatorOf = function (role) {
+    var schema = options && options.schemas && options.schemas[role];
+
+    if (!validators.hasOwnProperty(role)) {
+      if (!schema && ROLES.indexOf(role) > -1) {
+        schema = require("./schemas/" + role + ".json");
+      }
+      validators[role] = schema ? ajv.compile(schema) : null;
+    }
+    return validators[role];
+  };
+
+  /** Normalizes a path reported by the schema validator, removing list
+   * indexes: <code>subscribers[].name</code>. It supports both JavaScript
+   * paths and JSON pointers.
+   * @param {String} dataPath Path of the value. Cannot be null.
+   * @param {String} [property] Property under the path. Can be null.
+   * @return {String} The normalized path, never null.
+   * @private
+   * @methodOf SchemaValidator#
+   */
+  var normalizePath = function (dataPath, property) {
+    var path = dataPath.replace(/\[\d+\]/g, "[]")
+      .replace(/\['([^']*)'\]/g, ".$1")
+      .replace(/\/\d+(?=\/|$)/g, "[]")
+      .replace(/\//g, ".")
+      .replace(/^\./, "");
+
+    if (property) {
+      path += (path ? "." : "") + property.replace(/^\./, "");
+    }
+    return path || "(item)";
+  };
+
+  /** Reads the value of a path reported by the schema validator.
+   * @param {Object} data Validated item. Cannot be null.
+   * @param {Object} error Validation error. Cannot be null.
+   * @return {Object} The value, or undefined if it doesn't exist.
+   * @private
+   * @methodOf SchemaValidator#
+   */
+  var valueOf = function (data, error) {
+    var path = error.instancePath !== undefined ? error.instancePath :
+      error.dataPath;
+
+    return path.split(/[.\/\[\]']+/).filter(function (field) {
+      return field !== "";
+    }).reduce(function (value, field) {
+      return (value === null || value === undefined) ? undefined :
+        value[field];
+    }, data);
+  };
+
+  /** Converts schema errors into issues.
+   * @param {Object} data Validated item. Cannot be null.
+   * @param {Object[]} errors Schema errors. Cannot be null.
+   * @return {Object[]} The list of issues, never null.
+   * @private
+   * @methodOf SchemaValidator#
+   */
+  var schemaIssues = function (data, errors) {
+    return errors.map(function (error) {
+      var dataPath = error.instancePath !== undefined ? error.instancePath :
+        error.dataPath;
+      var value = valueOf(data, error);
+
+      if (error.keyword === "required") {
+        return {
+          type: "missing",
+          path: normalizePath(dataPath, error.params.missingProperty),
+          message: error.message
+        };
+      }
+      return {
+        type: (value === "" || (Array.isArray(value) && value.length === 0)) ?
+          "missing" : "invalid",
+        path: normalizePath(dataPath),
+        message: error.message
+      };
+    });
+  };
+
+  /** Looks for suspicious values in an item.
+   * @param {Object} value Value to check. Can be null.
+   * @param {String} path Path of the value. Cannot be null.
+   * @param {Object[]} issues List to add the issues found. Cannot be null.
+   * @private
+   * @methodOf SchemaValidator#
+   */
+  var checkValues = function (value, path, issues) {
+    var reason = null;
+    var date;
+
+    if (Array.isArray(value)) {
+      return value.forEach(function (entry) {
+        checkValues(entry, path + "[]", issues);
+      });
+    }
+    if (value !== null && typeof value === "object") {
+      return Object.keys(value).forEach(function (field) {
+        checkValues(value[field], (path ? path + "." : "") + field, issues);
+      });
+    }
+    if (typeof value !== "string") {
+      return;
+    }
+    date = DATE_EXPR.exec(value);
+
+    if (PLACEHOLDERS.indexOf(value.trim().toUpperCase()) > -1) {
+      reason = "placeholder value";
+    } else if (value !== value.trim()) {
+      reason = "surrounding white spaces";
+    } else if (MARKUP_EXPR.test(value)) {
+      reason = "markup";
+    } else if (value.indexOf("\ufffd") > -1) {
+      reason = "invalid characters";
+    } else if (date && (parseInt(date[1], 10) < MIN_YEAR ||
+        parseInt(date[1], 10) > new Date().getFullYear() + 1)) {
+      reason = "date out of range";
+    }
+    if (reason) {
+      issues.push({
+        type: "suspicious",
+        path: path || "(item)",
+        message: reason
+      });
+    }
+  };
+
+  /** Returns the report of a role, creating it if required.
+   * @param {String} role Role of the items. Cannot be null.
+   * @return {Object} The report, never null.
+   * @private
+   * @methodOf SchemaValidator#
+   */
+  var reportOf = function (role) {
+    if (!reports[role]) {
+      reports[role] = {
+        role: role,
+        records: 0,
+        valid: 0,
+        invalid: 0,
+        unchecked: 0,
+        missing: {},
+        invalidFields: {},
+        suspicious: {},
+        samples: []
+      };
+    }
+    return reports[role];
+  };
+
+  /** Increments the counter of a path.
+   * @param {Object} counters Counters by path. Cannot be null.
+   * @param {String} path Path to count. Cannot be null.
+   * @private
+   * @methodOf SchemaValidator#
+   */
+  var count = function (counters, path) {
+    counters[path] = (counters[path] || 0) + 1;
+  };
+
+  return {
+
+    /** Validates an item and adds the result to the quality report.
+     *
+     * @param {String} id Item id. Cannot be null or empty.
+     * @param {Object} data Item to validate, as it would be serialized to
+     *    JSON. Cannot be null.
+     * @param {String} role Role of the item. Can be null.
+     * @return {Object} The result, with whether the item is
+     *    <code>valid</code> and the list of <code>issues</code>. Each issue
+     *    has the <code>type</code> (missing, invalid or suspicious), the field
+     *    <code>path</code> and a <code>message</code>. Never null.
+     */
+    validate: function (id, data, role) {
+      var validator = validatorOf(role || "");
+      var report = reportOf(role || "");
+      var issues = [];
+      var valid;
+
+      report.records += 1;
+
+      if (!validator) {
+        report.unchecked += 1;
+        return {
+          valid: true,
+          issues: issues
+        };
+      }
+      valid = validator(data);
+
+      if (!valid) {
+        issues = schemaIssues(data, validator.errors);
+      }
+      checkValues(data, "", issues);
+
+      issues.forEach(function (issue) {
+        count(issue.type === "missing" ? report.missing :
+          issue.type === "invalid" ? report.invalidFields : report.suspicious,
+          issue.path);
+      });
+      if (valid) {
+        report.valid += 1;
+      } else {
+        report.invalid += 1;
+
+        if (report.samples.length < MAX_SAMPLES) {
+          report.samples.push({
+            id: id,
+            issues: issues
+          });
+        }
+      }
+      return {
+        valid: valid,
+        issues: issues
+      };
+    },
+
+    /** Creates a <code>StorePipeline</code> stage that validates each item.
+     *
+     * @return {Function} A new stage, never null.
+     */
+    stage: function () {
+      var validator = this;
+
+      return function (item, callback) {
+        var result = validator.validate(item.id, item.data, item.role);
+
+        callback(null, (result.valid || !(options && options.dropInvalid)) ?
+          item : null);
+      };
+    },
+
+    /** Returns the quality report.
+     *
+     * @param {String} [role] Role to read the report. Default is the report
+     *    of every role.
+     * @return {Object} The report of the role, or reports by role. Each report
+     *    has the number of <code>records</code>, <code>valid</code>,
+     *    <code>invalid</code> and <code>unchecked</code> records, the
+     *    <code>missing</code>, <code>invalidFields</code> and
+     *    <code>suspicious</code> counters by field path, and a few
+     *    <code>samples</code> of invalid records. Never null.
+     */
+    getReport: function (role) {
+      if (role !== undefined) {
+        return JSON.parse(JSON.stringify(reportOf(role || "")));
+      }
+      return JSON.parse(JSON.stringify(reports));
+    },
+
+    /** Formats the report of a role as text.
+     *
+     * @param {Object} report Report of a single role. Cannot be null.
+     * @return {String} The formatted report, never null.
+     */
+    format: function (report) {
+      var lines = [];
+      var section = function (title, counters) {
+        var paths = Object.keys(counters).sort(function (a, b) {
+          return counters[b] - counters[a] || (a < b ? -1 : 1);
+        });
+
+        if (paths.length > 0) {
+          lines.push(title + ":");
+          paths.forEach(function (path) {
+            lines.push("    " + path + ": " + counters[path]);
+          });
+        }
+      };
+
+      lines.push("Records: " + report.records + ", valid: " + report.valid +
+        ", invalid: " + report.invalid + ", without schema: " +
+        report.unchecked);
+      section("Missing fields", report.missing);
+      section("Invalid fields", report.invalidFields);
+      section("Suspicious values", report.suspicious);
+
+      if (report.samples.length > 0) {
+        lines.push("Invalid records: " + report.samples.map(function (sample) {
+          return sample.id;
+        }).join(", "));
+      }
+      return lines.join("\n");
+    },
+
+    /** Clears the quality report, for instance before a new import process.
+     */
+    reset: function () {
+      reports = {};
+    }
+  };
+};
@@ -0,0 +1,615 @@
+/** Storer that writes items into a normalized SQLite database. Each role has
+ * its own tables, and lists like bill procedures or committee members are
+ * written to related tables.
+ *
+ * Items are upserted by their natural keys: the bill file, the vote document
+ * id, the committee name, the person user and the events day. Related rows
+ * are replaced, so storing an item again leaves the same rows. Items of
+ * other roles are written to the <code>items</code> table as JSON.
+ *
+ * The schema is created and upgraded by migrations when the database is
+ * opened. The current schema version is kept in the database
+ * <code>user_version</code>.
+ *
+ * It requires the optional <code>sqlite3</code> dependency.
+ *
+ * @param {String} databaseFile SQLite database file. Cannot be null.
+ * @param {Object} [options] Storer configuration. Can be null.
+ * @param {String} [options.role] Role of the stored items. Default is the
+ *    role of each stored item.
+ * @param {Boolean} [options.skipUnchanged] Indicates whether the importer
+ *    must not store items that didn't change since the previous import
+ *    process, according to its change index. Default is false.
+ * @constructor
+ */
+module.exports = function SqliteStorer(databaseFile, options) {
+
+  /** Schema migrations. Each migration is a list of statements, and its
+   * version is its position in this list starting from 1. Migrations must
+   * never change once released, new changes must be added as new
+   * migrations.
+   * @type String[][]
+   * @constant
+   * @private
+   * @fieldOf SqliteStorer#
+   */
+  var MIGRATIONS = [[
+    "CREATE TABLE bills (file TEXT PRIMARY KEY, type TEXT, source TEXT, " +
+      "published_on TEXT, creation_time TEXT, summary TEXT, " +
+      "revision_chamber TEXT, revision_file TEXT, text_url TEXT, " +
+      "imported_at TEXT)",
+    "CREATE TABLE bill_subscribers (bill_file TEXT NOT NULL, " +
+      "position INTEGER, name TEXT, party TEXT, province TEXT)",
+    "CREATE TABLE bill_committees (bill_file TEXT NOT NULL, " +
+      "position INTEGER, committee TEXT)",
+    "CREATE TABLE bill_dictums (bill_file TEXT NOT NULL, position INTEGER, " +
+      "file TEXT, source TEXT, order_paper TEXT, date TEXT, result TEXT, " +
+      "url TEXT)",
+    "CREATE TABLE bill_procedures (bill_file TEXT NOT NULL, " +
+      "position INTEGER, file TEXT, source TEXT, topic TEXT, date TEXT, " +
+      "result TEXT)",
+    "CREATE TABLE vote_documents (id TEXT PRIMARY KEY, file TEXT, " +
+      "description TEXT, url TEXT, order_paper TEXT, document TEXT, " +
+      "version TEXT, date TEXT, hour TEXT, majority_base TEXT, " +
+      "majority_type TEXT, quorum TEXT, present INTEGER, absent INTEGER, " +
+      "affirmative INTEGER, negative INTEGER, abstention INTEGER, " +
+      "references_summary TEXT, imported_at TEXT)",
+    "CREATE TABLE vote_references (vote_document_id TEXT NOT NULL, " +
+      "position INTEGER, file TEXT)",
+    "CREATE TABLE votes (vote_document_id TEXT NOT NULL, position INTEGER, " +
+      "name TEXT, party TEXT, province TEXT, vote TEXT)",
+    "CREATE TABLE committees (name TEXT PRIMARY KEY, type TEXT, url TEXT, " +
+      "location TEXT, secretary TEXT, chief TEXT, meetings TEXT, " +
+      "phones TEXT, imported_at TEXT)",
+    "CREATE TABLE committee_members (committee_name TEXT NOT NULL, " +
+      "position INTEGER, name TEXT, role TEXT, district TEXT, block TEXT)",
+    "CREATE TABLE people (user TEXT PRIMARY KEY, name TEXT, role TEXT, " +
+      "party TEXT, district TEXT, start TEXT, end TEXT, email TEXT, " +
+      "picture_url TEXT, imported_at TEXT)",
+    "CREATE TABLE people_committees (person_user TEXT NOT NULL, " +
+      "position INTEGER, committee_id TEXT, committee_name TEXT, " +
+      "role TEXT)",
+    "CREATE TABLE events (day TEXT NOT NULL, position INTEGER NOT NULL, " +
+      "date TEXT, hour TEXT, location TEXT, topic TEXT, summary TEXT, " +
+      "imported_at TEXT, PRIMARY KEY (day, position))",
+    "CREATE TABLE event_committees (day TEXT NOT NULL, " +
+      "event_position INTEGER, committee TEXT)",
+    "CREATE TABLE event_actions (day TEXT NOT NULL, event_position INTEGER, " +
+      "action_id TEXT, action TEXT, summary TEXT, result TEXT)",
+    "CREATE TABLE event_files (day TEXT NOT NULL, event_position INTEGER, " +
+      "action_id TEXT, file TEXT)",
+    "CREATE TABLE items (role TEXT NOT NULL, id TEXT NOT NULL, data TEXT, " +
+      "imported_at TEXT, PRIMARY KEY (role, id))",
+    "CREATE INDEX bill_subscribers_bill ON bill_subscribers (bill_file)",
+    "CREATE INDEX bill_subscribers_name ON bill_subscribers (name)",
+    "CREATE INDEX bill_committees_bill ON bill_committees (bill_file)",
+    "CREATE INDEX bill_committees_committee ON bill_committees (committee)",
+    "CREATE INDEX bill_dictums_bill ON bill_dictums (bill_file)",
+    "CREATE INDEX bill_procedures_bill ON bill_procedures (bill_file)",
+    "CREATE INDEX bills_creation_time ON bills (creation_time)",
+    "CREATE INDEX vote_documents_file ON vote_documents (file)",
+    "CREATE INDEX vote_documents_date ON vote_documents (date)",
+    "CREATE INDEX vote_references_document ON vote_references " +
+      "(vote_document_id)",
+    "CREATE INDEX vote_references_file ON vote_references (file)",
+    "CREATE INDEX votes_document ON votes (vote_document_id)",
+    "CREATE INDEX votes_name ON votes (name)",
+    "CREATE INDEX committee_members_committee ON committee_members " +
+      "(committee_name)",
+    "CREATE INDEX committee_members_name ON committee_members (name)",
+    "CREATE INDEX people_name ON people (name)",
+    "CREATE INDEX people_party ON people (party)",
+    "CREATE INDEX people_committees_person ON people_committees " +
+      "(person_user)",
+    "CREATE INDEX people_committees_committee ON people_committees " +
+      "(committee_name)",
+    "CREATE INDEX event_committees_committee ON event_committees " +
+      "(committee)",
+    "CREATE INDEX event_actions_day ON event_actions (day)",
+    "CREATE INDEX event_files_file ON event_files (file)"
+  ]];
+
+  /** Async flow control library.
+   * @type Object
+   * @private
+   * @fieldOf SqliteStorer#
+   */
+  var async = require("async");
+
+  /** Utility to extend objects.
+   * @type {Function}
+   * @private
+   * @fieldOf SqliteStorer#
+   */
+  var extend = require("extend");
+
+  /** Manages background operations.
+   * @type {BackgroundOperation}
+   * @private
+   * @fieldOf SqliteStorer#
+   */
+  var backgroundOperation = new (require("./BackgroundOperation"))();
+
+  /** SQLite database, opened when the storer is created.
+   * @type {sqlite3.Database}
+   * @private
+   * @fieldOf SqliteStorer#
+   */
+  var db = null;
+
+  /** Error opening or migrating the database, if any.
+   * @type {Error}
+   * @private
+   * @fieldOf SqliteStorer#
+   */
+  var openError = null;
+
+  /** Converts a value into a number, if it is a number.
+   * @param {Object} value Value to convert. Can be null.
+   * @return {Number} The number, or null if it is not a number.
+   * @private
+   * @methodOf SqliteStorer#
+   */
+  var toNumber = function (value) {
+    var number = parseInt(value, 10);
+
+    return isNaN(number) ? null : number;
+  };
+
+  /** Converts a value into a column value.
+   * @param {Object} value Value to convert. Can be null.
+   * @return {Object} A string, a number or null.
+   * @private
+   * @methodOf SqliteStorer#
+   */
+  var toColumn = function (value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (typeof value === "object") {
+      return JSON.stringify(value);
+    }
+    return value;
+  };
+
+  /** Builds the statement to insert a row.
+   * @param {String} table Table name. Cannot be null.
+   * @param {Object} row Row values by column. Cannot be null.
+   * @return {Object} The statement <code>sql</code> and its
+   *    <code>params</code>, never null.
+   * @private
+   * @methodOf SqliteStorer#
+   */
+  var insert = function (table, row) {
+    var columns = Object.keys(row);
+
+    return {
+      sql: "INSERT INTO " + table + " (" + columns.join(", ") + ") VALUES (" +
+        columns.map(function () {
+          return "?";
+        }).join(", ") + ")",
+      params: columns.map(function (column) {
+        return toColumn(row[column]);
+      })
+    };
+  };
+
+  /** Builds the statement to insert or update a row by its primary key.
+   * @param {String} table Table name. Cannot be null.
+   * @param {String[]} keys Primary key columns. Cannot be null.
+   * @param {Object} row Row values by column. Cannot be null.
+   * @return {Object} The statement <code>sql</code> and its
+   *    <code>params</code>, never null.
+   * @private
+   * @methodOf SqliteStorer#
+   */
+  var upsert = function (table, keys, row) {
+    var statement = insert(table, row);
+    var updates = Object.keys(row).filter(function (column) {
+      return keys.indexOf(column) === -1;
+    }).map(function (column) {
+      return column + " = excluded." + column;
+    });
+
+    statement.sql += " ON CONFLICT (" + keys.join(", ") + ") DO " +
+      (updates.length ? "UPDATE SET " + updates.join(", ") : "NOTHING");
+
+    return statement;
+  };
+
+  /** Builds the statements that replace the related rows of an item.
+   * @param {String} table Table name. Cannot be null.
+   * @param {Object} key Columns that reference the item, with their values.
+   *    Cannot be null.
+   * @param {Object[]} rows Rows values by column, without the key columns.
+   *    Cannot be null.
+   * @return {Object[]} The list of statements, never null.
+   * @private
+   * @methodOf SqliteStorer#
+   */
+  var replaceRows = function (table, key, rows) {
+    var keyColumns = Object.keys(key);
+    var statements = [{
+      sql: "DELETE FROM " + table + " WHERE " + keyColumns.map(function (
+          column) {
+        return column + " = ?";
+      }).join(" AND "),
+      params: keyColumns.map(function (column) {
+        return key[column];
+      })
+    }];
+
+    rows.forEach(function (row, index) {
+      statements.push(insert(table, extend({
+        position: index
+      }, key, row)));
+    });
+    return statements;
+  };
+
+  /** Statements to write items of each role. Each writer takes the item id,
+   * the item and the import date, and returns the list of statements.
+   * @type Object
+   * @constant
+   * @private
+   * @fieldOf SqliteStorer#
+   */
+  var WRITERS = {
+    bills: function (id, bill, now) {
+      var key = { bill_file: bill.file || id };
+
+      return [upsert("bills", ["file"], {
+        file: key.bill_file,
+        type: bill.type,
+        source: bill.source,
+        published_on: bill.publishedOn,
+        creation_time: bill.creationTime,
+        summary: bill.summary,
+        revision_chamber: bill.revisionChamber,
+        revision_file: bill.revisionFile,
+        text_url: bill.textUrl,
+        imported_at: now
+      })].concat(replaceRows("bill_subscribers", key,
+        (bill.subscribers || []).map(function (subscriber) {
+          return {
+            name: subscriber.name,
+            party: subscriber.party,
+            province: subscriber.province
+          };
+        })), replaceRows("bill_committees", key,
+        (bill.committees || []).map(function (committee) {
+          return { committee: committee };
+        })), replaceRows("bill_dictums", key,
+        (bill.dictums || []).map(function (dictum) {
+          return {
+            file: dictum.file,
+            source: dictum.source,
+            order_paper: dictum.orderPaper,
+            date: dictum.date,
+            result: dictum.result,
+            url: dictum.url
+          };
+        })), replaceRows("bill_procedures", key,
+        (bill.procedures || []).map(function (procedure) {
+          return {
+            file: procedure.file,
+            source: procedure.source,
+            topic: procedure.topic,
+            date: procedure.date,
+            result: procedure.result
+          };
+        })));
+    },
+    vote: function (id, document, now) {
+      var key = { vote_document_id: document.id || id };
+      var summary = document.summary || {};
+      var references = document.references || {};
+
+      return [upsert("vote_documents", ["id"], {
+        id: key.vote_document_id,
+        file: document.file,
+        description: document.description,
+        url: document.url,
+        order_paper: document.orderPaper,
+        document: document.document,
+        version: document.version,
+        date: document.date,
+        hour: document.hour,
+        majority_base: summary.majorityBase,
+        majority_type: summary.majorityType,
+        quorum: summary.quorum,
+        present: toNumber(summary.present && summary.present.total),
+        absent: toNumber(summary.absent),
+        affirmative: toNumber(summary.affirmative &&
+          summary.affirmative.total),
+        negative: toNumber(summary.negative && summary.negative.total),
+        abstention: toNumber(summary.abstention && summary.abstention.total),
+        references_summary: references.summary,
+        imported_at: now
+      })].concat(replaceRows("vote_references", key,
+        (references.files || []).map(function (file) {
+          return { file: file };
+        })), replaceRows("votes", key,
+        (document.votes || []).map(function (vote) {
+          return {
+            name: vote.name,
+            party: vote.party,
+            province: vote.province,
+            vote: vote.vote
+          };
+        })));
+    },
+    committees: function (id, committee, now) {
+      var key = { committee_name: committee.name || id };
+
+      return [upsert("committees", ["name"], {
+        name: key.committee_name,
+        type: committee.type,
+        url: committee.url,
+        location: committee.location,
+        secretary: committee.secretary,
+        chief: committee.chief,
+        meetings: committee.meetings,
+        phones: committee.phones,
+        imported_at: now
+      })].concat(replaceRows("committee_members", key,
+        (committee.members || []).map(function (member) {
+          return {
+            name: member.name,
+            role: member.position,
+            district: member.district,
+            block: member.block
+          };
+        })));
+    },
+    people: function (id, person, now) {
+      var key = { person_user: person.user || id };
+
+      return [upsert("people", ["user"], {
+        user: key.person_user,
+        name: person.name,
+        role: person.role,
+        party: person.party,
+        district: person.district,
+        start: person.start,
+        end: person.end,
+        email: person.email,
+        picture_url: person.pictureUrl,
+        imported_at: now
+      })].concat(replaceRows("people_committees", key,
+        (person.committees || []).map(function (committee) {
+          return {
+            committee_id: committee.id,
+            committee_name: committee.name,
+            role: committee.position
+          };
+        })));
+    },
+    events: function (id, labours, now) {
+      var statements = [];
+
+      ["events", "event_committees", "event_actions", "event_files"]
+        .forEach(function (table) {
+          statements.push({
+            sql: "DELETE FROM " + table + " WHERE day = ?",
+            params: [id]
+          });
+        });
+      (labours || []).forEach(function (labour, position) {
+        var event = labour.event || {};
+        var key = { day: id, event_position: position };
+
+        statements.push(upsert("events", ["day", "position"], {
+          day: id,
+          position: position,
+          date: labour.date || event.date,
+          hour: event.hour,
+          location: event.location,
+          topic: event.topic,
+          summary: event.summary,
+          imported_at: now
+        }));
+        (labour.committees || []).forEach(function (committee) {
+          statements.push(insert("event_committees", extend({
+            committee: committee
+          }, key)));
+        });
+        (labour.actions || []).forEach(function (action) {
+          (action.items || []).forEach(function (item) {
+            statements.push(insert("event_actions", extend({
+              action_id: action.id,
+              action: action.name,
+              summary: item.summary,
+              result: item.result
+            }, key)));
+            (item.files || []).forEach(function (file) {
+              statements.push(insert("event_files", extend({
+                action_id: action.id,
+                file: file
+              }, key)));
+            });
+          });
+        });
+      });
+      return statements;
+    }
+  };
+
+  /** Runs a list of statements in a transaction. If a statement fails the
+   * transaction is rolled back.
+   * @param {Object[]} statements Statements to run, each one with the
+   *    <code>sql</code> and its <code>params</code>. Cannot be null.
+   * @param {Function} callback Invoked when the transaction finished. It
+   *    takes an error as parameter. Cannot be null.
+   * @private
+   * @methodOf SqliteStorer#
+   */
+  var transaction = function (statements, callback) {
+    db.run("BEGIN", function (err) {
+      if (err) {
+        return callback(err);
+      }
+      async.eachSeries(statements, function (statement, next) {
+        db.run(statement.sql, statement.params || [], function (err) {
+          next(err);
+        });
+      }, function (err) {
+        db.run(err ? "ROLLBACK" : "COMMIT", function (endErr) {
+          callback(err || endErr || null);
+        });
+      });
+    });
+  };
+
+  /** Writes items one at a time, since SQLite transactions cannot be
+   * nested. Tasks have the statements to run.
+   * @type {Object}
+   * @private
+   * @fieldOf SqliteStorer#
+   */
+  var queue = async.queue(function (statements, callback) {
+    if (openError) {
+      return callback(openError);
+    }
+    transaction(statements, callback);
+  }, 1);
+
+  /** Applies pending migrations.
+   * @param {Function} callback Invoked when the schema is up to date. It
+   *    takes an error as parameter. Cannot be null.
+   * @private
+   * @methodOf SqliteStorer#
+   */
+  var migrate = function (callback) {
+    db.get("PRAGMA user_version", function (err, row) {
+      var version;
+
+      if (err) {
+        return callback(err);
+      }
+      version = row.user_version;
+
+      async.eachSeries(MIGRATIONS.slice(version), function (migration, next) {
+        version += 1;
+        transaction(migration.map(function (sql) {
+          return { sql: sql };
+        }).concat([{
+          sql: "PRAGMA user_version = " + version
+        }]), next);
+      }, callback);
+    });
+  };
+
+  (function __constructor() {
+    var sqlite3;
+
+    try {
+      sqlite3 = require("sqlite3");
+    } catch (err) {
+      throw new Error("SqliteStorer requires the sqlite3 module, install it " +
+        "with: npm install sqlite3");
+    }
+    queue.pause();
+    backgroundOperation.start();
+
+    db = new sqlite3.Database(databaseFile, function (err) {
+      if (err) {
+        openError = err;
+        backgroundOperation.end();
+        return queue.resume();
+      }
+      migrate(function (err) {
+        openError = err || null;
+        backgroundOperation.end();
+        queue.resume();
+      });
+    });
+  }());
+
+  return {
+
+    /** Indicates whether the importer must not store unchanged items.
+     * @type Boolean
+     */
+    skipUnchanged: !!(options && options.skipUnchanged),
+
+    /** Writes the specified item and its related rows.
+     *
+     * @param {String} id Unique id to identify this data. Cannot be null or
+     *    empty.
+     * @param {Object} data Object having the data to store. Cannot be null.
+     * @param {String} role Role of the specified data. Can be null.
+     * @param {Function} callback Callback invoked when the data is already
+     *    saved. It takes an error as parameter. Cannot be null.
+     */
+    store: function (id, data, role, callback) {
+      var itemRole = (options && options.role) || role || "";
+      var now = new Date().toISOString();
+      var writer = WRITERS[itemRole];
+      var statements;
+
+      try {
+        statements = writer ? writer(id, data, now) : [upsert("items",
+          ["role", "id"], {
+            role: itemRole,
+            id: id,
+            data: data,
+            imported_at: now
+          })];
+      } catch (err) {
+        return setImmediate(callback, err);
+      }
+      backgroundOperation.start();
+      queue.push([statements], function (err) {
+        backgroundOperation.end();
+        callback(err || null);
+      });
+    },
+
+    /** Runs a query against the database, for instance to read imported
+     * items.
+     *
+     * @param {String} sql Query to run. Cannot be null or empty.
+     * @param {Object[]} [params] Query parameters. Can be null.
+     * @param {Function} callback Receives an error and the list of rows as
+     *    parameters. Cannot be null.
+     */
+    query: function (sql, params, callback) {
+      if (typeof params === "function") {
+        callback = params;
+        params = [];
+      }
+      backgroundOperation.wait(function () {
+        if (openError) {
+          return callback(openError);
+        }
+        db.all(sql, params || [], callback);
+      });
+    },
+
+    /** Returns the current schema version.
+     * @return {Number} The number of migrations, never null.
+     */
+    getSchemaVersion: function () {
+      return MIGRATIONS.length;
+    },
+
+    /** Closes the database when pending items are written.
+     */
+    close: function () {
+      backgroundOperation.wait(function () {
+        db.close();
+      });
+    },
+
+    /** Waits until pending items are written.
+     *
+     * @param {Function} callback Invoked when there is no pending operations.
+     *    Cannot be null.
+     */
+    wait: backgroundOperation.wait
+  };
+};
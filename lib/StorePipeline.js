@@ -0,0 +1,126 @@
+/** Sequence of stages that process items between the importer and the
+ * storers. Stages can validate, normalize, enrich, drop or fan out items.
+ *
+ * A stage is a function that receives an item, with the <code>id</code>,
+ * <code>role</code> and <code>data</code>, and a callback that takes an error
+ * and the result. The result is either the item to pass to the next stage, a
+ * list of items to fan out, or null to drop the item. Stages may modify the
+ * item they receive, it is a copy of the imported item.
+ *
+ * Stages are configured by role. Stages under the "*" key apply to items of
+ * every role, and they run before the stages of the item role:
+ *
+ * <pre>
+ * new StorePipeline({
+ *   "*": [stages.requireFields(["id"])],
+ *   people: [stages.redact(["email", "phones"])]
+ * });
+ * </pre>
+ *
+ * Look at <code>PipelineStages</code> for built-in stages.
+ *
+ * @param {Object|Function[]} stages Stages by role, or a list of stages for
+ *    items of every role. Cannot be null.
+ * @constructor
+ */
+module.exports = function StorePipeline(stages) {
+
+  /** Key of the stages that apply to every role.
+   * @type String
+   * @constant
+   * @private
+   * @fieldOf StorePipeline#
+   */
+  var ALL_ROLES = "*";
+
+  /** Async flow control library.
+   * @type Object
+   * @private
+   * @fieldOf StorePipeline#
+   */
+  var async = require("async");
+
+  /** Stages by role.
+   * @type Object
+   * @private
+   * @fieldOf StorePipeline#
+   */
+  var stagesByRole = Array.isArray(stages) ? { "*": stages } : stages;
+
+  /** Returns the stages that apply to the specified role.
+   * @param {String} role Role of the item. Can be null.
+   * @return {Function[]} The list of stages, never null.
+   * @private
+   * @methodOf StorePipeline#
+   */
+  var stagesOf = function (role) {
+    return (stagesByRole[ALL_ROLES] || []).concat(role &&
+      stagesByRole[role] || []);
+  };
+
+  /** Applies a stage to a list of items.
+   * @param {Function} stage Stage to apply. Cannot be null.
+   * @param {Object[]} items Items to process. Cannot be null.
+   * @param {Function} callback Receives an error and the resulting items as
+   *    parameters. Cannot be null.
+   * @private
+   * @methodOf StorePipeline#
+   */
+  var applyStage = function (stage, items, callback) {
+    async.mapSeries(items, function (item, next) {
+      try {
+        stage(item, function (err, result) {
+          next(err, result ? [].concat(result) : []);
+        });
+      } catch (err) {
+        next(err);
+      }
+    }, function (err, results) {
+      callback(err, err ? [] : [].concat.apply([], results));
+    });
+  };
+
+  return {
+
+    /** Runs an item through the stages of its role.
+     *
+     * @param {String} id Item id. Cannot be null or empty.
+     * @param {Object} data Item to process. It is not modified. Cannot be
+     *    null.
+     * @param {String} role Role of the item. Can be null.
+     * @param {Function} callback Receives an error and the list of items to
+     *    store as parameters. Each item has the <code>id</code>,
+     *    <code>role</code> and <code>data</code>. The list is empty if the item
+     *    was dropped. Cannot be null.
+     */
+    process: function (id, data, role, callback) {
+      var items = [{
+        id: id,
+        role: role,
+        data: JSON.parse(JSON.stringify(data))
+      }];
+
+      async.eachSeries(stagesOf(role), function (stage, nextStage) {
+        if (items.length === 0) {
+          return nextStage();
+        }
+        applyStage(stage, items, function (err, result) {
+          items = result;
+          nextStage(err);
+        });
+      }, function (err) {
+        callback(err || null, err ? [] : items);
+      });
+    },
+
+    /** Indicates whether there are stages for the specified role.
+     *
+     * @param {String} role Role of the items. Can be null.
+     * @return {Boolean} true if items of the role are processed by at least
+     *    one stage, false otherwise.
+     */
+    hasStages: function (role) {
+      return stagesOf(role).length > 0;
+    }
+  };
+};
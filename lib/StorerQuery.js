@@ -0,0 +1,166 @@
+/** Finds items stored by storers that support the read API, like the
+ * <code>FileSystemStorer</code>. Items are filtered by role and by the value
+ * of their fields.
+ *
+ * Criteria reference fields by path, like <code>subscribers.name</code>. If a
+ * field in the path is a list, the criterion matches when any entry of the
+ * list matches. Expected values are either a value compared by equality, a
+ * regular expression, or a function that receives the value and returns
+ * whether it matches.
+ *
+ * @param {Object} storers Storers by role, for instance
+ *    <code>{ bills: storer, people: storer }</code>. Cannot be null.
+ * @constructor
+ */
+module.exports = function StorerQuery(storers) {
+
+  /** Async flow control library.
+   * @type {Object}
+   * @private
+   * @fieldOf StorerQuery#
+   */
+  var async = require("async");
+
+  /** Reads the values of a field path. Lists in the path are expanded, so a
+   * path may have many values.
+   * @param {Object} value Object to read. Can be null.
+   * @param {String[]} fields Remaining fields of the path. Cannot be null.
+   * @return {Object[]} The values found, never null.
+   * @private
+   * @methodOf StorerQuery#
+   */
+  var valuesOf = function (value, fields) {
+    if (Array.isArray(value)) {
+      return value.reduce(function (values, entry) {
+        return values.concat(valuesOf(entry, fields));
+      }, []);
+    }
+    if (fields.length === 0) {
+      return [value];
+    }
+    if (value === null || typeof value !== "object") {
+      return [];
+    }
+    return valuesOf(value[fields[0]], fields.slice(1));
+  };
+
+  /** Determines whether a value matches an expected value.
+   * @param {Object} value Value to test. Can be null.
+   * @param {Object} expected Expected value, regular expression or function.
+   *    Can be null.
+   * @return {Boolean} true if the value matches, false otherwise.
+   * @private
+   * @methodOf StorerQuery#
+   */
+  var matchValue = function (value, expected) {
+    if (expected instanceof RegExp) {
+      return value !== null && value !== undefined &&
+        expected.test(String(value));
+    }
+    if (typeof expected === "function") {
+      return Boolean(expected(value));
+    }
+    return value === expected;
+  };
+
+  /** Returns a function that tests whether an item matches all criteria.
+   * @param {Object} where Expected values by field path. Can be null.
+   * @return {Function} A filter function, never null.
+   * @private
+   * @methodOf StorerQuery#
+   */
+  var createFilter = function (where) {
+    var paths = Object.keys(where || {});
+
+    return function (item) {
+      return paths.every(function (path) {
+        return valuesOf(item, path.split(".")).some(function (value) {
+          return matchValue(value, where[path]);
+        });
+      });
+    };
+  };
+
+  /** Returns the roles to read.
+   * @param {String|String[]} role Role or list of roles. Can be null.
+   * @return {String[]} The list of roles, never null.
+   * @private
+   * @methodOf StorerQuery#
+   */
+  var rolesOf = function (role) {
+    if (!role) {
+      return Object.keys(storers);
+    }
+    return [].concat(role);
+  };
+
+  return {
+
+    /** Invokes an iterator for each item that matches the criteria. Items
+     * are read one by one.
+     *
+     * @param {Object} criteria Query criteria. Cannot be null.
+     * @param {String|String[]} [criteria.role] Roles to read. Default is all
+     *    roles.
+     * @param {Object} [criteria.where] Expected values by field path. Can be
+     *    null.
+     * @param {Number} [criteria.limit] Maximum number of items. Default is no
+     *    limit.
+     * @param {Function} iterator Invoked with the <code>id</code>,
+     *    <code>role</code> and <code>data</code> of each item and a callback
+     *    that must be invoked with an error as parameter. Cannot be null.
+     * @param {Function} callback Invoked when the query finished. It takes an
+     *    error and the number of matching items as parameters. Cannot be null.
+     */
+    each: function (criteria, iterator, callback) {
+      var filter = createFilter(criteria.where);
+      var limit = criteria.limit || 0;
+      var count = 0;
+      var unknown = rolesOf(criteria.role).filter(function (role) {
+        return !storers[role];
+      });
+
+      if (unknown.length > 0) {
+        return callback(new Error("Unknown role: " + unknown.join(", ")), 0);
+      }
+      async.eachSeries(rolesOf(criteria.role), function (role, nextRole) {
+        if (limit && count >= limit) {
+          return nextRole();
+        }
+        storers[role].iterate(function (data) {
+          return (!limit || count < limit) && filter(data);
+        }, function (data, id, next) {
+          count += 1;
+          iterator({
+            id: id,
+            role: role,
+            data: data
+          }, next);
+        }, function (err) {
+          nextRole(err);
+        });
+      }, function (err) {
+        callback(err || null, count);
+      });
+    },
+
+    /** Returns the items that match the criteria.
+     *
+     * @param {Object} criteria Query criteria, as described in
+     *    <code>each()</code>. Cannot be null.
+     * @param {Function} callback Receives an error and the list of matching
+     *    items as parameters. Each item has the <code>id</code>,
+     *    <code>role</code> and <code>data</code>. Cannot be null.
+     */
+    find: function (criteria, callback) {
+      var items = [];
+
+      this.each(criteria, function (item, next) {
+        items.push(item);
+        next();
+      }, function (err) {
+        callback(err, items);
+      });
+    }
+  };
+};
@@ -0,0 +1,239 @@
+/** Storer that keeps the history of each item in a file system directory.
+ *
+ * Each item has a history file with its content hash, its current data and
+ * the list of revisions. A new revision is written only when the item
+ * changes, and it has the structured differences with the previous revision:
+ * changed fields and list entries that were added or removed. The first
+ * revision has the full item.
+ *
+ * @param {String} dataDir Directory to store history files. Cannot be null.
+ * @param {Object} [options] Storer configuration. Can be null.
+ * @param {Number} [options.deph] Number of directory levels to balance the
+ *    tree. Default is 0, which means the root data dir will store all items.
+ * @param {Date} [options.date] Import timestamp recorded into revisions.
+ *    Default is the date this storer was created, so all revisions of an
+ *    import process have the same timestamp.
+ * @param {Boolean} [options.skipUnchanged] Indicates whether the importer
+ *    must not store items that didn't change since the previous import
+ *    process, according to its change index. Default is false.
+ * @constructor
+ */
+module.exports = function VersioningStorer(dataDir, options) {
+
+  /** Number of directory levels to balance the tree.
+   * @constant
+   * @private
+   * @fieldOf VersioningStorer#
+   */
+  var DEPH = (options && options.deph) || 0;
+
+  /** Import timestamp recorded into revisions.
+   * @type String
+   * @constant
+   * @private
+   * @fieldOf VersioningStorer#
+   */
+  var IMPORT_DATE = ((options && options.date) || new Date()).toISOString();
+
+  /** Node's FileSystem API.
+   * @type {Object}
+   * @private
+   * @fieldOf VersioningStorer#
+   */
+  var fs = require("fs");
+
+  /** Node's Path API.
+   * @type {Object}
+   * @private
+   * @fieldOf VersioningStorer#
+   */
+  var path = require("path");
+
+  /** Node's crypto API.
+   * @type {Object}
+   * @private
+   * @fieldOf VersioningStorer#
+   */
+  var crypto = require("crypto");
+
+  /** Utility to write files atomically.
+   * @type {AtomicFile}
+   * @private
+   * @fieldOf VersioningStorer#
+   */
+  var atomicFile = new (require("./AtomicFile"))();
+
+  /** Computes differences between revisions. List entries are compared by
+   * value, so a new entry in a list is a single addition.
+   * @type {ObjectDiff}
+   * @private
+   * @fieldOf VersioningStorer#
+   */
+  var objectDiff = new (require("./ObjectDiff"))({
+    unorderedArrays: true
+  });
+
+  /** Number of items stored by this storer, by kind of change.
+   * @type {Object}
+   * @private
+   * @fieldOf VersioningStorer#
+   */
+  var stats = {
+    created: 0,
+    changed: 0,
+    unchanged: 0
+  };
+
+  /** Returns the history file of an item, creating the directories that
+   * balance the tree if required.
+   * @param {String} id Item id. Cannot be null or empty.
+   * @return {String} The history file, never null.
+   * @private
+   * @methodOf VersioningStorer#
+   */
+  var historyFileOf = function (id) {
+    var itemDir = dataDir;
+    var i;
+
+    for (i = 0; i < DEPH; i++) {
+      itemDir = path.join(itemDir, id.substr(i * 2, 2));
+
+      if (!fs.existsSync(itemDir)) {
+        fs.mkdirSync(itemDir);
+      }
+    }
+    return path.join(itemDir, id + ".history.json");
+  };
+
+  /** Reads the history of an item.
+   * @param {String} id Item id. Cannot be null or empty.
+   * @return {Object} The item history, or null if it doesn't exist.
+   * @private
+   * @methodOf VersioningStorer#
+   */
+  var readHistory = function (id) {
+    var historyFile = historyFileOf(id);
+
+    if (!fs.existsSync(historyFile)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(historyFile).toString());
+  };
+
+  (function __constructor() {
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir);
+    }
+  }());
+
+  return {
+
+    /** Indicates whether the importer must not store unchanged items.
+     * @type Boolean
+     */
+    skipUnchanged: !!(options && options.skipUnchanged),
+
+    /** Stores a new revision of the specified item if it changed since the
+     * last revision.
+     *
+     * @param {String} id Unique id to identify this data. It is used as file
+     *    name. Cannot be null or empty.
+     * @param {Object} data Object having the data to store. Cannot be null.
+     * @param {String} role Role of the specified data. Can be null.
+     * @param {Function} callback Callback invoked when the data is already
+     *    saved. It takes an error as parameter. Cannot be null.
+     */
+    store: function (id, data, role, callback) {
+      var current = JSON.parse(JSON.stringify(data));
+      var hash = crypto.createHash("sha1").update(JSON.stringify(current))
+        .digest("hex");
+      var history;
+
+      try {
+        history = readHistory(id);
+
+        if (history && history.hash === hash) {
+          stats.unchanged += 1;
+          return setImmediate(callback);
+        }
+        if (history) {
+          stats.changed += 1;
+          history.revisions.push({
+            revision: history.revisions.length + 1,
+            date: IMPORT_DATE,
+            hash: hash,
+            changes: objectDiff.diff(history.data, current)
+          });
+        } else {
+          stats.created += 1;
+          history = {
+            id: id,
+            role: role || "",
+            revisions: [{
+              revision: 1,
+              date: IMPORT_DATE,
+              hash: hash,
+              data: current
+            }]
+          };
+        }
+        history.hash = hash;
+        history.data = current;
+
+        atomicFile.writeFileSync(historyFileOf(id), JSON.stringify(history));
+      } catch (err) {
+        return setImmediate(callback, err);
+      }
+      setImmediate(callback);
+    },
+
+    /** Returns the history of an item.
+     *
+     * @param {String} id Item id. Cannot be null or empty.
+     * @param {Function} callback Receives an error and the item history as
+     *    parameters. The history has the item <code>id</code> and
+     *    <code>role</code>, the current <code>hash</code> and
+     *    <code>data</code>, and the list of <code>revisions</code>, oldest
+     *    first. Each revision has the <code>revision</code> number, the import
+     *    <code>date</code>, the <code>hash</code> and either the list of
+     *    <code>changes</code> computed by <code>ObjectDiff</code> or, for the
+     *    first revision, the full <code>data</code>. The history is null if
+     *    the item was never stored. Cannot be null.
+     */
+    history: function (id, callback) {
+      var history;
+
+      try {
+        history = readHistory(id);
+      } catch (err) {
+        return setImmediate(callback, err);
+      }
+      setImmediate(callback, null, history);
+    },
+
+    /** Returns the number of items stored by this storer.
+     * @return {Object} The number of <code>created</code>,
+     *    <code>changed</code> and <code>unchanged</code> items, never null.
+     */
+    getStats: function () {
+      return {
+        created: stats.created,
+        changed: stats.changed,
+        unchanged: stats.unchanged
+      };
+    },
+
+    /** No waiting required, items are written synchronously.
+     *
+     * @param {Function} callback Invoked when there is no pending operations.
+     *    Cannot be null.
+     */
+    wait: function (callback) {
+      callback();
+    },
+
+    /** Closes and clean up this storer.
+     */
+    close: function () {}
+  };
+};
@@ -6,6 +6,21 @@
  *   Default is 1000.
  * @param {Number} [options.poolSize] Number of concurrent tasks fetching
  *   results at the same time. Default is 2.
+ * @param {Date|String} [options.startDate] Imports bills since this date,
+ *   either a Date or a YYYY-MM-DD string. Default is the high-water mark, or
+ *   1999-01-01 if there's no high-water mark.
+ * @param {Date|String} [options.endDate] Imports bills until this date,
+ *   either a Date or a YYYY-MM-DD string. Default is today.
+ * @param {String} [options.watermarkFile] File to store the end date of the
+ *   last successful import process. Next processes import bills since that
+ *   date. Can be null.
+ * @param {Number} [options.lookback] Number of days before the high-water mark
+ *   to import again, in order to catch recent changes to existing bills.
+ *   Default is 7.
+ * @param {Boolean} [options.fetchText] Indicates whether to fetch the full
+ *   text of bills and the order papers of dictums through the query cache.
+ *   The text is stored in the <code>text</code> field of the bill and of each
+ *   dictum. Default is false.
  * @param {winston.Logger} [options.logger] Logger for this class. Can be null.
  * @constructor
  */
@@ -43,7 +58,7 @@ module.exports = function BillImporter(options) {
     "&chkFirmantes=on" +          // Get subscribers.
     "&chkTramite=on" +            // Get parliamentary procedures.
     "&chkComisiones=on" +         // Get committees.
-    "&fecha_inicio=01/01/1999" +  // Bills start date.
+    "&fecha_inicio=${startDate}" + // Bills start date.
     "&fecha_fin=${endDate}" +     // Bills end date.
     "&whichpage=${pageNumber}" +  // Page number to fetch.
     "&pagesize=${pageSize}" +     // Number of bills per page.
@@ -66,12 +81,122 @@ module.exports = function BillImporter(options) {
    */
   var extend = require("extend");
 
-  /** Last queued page.
+  /** Node's crypto API.
+   * @type Object
+   * @private
+   * @fieldOf BillImporter#
+   */
+  var crypto = require("crypto");
+
+  /** Indicates whether to fetch the text of bills and order papers.
+   * @type Boolean
+   * @constant
+   * @private
+   * @fieldOf BillImporter#
+   */
+  var FETCH_TEXT = !!(options && options.fetchText);
+
+  /** Last queued page. The import process starts from the next page.
+   * @type Number
+   * @private
+   * @fieldOf OG.importer.BillImporter#
+   */
+  var pageCount = options.lastPage || options.startPage || 0;
+
+  /** Start date used when there's no high-water mark.
+   * @type Date
+   * @constant
+   * @private
+   * @fieldOf OG.importer.BillImporter#
+   */
+  var DEFAULT_START_DATE = new Date(1999, 0, 1);
+
+  /** Number of days before the high-water mark to import again.
    * @type Number
+   * @constant
    * @private
    * @fieldOf OG.importer.BillImporter#
    */
-  var pageCount = options.startPage || 0;
+  var LOOKBACK = options.lookback === undefined ? 7 : options.lookback;
+
+  /** Node's FileSystem API.
+   * @type {Object}
+   * @private
+   * @fieldOf OG.importer.BillImporter#
+   */
+  var fs = require("fs");
+
+  /** Utility to write files atomically.
+   * @type {AtomicFile}
+   * @private
+   * @fieldOf OG.importer.BillImporter#
+   */
+  var atomicFile = new (require("../AtomicFile"))();
+
+  /** Converts a YYYY-MM-DD string into a local date.
+   * @param {Date|String} date Date to convert. Can be null.
+   * @return {Date} The date, or null if it is not specified.
+   * @private
+   * @methodOf OG.importer.BillImporter#
+   */
+  var parseDate = function (date) {
+    var parts;
+
+    if (!date || date instanceof Date) {
+      return date || null;
+    }
+    parts = String(date).split("-");
+
+    if (parts.length !== 3 || isNaN(new Date(parts[0], parts[1] - 1,
+        parts[2]).getTime())) {
+      throw new Error("Invalid date, expected YYYY-MM-DD: " + date);
+    }
+    return new Date(parts[0], parts[1] - 1, parts[2]);
+  };
+
+  /** Formats a date as the search form expects it: DD/MM/YYYY.
+   * @param {Date} date Date to format. Cannot be null.
+   * @return {String} The formatted date, never null.
+   * @private
+   * @methodOf OG.importer.BillImporter#
+   */
+  var formatDate = function (date) {
+    var pad = function (number) {
+      return (number < 10 ? "0" : "") + number;
+    };
+    return pad(date.getDate()) + "/" + pad(date.getMonth() + 1) + "/" +
+      date.getFullYear();
+  };
+
+  /** End date of the last successful import process, or null if there's no
+   * high-water mark.
+   * @type Date
+   * @private
+   * @fieldOf OG.importer.BillImporter#
+   */
+  var watermark = (function () {
+    if (options.watermarkFile && fs.existsSync(options.watermarkFile)) {
+      return new Date(JSON.parse(fs.readFileSync(options.watermarkFile)
+        .toString()).endDate);
+    }
+    return null;
+  }());
+
+  /** Imports bills until this date.
+   * @type Date
+   * @private
+   * @fieldOf OG.importer.BillImporter#
+   */
+  var endDate = parseDate(options.endDate) || new Date();
+
+  /** Imports bills since this date.
+   * @type Date
+   * @private
+   * @fieldOf OG.importer.BillImporter#
+   */
+  var startDate = parseDate(options.startDate) || (watermark ?
+    new Date(watermark.getFullYear(), watermark.getMonth(),
+      watermark.getDate() - LOOKBACK) : DEFAULT_START_DATE);
 
   /** Regexp to extract a url from the javascript function to open popups.
    * Matches: javascript:OpenWindow("http://real-url-goes-here",400,400)
@@ -81,6 +206,15 @@ module.exports = function BillImporter(options) {
    */
   var EXTRACT_URL = /[\"\'](.*)[\"\']/;
 
+  /** Selector for the rows of a bill data table. HTML parsers may add the
+   * tbody element.
+   * @type String
+   * @constant
+   * @private
+   * @fieldOf OG.importer.BillImporter#
+   */
+  var TABLE_ROWS = "> table > tr, > table > tbody > tr";
+
   /** Expression that indicates the end of data.
    * @type RegExp
    * @private
@@ -88,6 +222,25 @@ module.exports = function BillImporter(options) {
    */
   var EOF_EXPR = /No se encuentra la info/;
 
+  /** Structural expectations of pages with results, look at
+   * <code>Importer.checkLayout()</code>.
+   * @type Object[]
+   * @constant
+   * @private
+   * @fieldOf OG.importer.BillImporter#
+   */
+  var RESULTS_LAYOUT = [{
+    selector: ".toc span.item1 > b",
+    description: "bill type"
+  }, {
+    selector: ".toc span.item1 > div",
+    description: "bill general information"
+  }, {
+    selector: ".toc div.item1 span",
+    text: ["FIRMANTES", "TRAMITE"],
+    description: "bill tables"
+  }];
+
   /** Error when there's no more data available.
    * @type {Error}
    * @private
@@ -102,6 +255,13 @@ module.exports = function BillImporter(options) {
    */
   var lastError = null;
 
+  /** Number of pages that failed, not counting the end of data.
+   * @type Number
+   * @private
+   * @fieldOf OG.importer.BillImporter#
+   */
+  var failedPages = 0;
+
   /** Extracts the order paper number from the specified line.
    * @param {String} line Line that contains the required order paper. Cannot be
    *    null or empty.
@@ -128,34 +288,46 @@ module.exports = function BillImporter(options) {
    * @methodOf OG.importer.BillImporter#
    */
   var processPage = function (pageNumber, callback) {
-    var now = new Date();
     var url = DATA_SOURCE
-      .replace("${endDate}", now.getDate() + "/" + (now.getMonth() + 1) + "/" +
-        now.getFullYear())
+      .replace("${startDate}", formatDate(startDate))
+      .replace("${endDate}", formatDate(endDate))
       .replace("${pageNumber}", pageNumber)
       .replace("${pageSize}", options && options.pageSize || 1000);
 
     importer.initEnv(url, function (errors, $) {
-      var documents = $(".toc");
+      var documents;
+      var err;
 
       LOG.info("Processing page " + pageNumber + "...");
 
       if (errors) {
-        LOG.info("Error processing page " + pageNumber + ": " + errors);
+        LOG.info("Error processing page " + pageNumber + " (" +
+          (importer.isTransientError(errors) ? "transient" : "permanent") +
+          "): " + errors);
 
-        return callback(new Error(errors));
+        return callback(errors);
       }
 
+      documents = $(".toc");
+
       if (documents.length === 0) {
-        if (EOF_EXPR.test($("> div").html())) {
+        if (EOF_EXPR.test($("body > div").html())) {
           LOG.info("No more data available");
           return callback(EOF_ERR);
         } else {
           LOG.info("Error processing page " + pageNumber);
-          return callback(new Error("Empty response, maybe querying error?"));
+          err = new Error("Empty response, maybe querying error?");
+          importer.deadLetter(url, err);
+          return callback(err);
         }
       }
 
+      err = importer.checkLayout(url, $, RESULTS_LAYOUT);
+
+      if (err) {
+        return callback(err);
+      }
+
       // Parses bills in groups of 10 elements.
       async.forEachLimit(documents, 100, function (document, next) {
         var rawBill = {};
@@ -170,7 +342,13 @@ module.exports = function BillImporter(options) {
           async.apply(extractSubscribers, context, rawBill),
           async.apply(extractCommittees, context, rawBill),
           async.apply(extractDictums, context, rawBill),
-          async.apply(extractProcedures, context, rawBill)
+          async.apply(extractProcedures, context, rawBill),
+          function (callback) {
+            if (!FETCH_TEXT) {
+              return callback(null);
+            }
+            extractTexts(rawBill, callback);
+          }
         ], function (err) {
           if (!err && rawBill.file) {
             // Stores bills using configured storers.
@@ -188,6 +366,70 @@ module.exports = function BillImporter(options) {
     });
   };
 
+  /** Fetches a document and extracts its text. Failures don't stop the
+   * import process, they are recorded in the extraction status.
+   *
+   * @param {String} url Url of the document. Cannot be null.
+   * @param {Function} callback Receives the text information: the
+   *    <code>url</code>, the extraction <code>status</code> (extracted, empty
+   *    or failed), the document <code>type</code>, the SHA-1
+   *    <code>hash</code> and the <code>content</code> of the text, and the
+   *    <code>error</code> message if extraction failed. Cannot be null.
+   * @private
+   * @methodOf BillImporter#
+   */
+  var fetchText = function (url, callback) {
+    importer.fetchDocumentText(url, function (err, document) {
+      if (err) {
+        LOG.info("Cannot extract text from " + url + ": " + err);
+
+        return callback({
+          url: url,
+          status: "failed",
+          type: null,
+          hash: null,
+          content: null,
+          error: err.message
+        });
+      }
+      callback({
+        url: url,
+        status: document.text ? "extracted" : "empty",
+        type: document.type,
+        hash: crypto.createHash("sha1").update(document.text).digest("hex"),
+        content: document.text,
+        error: null
+      });
+    });
+  };
+
+  /** Fetches the text of the bill and the order papers of its dictums.
+   *
+   * @param {Object} rawBill The bill being created. Cannot be null.
+   * @param {Function} callback Invoked to continue with the next bill. Cannot
+   *    be null.
+   * @private
+   * @methodOf BillImporter#
+   */
+  var extractTexts = function (rawBill, callback) {
+    var documents = (rawBill.dictums || []).filter(function (dictum) {
+      return dictum.url;
+    });
+
+    if (rawBill.textUrl) {
+      documents.unshift(rawBill);
+    }
+    async.eachSeries(documents, function (document, next) {
+      fetchText(document === rawBill ? rawBill.textUrl : document.url,
+        function (text) {
+          document.text = text;
+          next();
+        });
+    }, function () {
+      callback(null);
+    });
+  };
+
   /** Parses an HTML table with bill data.
    * @param {Object} context Parsing context. Cannot be null.
    * @param {Object[]} rows List of DOM table rows. Cannot be null.
@@ -229,7 +471,7 @@ module.exports = function BillImporter(options) {
    * @methodOf OG.importer.BillImporter#
    */
   var extractSubscribers = function (context, rawBill, callback) {
-    var subscribersRows = context.find("div.item1").eq(0).find("> table > tr");
+    var subscribersRows = context.find("div.item1").eq(0).find(TABLE_ROWS);
 
     parseTable(context, subscribersRows, function (subscriberData) {
       return {
@@ -252,7 +494,7 @@ module.exports = function BillImporter(options) {
    * @methodOf OG.importer.BillImporter#
    */
   var extractCommittees = function (context, rawBill, callback) {
-    var committeesRows = context.find("div.item1").eq(1).find("> table > tr");
+    var committeesRows = context.find("div.item1").eq(1).find(TABLE_ROWS);
 
     parseTable(context, committeesRows, function (committeeData) {
       return importer.errorIfEmpty(committeeData.eq(0));
@@ -272,7 +514,7 @@ module.exports = function BillImporter(options) {
    * @methodOf OG.importer.BillImporter#
    */
   var extractDictums = function (context, rawBill, callback) {
-    var dictumsRows = context.find("div.item1").eq(2).find("> table > tr");
+    var dictumsRows = context.find("div.item1").eq(2).find(TABLE_ROWS);
 
     parseTable(context, dictumsRows, function (dictumData) {
       var orderPaperEl = dictumData.eq(1).find("a");
@@ -311,7 +553,7 @@ module.exports = function BillImporter(options) {
    * @methodOf OG.importer.BillImporter#
    */
   var extractProcedures = function (context, rawBill, callback) {
-    var proceduresRows = context.find("div.item1").eq(3).find("> table > tr");
+    var proceduresRows = context.find("div.item1").eq(3).find(TABLE_ROWS);
 
     parseTable(context, proceduresRows, function (procedureData) {
       return {
@@ -379,6 +621,27 @@ module.exports = function BillImporter(options) {
     }
   };
 
+  /** Saves the end date as the high-water mark if the import process
+   * finished successfully and it didn't leave a gap since the previous
+   * high-water mark.
+   * @private
+   * @methodOf OG.importer.BillImporter#
+   */
+  var saveWatermark = function () {
+    if (!options.watermarkFile || failedPages > 0 ||
+        lastError !== EOF_ERR || (watermark && startDate > watermark)) {
+      return;
+    }
+    atomicFile.writeFileSync(options.watermarkFile, JSON.stringify({
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString(),
+      date: new Date().toISOString()
+    }, null, 2));
+    LOG.info("High-water mark updated to " + formatDate(endDate));
+  };
+
+  importer.on("end", saveWatermark);
+
   return extend(importer, {
 
     /** Executes an enqueued task. Each task fetches a single page of bills.
@@ -391,11 +654,41 @@ module.exports = function BillImporter(options) {
       processPage(task.data.pageNumber, function (err) {
         if (err === EOF_ERR) {
           lastError = err;
+        } else if (err) {
+          failedPages += 1;
         }
         callback(err, lastError === EOF_ERR);
       });
     },
 
+    /** Returns the last queued page to save it into checkpoints.
+     * @return {Object} The importer state, never null.
+     */
+    getState: function () {
+      return {
+        pageCount: pageCount,
+        eof: lastError === EOF_ERR,
+        startDate: startDate.toISOString(),
+        endDate: endDate.toISOString()
+      };
+    },
+
+    /** Restores the last queued page from a checkpoint.
+     * @param {Object} state Importer state. Can be null.
+     */
+    restoreState: function (state) {
+      if (state) {
+        pageCount = state.pageCount;
+        lastError = state.eof ? EOF_ERR : null;
+
+        // Pages depend on the date window.
+        if (state.startDate && state.endDate) {
+          startDate = new Date(state.startDate);
+          endDate = new Date(state.endDate);
+        }
+      }
+    },
+
     /** Enqueues a new task. Tasks will be executed as soon as the pool has
      * space for new elements.
      * @return {Object} Returns the task to enqueue, never null.
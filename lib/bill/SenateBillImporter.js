@@ -0,0 +1,573 @@
+/** Imports bills from the Senate database.
+ * The Senate search lists bills by date, and each bill has a page with its
+ * general information, subscribers, committees, dictums and procedures. Bills
+ * have the same structure as bills imported by <code>BillImporter</code>, and
+ * files are normalized, so bills from both chambers can be joined.
+ *
+ * @param {Object} [options] Importer configuration. Cannot be null.
+ * @param {Number} [options.pageSize] Number of bills to retrieve per hit.
+ *   Default is 100.
+ * @param {Date|String} [options.startDate] Imports bills since this date,
+ *   either a Date or a YYYY-MM-DD string. Default is 1999-01-01.
+ * @param {Date|String} [options.endDate] Imports bills until this date,
+ *   either a Date or a YYYY-MM-DD string. Default is today.
+ * @param {winston.Logger} [options.logger] Logger for this class. Can be null.
+ * @constructor
+ */
+module.exports = function SenateBillImporter(options) {
+
+  /** Base class to inherit behaviour from.
+   * @type {Function}
+   * @private
+   * @fieldOf SenateBillImporter#
+   */
+  var Importer = require("../Importer");
+
+  /** Current importer instance.
+   * @type {Importer}
+   * @private
+   * @fieldOf SenateBillImporter#
+   */
+  var importer = new Importer(options);
+
+  /** Class logger, using the default if no one is provided.
+   * @type winston.Logger
+   * @constant
+   * @private
+   */
+  var LOG = options && options.logger || require("winston");
+
+  /** Base url of the Senate site, to resolve links.
+   * @constant
+   * @private
+   * @fieldOf SenateBillImporter#
+   */
+  var BASE_URL = "http://www.senado.gob.ar/";
+
+  /** Search results ordered by date.
+   * @constant
+   * @private
+   * @fieldOf SenateBillImporter#
+   */
+  var DATA_SOURCE = BASE_URL + "parlamentario/parlamentaria/avanzada?" +
+    "orden=fecha" +
+    "&fecha_desde=${startDate}" + // Bills start date.
+    "&fecha_hasta=${endDate}" +   // Bills end date.
+    "&page=${pageNumber}" +       // Page number to fetch.
+    "&cantidad=${pageSize}";      // Number of bills per page.
+
+  /** Name of the chamber in dictums and procedures.
+   * @constant
+   * @private
+   * @fieldOf SenateBillImporter#
+   */
+  var CHAMBER = "SENADO";
+
+  /** Matches Senate files, like S-45/14 or CD-12/14.
+   * @type RegExp
+   * @constant
+   * @private
+   * @fieldOf SenateBillImporter#
+   */
+  var FILE_EXPR = /^([A-Z]+)-(\d+)\/(\d+)$/;
+
+  /** Selector for the rows of search results.
+   * @type String
+   * @constant
+   * @private
+   * @fieldOf SenateBillImporter#
+   */
+  var RESULT_ROWS = "#resultados > tbody > tr";
+
+  /** Expression that indicates the end of data.
+   * @type RegExp
+   * @constant
+   * @private
+   * @fieldOf SenateBillImporter#
+   */
+  var EOF_EXPR = /No se encontraron resultados/;
+
+  /** Structural expectations of the parsed pages, look at
+   * <code>Importer.checkLayout()</code>.
+   * @type Object
+   * @constant
+   * @private
+   * @fieldOf SenateBillImporter#
+   */
+  var LAYOUTS = {
+    results: [{
+      selector: "#resultados > thead th",
+      text: ["Expediente", "Tipo", "Fecha", "Extracto"],
+      description: "results table header"
+    }],
+    bill: [{
+      selector: "#datos th",
+      text: ["Expediente", "Tipo", "Origen", "Fecha de presentación",
+        "Publicado en", "Extracto"],
+      description: "bill general information"
+    }, {
+      selector: "#autores > thead th",
+      text: ["Autor", "Bloque", "Provincia"],
+      description: "subscribers table header"
+    }, {
+      selector: "#giros > thead th",
+      text: ["Comisión"],
+      description: "committees table header"
+    }, {
+      selector: "#dictamenes > thead th",
+      text: ["Orden del Día", "Fecha", "Resultado"],
+      description: "dictums table header"
+    }, {
+      selector: "#tramite > thead th",
+      text: ["Fecha", "Movimiento", "Resultado"],
+      description: "procedures table header"
+    }]
+  };
+
+  /** Async flow control library.
+   * @type Object
+   * @private
+   * @fieldOf SenateBillImporter#
+   */
+  var async = require("async");
+
+  /** Utility to extend objects.
+   * @type {Function}
+   * @private
+   * @fieldOf SenateBillImporter#
+   */
+  var extend = require("extend");
+
+  /** Node's url API.
+   * @type Object
+   * @private
+   * @fieldOf SenateBillImporter#
+   */
+  var url = require("url");
+
+  /** Last queued page. The import process starts from the next page.
+   * @type Number
+   * @private
+   * @fieldOf SenateBillImporter#
+   */
+  var pageCount = options.lastPage || options.startPage || 0;
+
+  /** Converts a YYYY-MM-DD string into a local date.
+   * @param {Date|String} date Date to convert. Can be null.
+   * @return {Date} The date, or null if it is not specified.
+   * @private
+   * @methodOf SenateBillImporter#
+   */
+  var parseDate = function (date) {
+    var parts;
+
+    if (!date || date instanceof Date) {
+      return date || null;
+    }
+    parts = String(date).split("-");
+
+    if (parts.length !== 3 || isNaN(new Date(parts[0], parts[1] - 1,
+        parts[2]).getTime())) {
+      throw new Error("Invalid date, expected YYYY-MM-DD: " + date);
+    }
+    return new Date(parts[0], parts[1] - 1, parts[2]);
+  };
+
+  /** Formats a date as the search form expects it: DD/MM/YYYY.
+   * @param {Date} date Date to format. Cannot be null.
+   * @return {String} The formatted date, never null.
+   * @private
+   * @methodOf SenateBillImporter#
+   */
+  var formatDate = function (date) {
+    var pad = function (number) {
+      return (number < 10 ? "0" : "") + number;
+    };
+    return pad(date.getDate()) + "/" + pad(date.getMonth() + 1) + "/" +
+      date.getFullYear();
+  };
+
+  /** Imports bills since this date.
+   * @type Date
+   * @private
+   * @fieldOf SenateBillImporter#
+   */
+  var startDate = parseDate(options.startDate) || new Date(1999, 0, 1);
+
+  /** Imports bills until this date.
+   * @type Date
+   * @private
+   * @fieldOf SenateBillImporter#
+   */
+  var endDate = parseDate(options.endDate) || new Date();
+
+  /** Error when there's no more data available.
+   * @type {Error}
+   * @private
+   * @fieldOf SenateBillImporter#
+   */
+  var EOF_ERR = new Error("No more data available.");
+
+  /** Last error in the import process.
+   * @type {Error}
+   * @private
+   * @fieldOf SenateBillImporter#
+   */
+  var lastError = null;
+
+  /** Converts a Senate file into the format used by <code>BillImporter</code>:
+   * S-45/14 is 0045-S-2014.
+   * @param {String} file Senate file. Cannot be null.
+   * @return {String} The normalized file, never null.
+   * @private
+   * @methodOf SenateBillImporter#
+   */
+  var parseFile = function (file) {
+    var match = FILE_EXPR.exec(file.replace(/\s+/g, ""));
+
+    if (!match) {
+      throw new Error("Invalid Senate file: " + file);
+    }
+    return importer.normalizeFile(match[2] + "-" + match[1] + "-" + match[3]);
+  };
+
+  /** Extracts the order paper number from the specified line.
+   * @param {String} line Line that contains the required order paper. Cannot be
+   *    null or empty.
+   * @return {String} The order paper number if it is found, or the line as it
+   *    was provided, never null or empty.
+   * @private
+   * @methodOf SenateBillImporter#
+   */
+  var extractOrderPaper = function (line) {
+    var orderPaperExp = /(\d+\/\d+)/;
+    var orderPaper = line;
+
+    if (orderPaperExp.test(line)) {
+      orderPaper = line.match(orderPaperExp).pop();
+    }
+    return orderPaper;
+  };
+
+  /** Parses the rows of an HTML table with bill data.
+   * @param {Object[]} rows List of DOM table rows. Cannot be null.
+   * @param {Function} extractor Extractor function, it takes the cells of a
+   *    single row as parameter.
+   * @param {Function} callback Invoked with the list of extracted items. Cannot
+   *    be null.
+   * @private
+   * @methodOf SenateBillImporter#
+   */
+  var parseTable = function (rows, extractor, callback) {
+    var elements = [];
+    var cells;
+    var i;
+
+    try {
+      for (i = 0; i < rows.length; i++) {
+        cells = rows.eq(i).children("td");
+
+        // Skips messages like "Sin dictámenes".
+        if (cells.length > 1) {
+          elements.push(extractor(cells));
+        }
+      }
+      callback(null, elements);
+    } catch (err) {
+      callback(err, null);
+    }
+  };
+
+  /** Extracts bill general information and stores it into the bill.
+   *
+   * @param {Function} $ Bill page. Cannot be null.
+   * @param {Object} rawBill The bill being created. Cannot be null.
+   * @param {Function} callback Invoked to continue with the next bill. Cannot
+   *    be null.
+   * @private
+   * @methodOf SenateBillImporter#
+   */
+  var extractBill = function ($, rawBill, callback) {
+    var fields = {};
+    var textLink;
+
+    $("#datos tr").each(function (index, row) {
+      fields[importer.trim($("th", row).text())] = $("td", row);
+    });
+
+    try {
+      extend(rawBill, {
+        type: importer.errorIfEmpty(fields.Tipo),
+        source: importer.errorIfEmpty(fields.Origen),
+        file: parseFile(importer.errorIfEmpty(fields.Expediente)),
+        publishedOn: importer.errorIfEmpty(fields["Publicado en"]),
+        creationTime: importer.convertDate(importer.errorIfEmpty(
+          fields["Fecha de presentación"]))
+      });
+      textLink = fields.Texto && fields.Texto.find("a");
+
+      if (textLink && textLink.length > 0) {
+        rawBill.textUrl = url.resolve(BASE_URL, textLink.attr("href"));
+      }
+      if (fields["Cámara revisora"]) {
+        extend(rawBill, {
+          revisionChamber: importer.defaultIfEmpty(fields["Cámara revisora"]),
+          revisionFile: importer.defaultIfEmpty(fields["Expediente revisión"])
+        });
+        if (rawBill.revisionFile) {
+          rawBill.revisionFile = importer.normalizeFile(rawBill.revisionFile);
+        }
+      }
+      rawBill.summary = importer.defaultIfEmpty(fields.Extracto);
+
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  };
+
+  /** Extracts the list of subscribers within the bill.
+   *
+   * @param {Function} $ Bill page. Cannot be null.
+   * @param {Object} rawBill Bill being populated. Cannot be null.
+   * @param {Function} callback Callback invoked when subscribers scrapping
+   *    finished. It receives an error as parameter. Cannot be null.
+   * @private
+   * @methodOf SenateBillImporter#
+   */
+  var extractSubscribers = function ($, rawBill, callback) {
+    parseTable($("#autores > tbody > tr"), function (cells) {
+      return {
+        name: importer.errorIfEmpty(cells.eq(0)),
+        party: importer.defaultIfEmpty(cells.eq(1), "NONE"),
+        province: importer.errorIfEmpty(cells.eq(2))
+      };
+    }, function (err, subscribers) {
+      rawBill.subscribers = subscribers;
+      callback(err);
+    });
+  };
+
+  /** Extracts the list of committees that reviewed the bill.
+   *
+   * @param {Function} $ Bill page. Cannot be null.
+   * @param {Object} rawBill Bill being populated. Cannot be null.
+   * @param {Function} callback Callback invoked when committees scrapping
+   *    finished. It receives an error as parameter. Cannot be null.
+   * @private
+   * @methodOf SenateBillImporter#
+   */
+  var extractCommittees = function ($, rawBill, callback) {
+    parseTable($("#giros > tbody > tr"), function (cells) {
+      return importer.errorIfEmpty(cells.eq(0));
+    }, function (err, committees) {
+      rawBill.committees = committees;
+      callback(err);
+    });
+  };
+
+  /** Extracts the list of dictums over the bill.
+   *
+   * @param {Function} $ Bill page. Cannot be null.
+   * @param {Object} rawBill Bill being populated. Cannot be null.
+   * @param {Function} callback Callback invoked when dictums scrapping
+   *    finished. It receives an error as parameter. Cannot be null.
+   * @private
+   * @methodOf SenateBillImporter#
+   */
+  var extractDictums = function ($, rawBill, callback) {
+    parseTable($("#dictamenes > tbody > tr"), function (cells) {
+      var orderPaperEl = cells.eq(0).find("a");
+
+      return {
+        file: rawBill.file,
+        source: CHAMBER,
+        orderPaper: extractOrderPaper(importer.errorIfEmpty(cells.eq(0))),
+        date: importer.convertDate(importer.defaultIfEmpty(cells.eq(1))),
+        result: importer.defaultIfEmpty(cells.eq(2)),
+        url: orderPaperEl.length > 0 ?
+          url.resolve(BASE_URL, orderPaperEl.attr("href")) : undefined
+      };
+    }, function (err, dictums) {
+      rawBill.dictums = dictums;
+      callback(err);
+    });
+  };
+
+  /** Extracts the list of procedures for the bill.
+   *
+   * @param {Function} $ Bill page. Cannot be null.
+   * @param {Object} rawBill Bill being populated. Cannot be null.
+   * @param {Function} callback Callback invoked when procedures scrapping
+   *    finished. It receives an error as parameter. Cannot be null.
+   * @private
+   * @methodOf SenateBillImporter#
+   */
+  var extractProcedures = function ($, rawBill, callback) {
+    parseTable($("#tramite > tbody > tr"), function (cells) {
+      return {
+        file: rawBill.file,
+        source: CHAMBER,
+        topic: importer.defaultIfEmpty(cells.eq(1)),
+        date: importer.convertDate(importer.defaultIfEmpty(cells.eq(0))),
+        result: importer.defaultIfEmpty(cells.eq(2))
+      };
+    }, function (err, procedures) {
+      rawBill.procedures = procedures;
+      callback(err);
+    });
+  };
+
+  /** Retrieves and parses the page of a single bill.
+   *
+   * @param {String} billUrl Url of the bill page. Cannot be null.
+   * @param {Function} callback Invoked when the bill is stored. It receives an
+   *    error as parameter. Cannot be null.
+   * @private
+   * @methodOf SenateBillImporter#
+   */
+  var processBill = function (billUrl, callback) {
+    importer.initEnv(billUrl, LAYOUTS.bill, function (errors, $) {
+      var rawBill = {};
+
+      if (errors || !$) {
+        return callback(errors);
+      }
+      async.waterfall([
+        async.apply(extractBill, $, rawBill),
+        async.apply(extractSubscribers, $, rawBill),
+        async.apply(extractCommittees, $, rawBill),
+        async.apply(extractDictums, $, rawBill),
+        async.apply(extractProcedures, $, rawBill)
+      ], function (err) {
+        if (err) {
+          LOG.info("Error processing bill " + billUrl + ": " + err);
+          return callback(err);
+        }
+        // Stores bills using configured storers.
+        importer.store(rawBill.file, rawBill, callback);
+      });
+    });
+  };
+
+  /** Retrieves and parses the specified page.
+   *
+   * @param {Number} pageNumber Page to fetch. Cannot be null.
+   * @param {Function} callback Callback that receives results. Cannot be null.
+   * @private
+   * @methodOf SenateBillImporter#
+   */
+  var processPage = function (pageNumber, callback) {
+    var pageUrl = DATA_SOURCE
+      .replace("${startDate}", formatDate(startDate))
+      .replace("${endDate}", formatDate(endDate))
+      .replace("${pageNumber}", pageNumber)
+      .replace("${pageSize}", options && options.pageSize || 100);
+
+    importer.initEnv(pageUrl, function (errors, $) {
+      var rows;
+      var billUrls = [];
+      var err;
+
+      LOG.info("Processing page " + pageNumber + "...");
+
+      if (errors || !$) {
+        LOG.info("Error processing page " + pageNumber + ": " + errors);
+        return callback(errors);
+      }
+      rows = $(RESULT_ROWS);
+
+      if (rows.length === 0) {
+        if (EOF_EXPR.test($("body").text())) {
+          LOG.info("No more data available");
+          return callback(EOF_ERR);
+        }
+        LOG.info("Error processing page " + pageNumber);
+        err = new Error("Empty response, maybe querying error?");
+        importer.deadLetter(pageUrl, err);
+        return callback(err);
+      }
+
+      err = importer.checkLayout(pageUrl, $, LAYOUTS.results);
+
+      if (err) {
+        return callback(err);
+      }
+      rows.each(function (index, row) {
+        var link = $("td", row).eq(0).find("a").attr("href");
+
+        if (link) {
+          billUrls.push(url.resolve(BASE_URL, link));
+        }
+      });
+
+      // Bill pages are fetched in groups of 4 elements.
+      async.forEachLimit(billUrls, 4, processBill, callback);
+    });
+  };
+
+  return extend(importer, {
+
+    /** Executes an enqueued task. Each task fetches a single page of bills.
+     *
+     * @param {Object} task Task to execute. Cannot be null.
+     * @param {String} task.name Task name. Cannot be null or empty.
+     * @param {Object} data Task specific data. Can be null.
+     */
+    execute: function (task, callback) {
+      processPage(task.data.pageNumber, function (err) {
+        if (err === EOF_ERR) {
+          lastError = err;
+        }
+        callback(err, lastError === EOF_ERR);
+      });
+    },
+
+    /** Returns the last queued page to save it into checkpoints.
+     * @return {Object} The importer state, never null.
+     */
+    getState: function () {
+      return {
+        pageCount: pageCount,
+        eof: lastError === EOF_ERR,
+        startDate: startDate.toISOString(),
+        endDate: endDate.toISOString()
+      };
+    },
+
+    /** Restores the last queued page from a checkpoint.
+     * @param {Object} state Importer state. Can be null.
+     */
+    restoreState: function (state) {
+      if (state) {
+        pageCount = state.pageCount;
+        lastError = state.eof ? EOF_ERR : null;
+
+        // Pages depend on the date window.
+        if (state.startDate && state.endDate) {
+          startDate = new Date(state.startDate);
+          endDate = new Date(state.endDate);
+        }
+      }
+    },
+
+    /** Enqueues a new task. Tasks will be executed as soon as the pool has
+     * space for new elements.
+     * @return {Object} Returns the task to enqueue, never null.
+     */
+    enqueueTask: function () {
+      if (lastError === EOF_ERR) {
+        return null;
+      }
+
+      pageCount += 1;
+
+      return {
+        name: "Import Senate Bills [Page " + pageCount + "]",
+        data: {
+          pageNumber: pageCount
+        }
+      };
+    }
+  });
+};
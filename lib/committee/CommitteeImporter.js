@@ -35,6 +35,30 @@ module.exports = function CommitteeImporter(options) {
    */
   var VALID_URL = /\/comisiones\/(especiales|permanentes)?\//;
 
+  /** Structural expectations of the parsed pages, look at
+   * <code>Importer.checkLayout()</code>.
+   * @type Object
+   * @constant
+   * @private
+   * @fieldOf CommitteeImporter#
+   */
+  var LAYOUTS = {
+    index: [{
+      selector: "#listado > table > tbody a",
+      description: "committees list"
+    }],
+    committee: [{
+      selector: ".info-principal p",
+      min: 11,
+      description: "committee information"
+    }],
+    members: [{
+      selector: "table thead th",
+      text: ["Cargo", "Diputado", "Distrito", "Bloque"],
+      description: "members table header"
+    }]
+  };
+
   /** Committee types.
    * @constant
    * @private
@@ -73,7 +97,7 @@ module.exports = function CommitteeImporter(options) {
   var processMembers = function (committee, callback) {
     var url = committee.url + "integrantes.html";
 
-    importer.initEnv(url, function (errors, $) {
+    importer.initEnv(url, LAYOUTS.members, function (errors, $) {
       var membersEl;
       var memberEl;
       var member;
@@ -126,7 +150,7 @@ module.exports = function CommitteeImporter(options) {
       url += "/";
     }
 
-    importer.initEnv(url, function (errors, $) {
+    importer.initEnv(url, LAYOUTS.committee, function (errors, $) {
       var table;
 
       if (errors || !$) {
@@ -161,12 +185,13 @@ module.exports = function CommitteeImporter(options) {
    * @methodOf CommitteeImporter#
    */
   var processPage = function (url, type, callback) {
-    importer.initEnv(url, function (errors, $) {
-      var committeesEl = $("#listado > table > tbody a");
+    importer.initEnv(url, LAYOUTS.index, function (errors, $) {
+      var committeesEl;
 
-      if (committeesEl.length === 0) {
-        return callback(new Error("Bad response."));
+      if (errors || !$) {
+        return callback(errors);
       }
+      committeesEl = $("#listado > table > tbody a");
 
       // Parses committees in groups of 4 elements.
       async.forEachLimit(committeesEl, 4, function (committeeEl, next) {
@@ -176,8 +201,16 @@ module.exports = function CommitteeImporter(options) {
           type: type
         };
 
-        processCommittee(committee, function () {
-          processMembers(committee, function () {
+        // Committees are stored even if some information is missing, unless
+        // the layout of the pages changed.
+        processCommittee(committee, function (err) {
+          if (importer.isLayoutError(err)) {
+            return next(err);
+          }
+          processMembers(committee, function (err) {
+            if (importer.isLayoutError(err)) {
+              return next(err);
+            }
             importer.store(committee.name, committee, next);
           });
         });
@@ -202,6 +235,27 @@ module.exports = function CommitteeImporter(options) {
       });
     },
 
+    /** Returns the committee types not imported yet to save them into
+     * checkpoints.
+     * @return {Object} The importer state, never null.
+     */
+    getState: function () {
+      return {
+        types: types,
+        pendingTasks: pendingTasks
+      };
+    },
+
+    /** Restores the committee types not imported yet from a checkpoint.
+     * @param {Object} state Importer state. Can be null.
+     */
+    restoreState: function (state) {
+      if (state) {
+        types = state.types;
+        pendingTasks = state.pendingTasks;
+      }
+    },
+
     /** Enqueues a new task. Tasks will be executed as soon as the pool has
      * space for new elements.
      * @return {Object} Returns the task to enqueue, never null.
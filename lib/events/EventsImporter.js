@@ -41,6 +41,28 @@ module.exports = function EventsImporter(options) {
   var LABOUR_URL = "http://www.diputados.gob.ar/comisiones/buscador/" +
     "buscador.html";
 
+  /** Structural expectations of the parsed pages, look at
+   * <code>Importer.checkLayout()</code>.
+   * @type Object
+   * @constant
+   * @private
+   * @fieldOf EventsImporter#
+   */
+  var LAYOUTS = {
+    agenda: [{
+      selector: "#tablaPpal > table > thead",
+      description: "agenda days"
+    }],
+    labourIndex: [{
+      selector: "select#fecha_inicio > option",
+      description: "labour dates"
+    }],
+    labour: [{
+      selector: "#columna2 > div",
+      description: "labour results"
+    }]
+  };
+
   /** Url to retrieve information about a labour event.
    * @constant
    * @private
@@ -178,8 +200,8 @@ module.exports = function EventsImporter(options) {
     importer.initEnv({
       uri: INFO_URL + date,
       method: "POST"
-    }, function (errors, $) {
-      var items = $("#columna2 > div");
+    }, LAYOUTS.labour, function (errors, $) {
+      var items;
       var currentLabour;
       var currentAction;
       var currentItem;
@@ -189,9 +211,10 @@ module.exports = function EventsImporter(options) {
       var committees;
       var i;
 
-      if (items.length === 0) {
-        return callback(new Error("Bad response."));
+      if (errors || !$) {
+        return callback(errors);
       }
+      items = $("#columna2 > div");
 
       LOG.info("Processing data for period: " + date);
 
@@ -261,12 +284,13 @@ module.exports = function EventsImporter(options) {
    * @methodOf EventsImporter#
    */
   var processLabourInfo = function (callback) {
-    importer.initEnv(LABOUR_URL, function (errors, $) {
-      var eventDatesEl = $("select#fecha_inicio > option");
+    importer.initEnv(LABOUR_URL, LAYOUTS.labourIndex, function (errors, $) {
+      var eventDatesEl;
 
-      if (eventDatesEl.length === 0) {
-        return callback(new Error("Bad response."));
+      if (errors || !$) {
+        return callback(errors);
       }
+      eventDatesEl = $("select#fecha_inicio > option");
 
       // Parses committees in groups of 4 elements.
       async.forEachLimit(eventDatesEl, 4, function (eventDateEl, next) {
@@ -291,12 +315,13 @@ module.exports = function EventsImporter(options) {
    * @methodOf EventsImporter#
    */
   var processEventsPage = function (callback) {
-    importer.initEnv(AGENDA_URL, function (errors, $) {
-      var eventHeadersEl = $("#tablaPpal > table > thead");
+    importer.initEnv(AGENDA_URL, LAYOUTS.agenda, function (errors, $) {
+      var eventHeadersEl;
 
-      if (eventHeadersEl.length === 0) {
-        return callback(new Error("Bad response."));
+      if (errors || !$) {
+        return callback(errors);
       }
+      eventHeadersEl = $("#tablaPpal > table > thead");
 
       eventHeadersEl.each(function (index, eventHeaderEl) {
         var eventsEl = $(eventHeaderEl).nextUntil("thead");
@@ -342,6 +367,25 @@ module.exports = function EventsImporter(options) {
       });
     },
 
+    /** Returns whether the single task was already enqueued to save it into
+     * checkpoints.
+     * @return {Object} The importer state, never null.
+     */
+    getState: function () {
+      return {
+        busy: busy
+      };
+    },
+
+    /** Restores the importer state from a checkpoint.
+     * @param {Object} state Importer state. Can be null.
+     */
+    restoreState: function (state) {
+      if (state) {
+        busy = state.busy;
+      }
+    },
+
     /** Enqueues a new task. Tasks will be executed as soon as the pool has
      * space for new elements.
      * @return {Object} Returns the task to enqueue, never null.
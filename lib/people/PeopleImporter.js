@@ -38,6 +38,33 @@ module.exports = function PeopleImporter(options) {
    */
   var URL_SEN = "http://www.senado.gob.ar/senadores/listados/listaSenadoRes";
 
+  /** Structural expectations of the parsed pages, look at
+   * <code>Importer.checkLayout()</code>.
+   * @type Object
+   * @constant
+   * @private
+   * @fieldOf PeopleImporter#
+   */
+  var LAYOUTS = {
+    legislatives: [{
+      selector: "table thead th",
+      text: ["Diputado", "Distrito", "Inicio", "Fin", "Bloque"],
+      description: "legislatives table header"
+    }, {
+      selector: "table tbody td",
+      min: 6,
+      description: "legislatives table rows"
+    }],
+    senators: [{
+      selector: "table thead th",
+      text: ["Senador", "Provincia", "Partido", "Mandato", "Contacto"],
+      description: "senators table header"
+    }, {
+      selector: "table tbody tr",
+      description: "senators table rows"
+    }]
+  };
+
   /** List of supported tasks.
    * @type {String[]}
    * @private
@@ -166,15 +193,17 @@ module.exports = function PeopleImporter(options) {
    * @methodOf PeopleImporter#
    */
   var extractLegislatives = function (callback) {
-    importer.initEnv(URL_LEG, function (errors, $) {
-      var peopleEl = $("table tbody").find("td");
+    importer.initEnv(URL_LEG, LAYOUTS.legislatives, function (errors, $) {
       var people;
 
-      if (peopleEl.length === 0) {
-        callback(new Error("Bad response."));
+      if (errors || !$) {
+        return callback(errors);
+      }
+      try {
+        people = parseInvalidTable($("table tbody").find("td"));
+      } catch (err) {
+        return callback(err);
       }
-
-      people = parseInvalidTable(peopleEl);
 
       // Parses people in groups of 4 elements.
       async.forEachLimit(people, 4, function (person, next) {
@@ -201,13 +230,13 @@ module.exports = function PeopleImporter(options) {
    * @methodOf PeopleImporter#
    */
   var extractSenators = function (callback) {
-    importer.initEnv(URL_SEN, function (errors, $) {
-      var peopleEl = $("table tbody tr");
-      var personEl;
+    importer.initEnv(URL_SEN, LAYOUTS.senators, function (errors, $) {
+      var peopleEl;
 
-      if (peopleEl.length === 0) {
-        callback(new Error("Bad response."));
+      if (errors || !$) {
+        return callback(errors);
       }
+      peopleEl = $("table tbody tr");
 
       // Parses people in groups of 4 elements.
       async.forEachLimit(peopleEl, 4, function (item, next) {
@@ -272,17 +301,41 @@ module.exports = function PeopleImporter(options) {
       }
     },
 
+    /** Returns the urls not imported yet to save them into checkpoints.
+     * @return {Object} The importer state, never null.
+     */
+    getState: function () {
+      return {
+        tasks: tasks,
+        pendingTasks: pendingTasks
+      };
+    },
+
+    /** Restores the urls not imported yet from a checkpoint.
+     * @param {Object} state Importer state. Can be null.
+     */
+    restoreState: function (state) {
+      if (state) {
+        tasks = state.tasks;
+        pendingTasks = state.pendingTasks;
+      }
+    },
+
     /** Enqueues a new task. Tasks will be executed as soon as the pool has
      * space for new elements.
      * @return {Object} Returns the task to enqueue, never null.
      */
     enqueueTask: function () {
       var task = null;
+      var url;
+
       if (tasks.length > 0) {
+        url = tasks.shift();
         task = {
-          name: "Import People",
+          name: "Import People [" + (url === URL_LEG ? "legislatives" :
+            "senators") + "]",
           data: {
-            url: tasks.shift()
+            url: url
           }
         };
       }
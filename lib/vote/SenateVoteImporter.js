@@ -0,0 +1,477 @@
+/** Imports roll-call votes from the PDF documents published by the Senate for
+ * each period. Votes have the same structure as votes imported by
+ * <code>VoteImporter</code>: Senate files are normalized and votes are
+ * converted to AFIRMATIVO, NEGATIVO, ABSTENCION or AUSENTE.
+ * @constructor
+ */
+module.exports = function SenateVoteImporter(options) {
+
+  /** Class logger, using the default if no one is provided.
+   * @type winston.Logger
+   * @constant
+   * @private
+   */
+  var LOG = options && options.logger || require("winston");
+
+  /** Base class to inherit behaviour from.
+   * @type {Function}
+   * @private
+   * @fieldOf SenateVoteImporter#
+   */
+  var Importer = require("../Importer");
+
+  /** Current importer instance.
+   * @type {Importer}
+   * @private
+   * @fieldOf SenateVoteImporter#
+   */
+  var importer = new Importer(options);
+
+  /** Base url of the Senate site, to resolve links.
+   * @constant
+   * @private
+   * @fieldOf SenateVoteImporter#
+   */
+  var BASE_URL = "http://www.senado.gob.ar/";
+
+  /** Url of the vote documents index by period.
+   * @constant
+   * @private
+   * @fieldOf SenateVoteImporter#
+   */
+  var URL = BASE_URL + "votaciones/actas/{0}";
+
+  /** Period since vote documents are available.
+   * @constant
+   * @private
+   * @fieldOf SenateVoteImporter#
+   */
+  var BASE_PERIOD = 2004;
+
+  /** Last processed period.
+   * @type {Number}
+   * @private
+   * @fieldOf SenateVoteImporter#
+   */
+  var lastPeriod = new Date().getFullYear() + 1;
+
+  /** Async flow control library.
+   * @type Object
+   * @private
+   * @fieldOf SenateVoteImporter#
+   */
+  var async = require("async");
+
+  /** Utility to extend objects.
+   * @type {Function}
+   * @private
+   * @fieldOf SenateVoteImporter#
+   */
+  var extend = require("extend");
+
+  /** Node's url API.
+   * @type Object
+   * @private
+   * @fieldOf SenateVoteImporter#
+   */
+  var url = require("url");
+
+  /** Structural expectations of the period index page, look at
+   * <code>Importer.checkLayout()</code>. Periods without votes have an empty
+   * table.
+   * @type Object[]
+   * @constant
+   * @private
+   * @fieldOf SenateVoteImporter#
+   */
+  var PERIOD_LAYOUT = [{
+    selector: "#actas > thead th",
+    text: ["Acta", "Fecha", "Título", "Documento"],
+    description: "vote documents table header"
+  }];
+
+  /** Votes of the Senate documents, with the equivalent vote in the Chamber
+   * of Deputies documents.
+   * @type Object
+   * @constant
+   * @private
+   * @fieldOf SenateVoteImporter#
+   */
+  var VOTES = {
+    "SI": "AFIRMATIVO",
+    "NO": "NEGATIVO",
+    "ABSTENCION": "ABSTENCION",
+    "AUSENTE": "AUSENTE"
+  };
+
+  /** Regular expression to match a single vote. Matches:
+   *
+   * LAST, name    Political party name    Province    SI
+   *
+   * @type {RegExp}
+   * @private
+   * @fieldOf SenateVoteImporter#
+   */
+  var VOTE_EXPR = /\S\s{2,}(SI|NO|ABSTENCION|AUSENTE)\s*$/;
+
+  /** Regular expression to match the vote title. Matches:
+   *
+   * Expediente S-1302/14 - Orden del Día 412
+   * Expediente CD-12/14 Orden del Día N° 33
+   * Expediente PE-233/13 - Votación en general
+   *
+   * @type {RegExp}
+   * @private
+   * @fieldOf SenateVoteImporter#
+   */
+  var HEADER_EXPR = /([A-Z]+-\d+\/\d+)(?:.*Orden del D.a\D*(\d+))?/;
+
+  /** Regular expression to match referenced bills.
+   *
+   * @type {RegExp}
+   * @private
+   * @fieldOf SenateVoteImporter#
+   */
+  var FILE_EXPR = /([A-Z]+-\d+\/\d+)/;
+
+  /** Regular expression to match document extended information. Matches:
+   *
+   * Acta de Votación Nº 3       Fecha: 21/05/2014     Hora: 18:45
+   *
+   * @type {RegExp}
+   * @private
+   * @fieldOf SenateVoteImporter#
+   */
+  var INFO_EXPR = /Acta de Votaci.n N.\s*(\d+)\s+Fecha:\s*(\d+\/\d+\/\d+)\s+Hora:\s*(\d+:\d+)/;
+
+  /** Regular expression to match quorum and majority information. Matches:
+   *
+   * Tipo de Quórum: Más de la mitad     Mayoría Requerida: Dos tercios
+   *
+   * @type {RegExp}
+   * @private
+   * @fieldOf SenateVoteImporter#
+   */
+  var SUMMARY_EXPR = /Tipo de Qu.rum:(.+)\s+Mayor.a Requerida:(.+)/;
+
+  /** Regular expression to match attendance information. Matches:
+   *
+   * Miembros: 72      Presentes: 68      Ausentes: 4
+   *
+   * @type {RegExp}
+   * @private
+   * @fieldOf SenateVoteImporter#
+   */
+  var MEMBERS_EXPR = /Miembros:\s*(\d+)\s+Presentes:\s*(\d+)\s+Ausentes:\s*(\d+)/;
+
+  /** Regular expression to match the number of votes. Matches:
+   *
+   * Afirmativos: 50      Negativos: 15      Abstenciones: 3
+   *
+   * @type {RegExp}
+   * @private
+   * @fieldOf SenateVoteImporter#
+   */
+  var TOTALS_EXPR = /Afirmativos:\s*(\d+)\s+Negativos:\s*(\d+)\s+Abstenciones:\s*(\d+)/;
+
+  /** Regular expression to match the motion result. Matches:
+   *
+   * Resultado: AFIRMATIVA
+   *
+   * @type {RegExp}
+   * @private
+   * @fieldOf SenateVoteImporter#
+   */
+  var RESULT_EXPR = /^\s*Resultado:(.+)/;
+
+  /** Converts a Senate file into the format used by the Chamber of Deputies:
+   * S-1302/14 is 1302-S-2014.
+   * @param {String} file Senate file. Cannot be null.
+   * @return {String} The normalized file, never null.
+   * @private
+   * @methodOf SenateVoteImporter#
+   */
+  var parseFile = function (file) {
+    var parts = file.split(/[-\/]/);
+
+    return importer.normalizeFile(parts[1] + "-" + parts[0] + "-" + parts[2]);
+  };
+
+  /** Extracts information from the motion header section, if possible.
+   *
+   * @param {Object} billInfo Bill to extract information for. Cannot be null.
+   * @param {String} line Libe being processed. Cannot be null or empty.
+   * @param {RegExp} expr Expression to test and parse line. Cannot be null.
+   * @param {Function} callback Receives the array with regexp matches. Must
+   *    return an object to extend the summary. Cannot be null.
+   * @private
+   * @methodOf SenateVoteImporter#
+   */
+  var extractHeaderInfo = function (billInfo, line, expr, callback) {
+    if (expr.test(line)) {
+      extend(billInfo.summary, callback(expr.exec(line)));
+    }
+  };
+
+  /** Extracts votes from a page of the vote document.
+   * @param {Object} billInfo Object containing bill information. Cannot be
+   *    null.
+   * @param {String} page Text of the page. Cannot be null.
+   * @private
+   * @methodOf SenateVoteImporter#
+   */
+  var extractVotes = function (billInfo, page) {
+    var extendedInfo;
+    var vote;
+    var hasFooter = false;
+
+    page.split("\n").forEach(function (line) {
+      if (!billInfo.date && INFO_EXPR.test(line)) {
+        extendedInfo = INFO_EXPR.exec(line);
+
+        extend(billInfo, {
+          document: extendedInfo[1],
+          date: importer.convertDate(extendedInfo[2]),
+          hour: extendedInfo[3]
+        });
+      }
+      extractHeaderInfo(billInfo, line, SUMMARY_EXPR, function (lineData) {
+        return {
+          quorum: importer.trim(lineData[1]),
+          majorityType: importer.trim(lineData[2])
+        };
+      });
+      extractHeaderInfo(billInfo, line, MEMBERS_EXPR, function (lineData) {
+        return {
+          numberOfMembers: lineData[1],
+          present: {
+            total: lineData[2]
+          },
+          absent: lineData[3]
+        };
+      });
+      extractHeaderInfo(billInfo, line, TOTALS_EXPR, function (lineData) {
+        return {
+          affirmative: {
+            total: lineData[1]
+          },
+          negative: {
+            total: lineData[2]
+          },
+          abstention: {
+            total: lineData[3]
+          }
+        };
+      });
+      extractHeaderInfo(billInfo, line, RESULT_EXPR, function (lineData) {
+        return {
+          result: importer.trim(lineData[1])
+        };
+      });
+      if (line.indexOf("Observaciones:") > -1) {
+        hasFooter = true;
+      }
+      if (!hasFooter && VOTE_EXPR.test(line)) {
+        vote = importer.trim(line).split(/\s{2,}/);
+
+        if (vote.length === 4) {
+          billInfo.votes.push({
+            name: vote[0],
+            party: vote[1],
+            province: vote[2],
+            vote: VOTES[vote[3]]
+          });
+        } else {
+          LOG.error("Vote " + billInfo.description + ": unexpected vote row '" +
+            importer.trim(line) + "'");
+        }
+      }
+      if (FILE_EXPR.test(line) && hasFooter) {
+        if (billInfo.references.summary) {
+          billInfo.references.summary += line;
+        } else {
+          billInfo.references.summary = line;
+        }
+
+        line.split(FILE_EXPR).forEach(function (reference) {
+          var file;
+
+          if (FILE_EXPR.test(reference)) {
+            file = parseFile(reference);
+
+            if (file !== billInfo.file &&
+              billInfo.references.files.indexOf(file) === -1) {
+              billInfo.references.files.push(file);
+            }
+          }
+        });
+      }
+    });
+  };
+
+  /** Converts the PDF document to text and loads it into memory to perform
+   * parsing.
+   * @param {Object} billInfo General information about related bill. Cannot
+   *    be null.
+   * @param {String} documentUrl Url to the vote PDF file. Cannot be null or
+   *    empty.
+   * @param {Function} callback Invoked when the document is already parsed
+   *    and saved, it takes an error and whether the document is empty as
+   *    parameters. Cannot be null.
+   * @private
+   * @methodOf SenateVoteImporter#
+   */
+  var loadDocument = function (billInfo, documentUrl, callback) {
+    importer.fetchDocument(documentUrl, function (err, stream) {
+      if (err) {
+        return callback(err);
+      }
+      importer.writeTempFile(stream, function (err, file) {
+        if (err) {
+          return callback(err);
+        }
+        try {
+          importer.extractPdfText(file, function (err, pages) {
+            if (err) {
+              LOG.error("Vote " + billInfo.description + " failed: " + err);
+              return callback(null);
+            }
+            billInfo.votes = [];
+            billInfo.summary = {};
+            billInfo.references = {
+              summary: null,
+              files: []
+            };
+            pages.forEach(function (page) {
+              extractVotes(billInfo, page);
+            });
+
+            if (billInfo.votes.length === 0) {
+              return callback(null, true);
+            }
+            importer.store(billInfo.id, billInfo, callback);
+          });
+        } catch(cause) {
+          LOG.error("Vote " + billInfo.description + " failed: " + cause);
+          callback(null);
+        }
+      });
+    });
+  };
+
+  /** Proccesses the period index page.
+   *
+   * @param {String} periodUrl Url of the period index page. Cannot be null or
+   *    empty.
+   * @param {Function} callback Invoked to process the next period. It
+   *    takes an error. Cannot be null.
+   * @private
+   * @methodOf SenateVoteImporter#
+   */
+  var processPeriod = function (periodUrl, callback) {
+    importer.initEnv(periodUrl, PERIOD_LAYOUT, function (errors, $) {
+      var rowsEl;
+      var emptyUrls = [];
+
+      if (errors) {
+        LOG.info("Error processing period " + periodUrl + " (" +
+          (importer.isTransientError(errors) ? "transient" : "permanent") +
+          "): " + errors);
+
+        return callback(errors);
+      }
+
+      rowsEl = $("#actas > tbody > tr").filter(function (index, row) {
+        return $("a", row).length > 0;
+      });
+
+      // Parses files in groups of 4 elements.
+      async.forEachLimit(rowsEl, 4, function (rowEl, nextFile) {
+        var cells = $("> td", rowEl);
+        var fileUrl = url.resolve(BASE_URL, cells.eq(4).find("a")
+          .attr("href"));
+        var fileInfoData = importer.trim(cells.eq(2).text());
+        var fileInfo;
+        var billInfo = {
+          id: importer.generateId(fileUrl),
+          description: fileInfoData,
+          url: fileUrl
+        };
+
+        if (HEADER_EXPR.test(fileInfoData)) {
+          fileInfo = HEADER_EXPR.exec(fileInfoData);
+          extend(billInfo, {
+            file: parseFile(fileInfo[1]),
+            orderPaper: fileInfo[2] || null
+          });
+
+          LOG.info("Importing votes for file " + billInfo.file);
+        }
+
+        loadDocument(billInfo, fileUrl, function (err, empty) {
+          if (empty) {
+            emptyUrls.push(fileUrl);
+          }
+          nextFile(err);
+        });
+
+      }, function (err) {
+        callback(err || importer.checkDocuments(periodUrl, rowsEl.length,
+          emptyUrls, "expected vote rows in the documents"));
+      });
+    });
+  };
+
+  return extend(importer, {
+
+    /** Executes an enqueued task. Each task fetches the votes of a single
+     * period.
+     *
+     * @param {Object} task Task to execute. Cannot be null.
+     * @param {String} task.name Task name. Cannot be null or empty.
+     * @param {Object} data Task specific data. Can be null.
+     */
+    execute: function (task, callback) {
+      processPeriod(task.data.url, function (err) {
+        callback(err, false);
+      });
+    },
+
+    /** Returns the last queued period to save it into checkpoints.
+     * @return {Object} The importer state, never null.
+     */
+    getState: function () {
+      return {
+        lastPeriod: lastPeriod
+      };
+    },
+
+    /** Restores the last queued period from a checkpoint.
+     * @param {Object} state Importer state. Can be null.
+     */
+    restoreState: function (state) {
+      if (state) {
+        lastPeriod = state.lastPeriod;
+      }
+    },
+
+    /** Enqueues a new task. Tasks will be executed as soon as the pool has
+     * space for new elements.
+     * @return {Object} Returns the task to enqueue, never null.
+     */
+    enqueueTask: function () {
+      if (lastPeriod === BASE_PERIOD) {
+        return null;
+      }
+
+      lastPeriod -= 1;
+
+      return {
+        name: "Import Senate Votes [Period " + lastPeriod + "]",
+        data: {
+          url: URL.replace("{0}", lastPeriod)
+        }
+      };
+    }
+  });
+};
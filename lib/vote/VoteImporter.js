@@ -61,12 +61,17 @@ module.exports = function VoteImporter(options) {
    */
   var extend = require("extend");
 
-  /** Utility to extract text from PDFs using pdftotext.
-   * @type {Function}
+  /** Structural expectations of the period index page, look at
+   * <code>Importer.checkLayout()</code>.
+   * @type Object[]
+   * @constant
    * @private
    * @fieldOf VoteImporter#
    */
-  var extract = require('pdf-text-extract');
+  var PERIOD_LAYOUT = [{
+    selector: ".treeview a",
+    description: "vote documents list"
+  }];
 
   /** Regular expression to match a single vote. Matches:
    *
@@ -161,33 +166,6 @@ module.exports = function VoteImporter(options) {
    */
   var VOTE_ABST_EXPR = /Abstenciones\s+(\d+)\s+(\d+)\s+(\d+)/;
 
-  /** Fetches the PDF document either from the cache or from the network.
-   *
-   * @param {String} fileUrl Url of the document. Cannot be null.
-   * @param {Function} callback Invoked to provide the document. It takes an
-   *    error and a read stream for the document. Cannot be null.
-   * @private
-   * @methodOf VoteImporter#
-   */
-  var fetchDocument = function (fileUrl, callback) {
-    options.queryCache.exists(fileUrl, function(err, exists) {
-      if (err) {
-        return callback(err);
-      }
-      if (exists) {
-        options.queryCache.get(fileUrl, callback);
-      } else {
-        options.queryCache.put(fileUrl, function (err) {
-          if (err) {
-            callback(err);
-          } else {
-            options.queryCache.get(fileUrl, callback);
-          }
-        });
-      }
-    });
-  };
-
   /** Extracts information from the motion header section, if possible.
    *
    * @param {Object} billInfo Bill to extract information for. Cannot be null.
@@ -337,12 +315,13 @@ module.exports = function VoteImporter(options) {
    * @param {String} documentUrl Url to the motion PDF file. Cannot be null or
    *    empty.
    * @param {Function} callback Invoked when the document is already parsed
-   *    and saved, it takes an error as parameter. Cannot be null.
+   *    and saved, it takes an error and whether the document is empty as
+   *    parameters. Cannot be null.
    * @private
    * @methodOf VoteImporter#
    */
   var loadDocument = function (billInfo, documentUrl, callback) {
-    fetchDocument(documentUrl, function (err, stream) {
+    importer.fetchDocument(documentUrl, function (err, stream) {
       if (err) {
         return callback(err);
       }
@@ -351,9 +330,7 @@ module.exports = function VoteImporter(options) {
           return callback(err);
         }
         try {
-          extract(file, {
-            "-layout": ""
-          }, function (err, pages) {
+          importer.extractPdfText(file, function (err, pages) {
             if (err) {
               LOG.error("Bill " + billInfo.file + " failed: " + err);
               return callback(null);
@@ -368,6 +345,9 @@ module.exports = function VoteImporter(options) {
               extractVotes(billInfo, page);
             });
 
+            if (billInfo.votes.length === 0) {
+              return callback(null, true);
+            }
             importer.store(billInfo.id, billInfo, callback);
           });
         } catch(cause) {
@@ -382,25 +362,31 @@ module.exports = function VoteImporter(options) {
    *
    * @param {String} url Url of the period index page. Cannot be null or
    *    empty.
+   * @param {Number} [period] Year of the period. Can be null.
    * @param {Function} callback Invoked to process the next period. It
    *    takes an error. Cannot be null.
    * @private
    * @methodOf VoteImporter#
    */
-  var processPeriod = function (url, callback) {
-    importer.initEnv(url, function (errors, $) {
+  var processPeriod = function (url, period, callback) {
+    // The current period has no documents until the first session of the
+    // year.
+    var layout = period >= new Date().getFullYear() ? [] : PERIOD_LAYOUT;
+
+    importer.initEnv(url, layout, function (errors, $) {
       var filesEl;
+      var emptyUrls = [];
 
       if (errors) {
-        return callback(new Error("Response error: " + errors));
+        LOG.info("Error processing period " + url + " (" +
+          (importer.isTransientError(errors) ? "transient" : "permanent") +
+          "): " + errors);
+
+        return callback(errors);
       }
 
       filesEl = $(".treeview a");
 
-      if (filesEl.length === 0) {
-        return callback(new Error("Bad response."));
-      }
-
       // Parses files in groups of 4 elements.
       async.forEachLimit(filesEl, 4, function (fileEl, nextFile) {
         var fileUrl = $(fileEl).attr("href");
@@ -422,10 +408,16 @@ module.exports = function VoteImporter(options) {
           LOG.info("Importing votes for file " + billInfo.file);
         }
 
-        loadDocument(billInfo, fileUrl, nextFile);
+        loadDocument(billInfo, fileUrl, function (err, empty) {
+          if (empty) {
+            emptyUrls.push(fileUrl);
+          }
+          nextFile(err);
+        });
 
       }, function (err) {
-        callback(err);
+        callback(err || importer.checkDocuments(url, filesEl.length,
+          emptyUrls, "expected vote rows in the documents"));
       });
     });
   };
@@ -439,11 +431,29 @@ module.exports = function VoteImporter(options) {
      * @param {Object} data Task specific data. Can be null.
      */
     execute: function (task, callback) {
-      processPeriod(task.data.url, function (err) {
+      processPeriod(task.data.url, task.data.period, function (err) {
         callback(err, false);
       });
     },
 
+    /** Returns the last queued period to save it into checkpoints.
+     * @return {Object} The importer state, never null.
+     */
+    getState: function () {
+      return {
+        lastPeriod: lastPeriod
+      };
+    },
+
+    /** Restores the last queued period from a checkpoint.
+     * @param {Object} state Importer state. Can be null.
+     */
+    restoreState: function (state) {
+      if (state) {
+        lastPeriod = state.lastPeriod;
+      }
+    },
+
     /** Enqueues a new task. Tasks will be executed as soon as the pool has
      * space for new elements.
      * @return {Object} Returns the task to enqueue, never null.
@@ -458,7 +468,8 @@ module.exports = function VoteImporter(options) {
       return {
         name: "Import Votes [Period " + lastPeriod + "]",
         data: {
-          url: URL.replace("{0}", lastPeriod)
+          url: URL.replace("{0}", lastPeriod),
+          period: lastPeriod
         }
       };
     }
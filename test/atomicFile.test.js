@@ -0,0 +1,69 @@
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var tmp = require("tmp");
+var AtomicFile = require("../lib/AtomicFile");
+
+describe("AtomicFile", function () {
+  var atomicFile = new AtomicFile();
+  var dir;
+  var file;
+
+  beforeEach(function () {
+    dir = tmp.dirSync({ unsafeCleanup: true });
+    file = path.join(dir.name, "data.json");
+    fs.writeFileSync(file, "previous");
+  });
+
+  afterEach(function () {
+    dir.removeCallback();
+  });
+
+  it("replaces files without leaving temporary files", function () {
+    atomicFile.writeFileSync(file, "current");
+
+    assert.strictEqual(fs.readFileSync(file).toString(), "current");
+    assert.deepStrictEqual(fs.readdirSync(dir.name), ["data.json"]);
+  });
+
+  it("replaces files when streams are committed", function (done) {
+    var stream = atomicFile.createWriteStream(file);
+
+    stream.write("cur");
+    assert.strictEqual(fs.readFileSync(file).toString(), "previous");
+    stream.write("rent");
+    stream.commit(function (err) {
+      assert.ifError(err);
+      assert.strictEqual(fs.readFileSync(file).toString(), "current");
+      assert.deepStrictEqual(fs.readdirSync(dir.name), ["data.json"]);
+      done();
+    });
+  });
+
+  it("keeps the previous file when streams are aborted", function (done) {
+    var stream = atomicFile.createWriteStream(file);
+
+    stream.write("partial");
+    stream.abort();
+    stream.on("finish", function () {
+      setImmediate(function () {
+        assert.strictEqual(fs.readFileSync(file).toString(), "previous");
+        assert.deepStrictEqual(fs.readdirSync(dir.name), ["data.json"]);
+        done();
+      });
+    });
+  });
+
+  it("replaces files with copies of other files", function (done) {
+    var source = path.join(dir.name, "source.json");
+
+    fs.writeFileSync(source, "current");
+    atomicFile.copyFile(source, file, function (err) {
+      assert.ifError(err);
+      assert.strictEqual(fs.readFileSync(file).toString(), "current");
+      assert.deepStrictEqual(fs.readdirSync(dir.name).sort(), ["data.json",
+        "source.json"]);
+      done();
+    });
+  });
+});
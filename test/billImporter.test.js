@@ -0,0 +1,77 @@
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var tmp = require("tmp");
+var BillImporter = require("../lib/bill/BillImporter");
+var fakes = require("./support/fakes");
+
+describe("BillImporter", function () {
+  var dir;
+  var watermarkFile;
+
+  var createImporter = function (options) {
+    return new BillImporter(fakes.importerOptions(options));
+  };
+
+  var writeWatermark = function (endDate) {
+    fs.writeFileSync(watermarkFile, JSON.stringify({
+      endDate: endDate.toISOString()
+    }));
+  };
+
+  beforeEach(function () {
+    dir = tmp.dirSync({ unsafeCleanup: true });
+    watermarkFile = path.join(dir.name, "watermark.json");
+  });
+
+  afterEach(function () {
+    dir.removeCallback();
+  });
+
+  describe("high-water mark", function () {
+    it("imports bills since the high-water mark minus the lookback", function () {
+      var importer;
+
+      writeWatermark(new Date(2015, 2, 10));
+      importer = createImporter({
+        watermarkFile: watermarkFile,
+        lookback: 7
+      });
+
+      assert.strictEqual(importer.getState().startDate,
+        new Date(2015, 2, 3).toISOString());
+    });
+
+    it("is updated when all pages were imported", function () {
+      var importer = createImporter({
+        watermarkFile: watermarkFile,
+        startDate: "2015-01-01",
+        endDate: "2015-06-30"
+      });
+
+      importer.emit("end", {});
+      assert.strictEqual(fs.existsSync(watermarkFile), false);
+
+      importer.restoreState({ pageCount: 3, eof: true });
+      importer.emit("end", {});
+      assert.strictEqual(JSON.parse(fs.readFileSync(watermarkFile)).endDate,
+        new Date(2015, 5, 30).toISOString());
+    });
+
+    it("is not updated if the date window leaves a gap", function () {
+      var importer;
+
+      writeWatermark(new Date(2015, 2, 10));
+      importer = createImporter({
+        watermarkFile: watermarkFile,
+        startDate: "2015-06-01",
+        endDate: "2015-06-30"
+      });
+      importer.restoreState({ pageCount: 3, eof: true });
+      importer.emit("end", {});
+
+      assert.strictEqual(JSON.parse(fs.readFileSync(watermarkFile)).endDate,
+        new Date(2015, 2, 10).toISOString());
+    });
+  });
+});
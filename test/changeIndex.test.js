@@ -0,0 +1,45 @@
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var tmp = require("tmp");
+var ChangeIndex = require("../lib/ChangeIndex");
+
+describe("ChangeIndex", function () {
+  var dir;
+  var indexFile;
+
+  beforeEach(function () {
+    dir = tmp.dirSync({ unsafeCleanup: true });
+    indexFile = path.join(dir.name, "changes.json");
+  });
+
+  afterEach(function () {
+    dir.removeCallback();
+  });
+
+  it("detects new and changed items", function () {
+    var changeIndex = new ChangeIndex();
+    var hash = changeIndex.hash({ file: "1234-D-2014" });
+
+    assert.strictEqual(changeIndex.changed("1234-D-2014", hash), true);
+    changeIndex.put("1234-D-2014", hash);
+    assert.strictEqual(changeIndex.changed("1234-D-2014", hash), false);
+    assert.strictEqual(changeIndex.changed("1234-D-2014",
+      changeIndex.hash({ file: "1234-D-2014", summary: "changed" })), true);
+  });
+
+  it("keeps hashes between import processes", function () {
+    var changeIndex = new ChangeIndex(indexFile);
+    var hash = changeIndex.hash({ file: "1234-D-2014" });
+
+    changeIndex.save();
+    assert.strictEqual(fs.existsSync(indexFile), false);
+
+    changeIndex.put("1234-D-2014", hash);
+    changeIndex.save();
+
+    changeIndex = new ChangeIndex(indexFile);
+    assert.strictEqual(changeIndex.size(), 1);
+    assert.strictEqual(changeIndex.changed("1234-D-2014", hash), false);
+  });
+});
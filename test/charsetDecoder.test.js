@@ -0,0 +1,42 @@
+var assert = require("assert");
+var CharsetDecoder = require("../lib/CharsetDecoder");
+
+describe("CharsetDecoder", function () {
+  var decoder = new CharsetDecoder();
+  var LATIN1 = Buffer.from([0x50, 0x65, 0xf1, 0x61]);
+  var UTF8 = Buffer.from("Peña");
+
+  it("decodes content using the charset of the Content-Type header", function () {
+    assert.strictEqual(decoder.decode(LATIN1,
+      "text/html; charset=ISO-8859-1"), "Peña");
+    assert.strictEqual(decoder.decode(UTF8, "text/html; charset=utf-8"),
+      "Peña");
+  });
+
+  it("decodes content using the charset of the meta tag", function () {
+    var content = Buffer.concat([
+      Buffer.from("<meta charset=\"iso-8859-1\"><p>"), LATIN1
+    ]);
+
+    assert.strictEqual(decoder.detect(content, "text/html"), "windows-1252");
+    assert.strictEqual(decoder.decode(content, "text/html"),
+      "<meta charset=\"iso-8859-1\"><p>Peña");
+  });
+
+  it("falls back to windows-1252 if content is not valid UTF-8", function () {
+    assert.strictEqual(decoder.decode(LATIN1), "Peña");
+    assert.strictEqual(decoder.decode(UTF8), "Peña");
+  });
+
+  it("overrides the declared charset", function () {
+    assert.strictEqual(decoder.decode(LATIN1, "text/html; charset=utf-8",
+      "latin1"), "Peña");
+  });
+
+  it("fixes text decoded with the wrong charset", function () {
+    assert.strictEqual(decoder.fixMojibake("ComisiÃ³n de PeÃ±a"),
+      "Comisión de Peña");
+    assert.strictEqual(decoder.fixMojibake("Comisión de Peña"),
+      "Comisión de Peña");
+  });
+});
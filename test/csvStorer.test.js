@@ -0,0 +1,91 @@
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var tmp = require("tmp");
+var CsvStorer = require("../lib/CsvStorer");
+
+describe("CsvStorer", function () {
+  var dir;
+
+  /** Reads the lines of a CSV file without the byte order mark. */
+  var readLines = function (table) {
+    return fs.readFileSync(path.join(dir.name, table + ".csv")).toString()
+      .replace(/^\ufeff/, "").split("\r\n").filter(function (line) {
+        return line;
+      });
+  };
+
+  beforeEach(function () {
+    dir = tmp.dirSync({ unsafeCleanup: true });
+  });
+
+  afterEach(function () {
+    dir.removeCallback();
+  });
+
+  it("flattens lists into related tables", function (done) {
+    var storer = new CsvStorer(dir.name);
+
+    storer.store("1234-D-2014", {
+      file: "1234-D-2014",
+      type: "PROYECTO DE LEY",
+      summary: "Modifica el artículo 1, \"Régimen\"",
+      subscribers: [{
+        name: "PEREZ, JUAN",
+        party: "UCR",
+        province: "CORDOBA"
+      }],
+      committees: ["LEGISLACION GENERAL", "PRESUPUESTO"]
+    }, "bills", function (err) {
+      assert.ifError(err);
+      storer.close();
+
+      storer.wait(function () {
+        var manifest = JSON.parse(fs.readFileSync(path.join(dir.name,
+          "manifest.json")));
+
+        assert.strictEqual(readLines("bills")[0], "file,type,source," +
+          "publishedOn,creationTime,summary,revisionChamber,revisionFile," +
+          "textUrl");
+        assert.strictEqual(readLines("bills")[1], "1234-D-2014," +
+          "PROYECTO DE LEY,,,,\"Modifica el artículo 1, \"\"Régimen\"\"\",,,");
+        assert.deepStrictEqual(readLines("bill_subscribers"), [
+          "bill_file,name,party,province",
+          "1234-D-2014,\"PEREZ, JUAN\",UCR,CORDOBA"
+        ]);
+        assert.deepStrictEqual(readLines("bill_committees"), [
+          "bill_file,committee",
+          "1234-D-2014,LEGISLACION GENERAL",
+          "1234-D-2014,PRESUPUESTO"
+        ]);
+        assert.deepStrictEqual(manifest.tables.map(function (table) {
+          return [table.name, table.parent, table.key];
+        }), [
+          ["bills", null, "file"],
+          ["bill_subscribers", "bills", "bill_file"],
+          ["bill_committees", "bills", "bill_file"],
+          ["bill_dictums", "bills", "bill_file"],
+          ["bill_procedures", "bills", "bill_file"]
+        ]);
+        done();
+      });
+    });
+  });
+
+  it("writes items of other roles as JSON", function (done) {
+    var storer = new CsvStorer(dir.name, { role: "events" });
+
+    storer.store("2015-03-10", { day: 10 }, null, function (err) {
+      assert.ifError(err);
+      storer.close();
+
+      storer.wait(function () {
+        assert.deepStrictEqual(readLines("events"), [
+          "id,data",
+          "2015-03-10,\"{\"\"day\"\":10}\""
+        ]);
+        done();
+      });
+    });
+  });
+});
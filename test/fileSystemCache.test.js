@@ -0,0 +1,374 @@
+var assert = require("assert");
+var crypto = require("crypto");
+var fs = require("fs");
+var http = require("http");
+var path = require("path");
+var tmp = require("tmp");
+var extend = require("extend");
+var FileSystemCache = require("../lib/FileSystemCache");
+var RateLimiter = require("../lib/RateLimiter");
+var fakes = require("./support/fakes");
+
+var URL = "http://example.com/page";
+
+/** Returns the file of a cache entry, without suffixes. */
+var entryFile = function (dir, key) {
+  return path.join(dir, crypto.createHash("sha1")
+    .update(JSON.stringify(key)).digest("hex"));
+};
+
+describe("FileSystemCache", function () {
+  var dir;
+
+  var createCache = function (fetcher, options) {
+    return new FileSystemCache(dir.name, extend({
+      fetcher: fetcher
+    }, options));
+  };
+
+  beforeEach(function () {
+    dir = tmp.dirSync({ unsafeCleanup: true });
+  });
+
+  afterEach(function () {
+    dir.removeCallback();
+  });
+
+  describe("offline mode", function () {
+    it("reads existing entries without fetching them", function (done) {
+      var fetcher = fakes.fetcher({});
+      var cache = createCache(fetcher, { maxAge: 0 });
+
+      cache.put(URL, "cached", function (err) {
+        assert.ifError(err);
+
+        createCache(fetcher, {
+          offline: true,
+          maxAge: 0
+        }).get(URL, function (err, data) {
+          assert.ifError(err);
+          assert.strictEqual(data, "cached");
+          assert.deepStrictEqual(fetcher.requests, []);
+          done();
+        });
+      });
+    });
+
+    it("fails with a cache miss instead of fetching entries", function (done) {
+      var fetcher = fakes.fetcher({});
+      var cache = createCache(fetcher, { offline: true });
+
+      cache.put(URL, function (err) {
+        assert.strictEqual(err.code, "ECACHEMISS");
+
+        cache.get(URL + "?page=2", function (err) {
+          assert.strictEqual(err.code, "ECACHEMISS");
+          assert.deepStrictEqual(cache.getMisses(), [URL, URL + "?page=2"]);
+          assert.deepStrictEqual(fetcher.requests, []);
+          done();
+        });
+      });
+    });
+  });
+
+  describe("expiration", function () {
+    var HOUR = 60 * 60 * 1000;
+
+    it("doesn't revalidate fresh entries", function (done) {
+      var fetcher = fakes.fetcher({});
+      var cache = createCache(fetcher, {
+        ttl: [{ pattern: "example\\.com", maxAge: HOUR }],
+        maxAge: 0
+      });
+
+      cache.put(URL, "cached", { fetchTime: Date.now() - 1000 }, function () {
+        cache.get(URL, function (err, data) {
+          assert.ifError(err);
+          assert.strictEqual(data, "cached");
+          assert.deepStrictEqual(fetcher.requests, []);
+          done();
+        });
+      });
+    });
+
+    it("keeps stale entries that didn't change", function (done) {
+      var fetcher = fakes.fetcher({
+        "http://example.com/page": { statusCode: 304 }
+      });
+      var cache = createCache(fetcher, {
+        ttl: [{ pattern: /example\.com/, maxAge: HOUR }]
+      });
+
+      cache.put(URL, "cached", {
+        fetchTime: Date.now() - 2 * HOUR,
+        etag: "\"v1\""
+      }, function () {
+        cache.get(URL, function (err, data) {
+          assert.ifError(err);
+          assert.strictEqual(data, "cached");
+          assert.strictEqual(fetcher.options[0].headers["If-None-Match"],
+            "\"v1\"");
+
+          cache.isStale(URL, function (err, stale) {
+            assert.ifError(err);
+            assert.strictEqual(stale, false);
+            done();
+          });
+        });
+      });
+    });
+
+    it("replaces stale entries that changed", function (done) {
+      var fetcher = fakes.fetcher({
+        "http://example.com/page": {
+          statusCode: 200,
+          headers: {
+            "content-type": "text/html; charset=utf-8",
+            etag: "\"v2\""
+          },
+          body: "updated"
+        }
+      });
+      var cache = createCache(fetcher, { maxAge: HOUR });
+
+      cache.put(URL, "cached", { fetchTime: Date.now() - 2 * HOUR },
+        function () {
+          cache.get(URL, function (err, data) {
+            assert.ifError(err);
+            assert.strictEqual(data, "updated");
+
+            cache.getMetadata(URL, function (err, metadata) {
+              assert.ifError(err);
+              assert.strictEqual(metadata.etag, "\"v2\"");
+              done();
+            });
+          });
+        });
+    });
+
+    it("removes entries with broken metadata", function (done) {
+      var cache = createCache(fakes.fetcher({}));
+
+      cache.put(URL, "cached", function () {
+        fs.writeFileSync(entryFile(dir.name, URL) + ".meta", "{broken");
+
+        cache.get(URL, function (err) {
+          assert.strictEqual(err.code, "ECACHEMISS");
+
+          cache.exists(URL, function (err, exists) {
+            assert.ifError(err);
+            assert.strictEqual(exists, false);
+            done();
+          });
+        });
+      });
+    });
+    it("removes entries with broken content", function (done) {
+      var cache = createCache(fakes.fetcher({}));
+
+      cache.put(URL, "cached", function () {
+        fs.writeFileSync(entryFile(dir.name, URL), "\"cach");
+
+        cache.get(URL, function (err) {
+          assert.strictEqual(err.code, "ECACHEMISS");
+          assert.strictEqual(fs.existsSync(entryFile(dir.name, URL)), false);
+          assert.strictEqual(fs.existsSync(entryFile(dir.name, URL) + ".meta"),
+            false);
+          done();
+        });
+      });
+    });
+  });
+
+  describe("maintenance", function () {
+    var HOUR = 60 * 60 * 1000;
+    var DATA = new Array(1000).join("x");
+
+    it("evicts least recently used entries", function (done) {
+      var cache = createCache(fakes.fetcher({}), { maxSize: 3000 });
+      var past = new Date(Date.now() - HOUR);
+
+      cache.put(URL + "/a", DATA, function () {
+        cache.put(URL + "/b", DATA, function () {
+          fs.utimesSync(entryFile(dir.name, URL + "/a"), past, past);
+          fs.utimesSync(entryFile(dir.name, URL + "/b"), past, past);
+
+          cache.get(URL + "/a", function (err) {
+            assert.ifError(err);
+
+            cache.put(URL + "/c", DATA, function () {
+              cache.list(function (err, entries) {
+                assert.ifError(err);
+                assert.deepStrictEqual(entries.map(function (entry) {
+                  return entry.url;
+                }).sort(), [URL + "/a", URL + "/c"]);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it("purges entries fetched before a period", function (done) {
+      var cache = createCache(fakes.fetcher({}), { maxAge: HOUR });
+
+      cache.put(URL + "/old", "old", { fetchTime: Date.now() - 2 * HOUR },
+        function () {
+          cache.put(URL + "/new", "new", function () {
+            cache.stats(function (err, stats) {
+              assert.ifError(err);
+              assert.strictEqual(stats.entries, 2);
+              assert.strictEqual(stats.stale, 1);
+
+              cache.purge(HOUR, function (err, removed) {
+                assert.ifError(err);
+                assert.strictEqual(removed, 1);
+
+                cache.exists(URL + "/old", function (err, exists) {
+                  assert.ifError(err);
+                  assert.strictEqual(exists, false);
+                  done();
+                });
+              });
+            });
+          });
+        });
+    });
+
+    it("finds and removes broken entries", function (done) {
+      var cache = createCache(fakes.fetcher({}));
+
+      cache.put(URL, "cached", function () {
+        fs.writeFileSync(entryFile(dir.name, URL), "\"trunc");
+
+        cache.verify(true, function (err, problems) {
+          assert.ifError(err);
+          assert.strictEqual(problems.length, 1);
+          assert.strictEqual(problems[0].url, URL);
+          assert.ok(/Invalid JSON/.test(problems[0].problem));
+
+          cache.verify(function (err, problems) {
+            assert.ifError(err);
+            assert.deepStrictEqual(problems, []);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe("charsets", function () {
+    it("decodes revalidated entries using the declared charset", function (done) {
+      var cache = createCache(fakes.fetcher({
+        "http://example.com/page": {
+          statusCode: 200,
+          headers: { "content-type": "text/html; charset=iso-8859-1" },
+          body: Buffer.from([0x50, 0x65, 0xf1, 0x61])
+        }
+      }), { maxAge: 0 });
+
+      cache.put(URL, "old", { fetchTime: Date.now() - 1000 }, function () {
+        cache.get(URL, function (err, data) {
+          assert.ifError(err);
+          assert.strictEqual(data, "Peña");
+          done();
+        });
+      });
+    });
+
+    it("fixes entries decoded with the wrong charset", function (done) {
+      var cache = createCache(fakes.fetcher({}));
+
+      cache.put(URL, { name: "ComisiÃ³n", members: ["PeÃ±a"] }, function () {
+        cache.put(URL + "/valid", "Comisión", function () {
+          cache.normalize(function (err, fixed) {
+            assert.ifError(err);
+            assert.strictEqual(fixed, 1);
+
+            cache.get(URL, function (err, data) {
+              assert.ifError(err);
+              assert.deepStrictEqual(data, {
+                name: "Comisión",
+                members: ["Peña"]
+              });
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe("downloads", function () {
+    var server;
+    var baseUrl;
+
+    before(function (done) {
+      server = http.createServer(function (req, res) {
+        if (req.url === "/document.pdf") {
+          res.writeHead(200, { "Content-Type": "application/pdf" });
+          res.end("%PDF-1.4 document %%EOF");
+        } else {
+          res.writeHead(500);
+          res.end("Internal error");
+        }
+      });
+      server.listen(0, "127.0.0.1", function () {
+        baseUrl = "http://127.0.0.1:" + server.address().port;
+        done();
+      });
+    });
+
+    after(function (done) {
+      server.close(done);
+    });
+
+    it("doesn't cache error responses nor keep their connection", function (done) {
+      var cache = new FileSystemCache(dir.name, {
+        rateLimiter: new RateLimiter({
+          requestsPerSecond: 1000,
+          maxConnections: 1
+        })
+      });
+
+      cache.put(baseUrl + "/error", function (err) {
+        assert.strictEqual(err.statusCode, 500);
+
+        cache.put(baseUrl + "/document.pdf", function (err) {
+          assert.ifError(err);
+
+          cache.exists(baseUrl + "/error", function (err, exists) {
+            assert.ifError(err);
+            assert.strictEqual(exists, false);
+            assert.deepStrictEqual(fs.readdirSync(dir.name).filter(
+              function (fileName) {
+                return /\.tmp-/.test(fileName);
+              }), []);
+            done();
+          });
+        });
+      });
+    });
+
+    it("doesn't cache truncated responses", function (done) {
+      var cache = createCache(fakes.fetcher({
+        "http://example.com/document.pdf": {
+          statusCode: 200,
+          headers: { "content-length": "1024" },
+          body: "%PDF-1.4"
+        }
+      }));
+
+      cache.put("http://example.com/document.pdf", function (err) {
+        assert.ok(/Truncated/.test(err.message));
+
+        cache.exists("http://example.com/document.pdf", function (err, exists) {
+          assert.ifError(err);
+          assert.strictEqual(exists, false);
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,122 @@
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var tmp = require("tmp");
+var async = require("async");
+var FileSystemStorer = require("../lib/FileSystemStorer");
+
+describe("FileSystemStorer", function () {
+  var dir;
+
+  beforeEach(function () {
+    dir = tmp.dirSync({ unsafeCleanup: true });
+  });
+
+  afterEach(function () {
+    dir.removeCallback();
+  });
+
+  /** Stores the items and waits until they are written. */
+  var storeAll = function (storer, items, callback) {
+    async.eachSeries(Object.keys(items), function (id, next) {
+      storer.store(id, items[id], "bills", next);
+    }, function (err) {
+      assert.ifError(err);
+      storer.close();
+      storer.wait(callback);
+    });
+  };
+
+  it("reads items stored in a balanced tree", function (done) {
+    var storer = new FileSystemStorer(dir.name, { deph: 1 });
+
+    storeAll(storer, {
+      "1234-D-2014": { file: "1234-D-2014" },
+      "0012-S-2015": { file: "0012-S-2015" }
+    }, function () {
+      fs.writeFileSync(path.join(dir.name, "checkpoint.json"), "{}");
+      fs.mkdirSync(path.join(dir.name, "archive"));
+
+      storer.list(function (err, ids) {
+        assert.ifError(err);
+        assert.deepStrictEqual(ids, ["0012-S-2015", "1234-D-2014"]);
+
+        storer.get("1234-D-2014", function (err, item) {
+          assert.ifError(err);
+          assert.deepStrictEqual(item, { file: "1234-D-2014" });
+
+          storer.get("9999-D-2014", function (err, item) {
+            assert.ifError(err);
+            assert.strictEqual(item, null);
+
+            storer.exists("0012-S-2015", function (err, exists) {
+              assert.ifError(err);
+              assert.strictEqual(exists, true);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it("iterates over the items that match a filter", function (done) {
+    var storer = new FileSystemStorer(dir.name);
+    var ids = [];
+
+    storeAll(storer, {
+      a: { chamber: "D" },
+      b: { chamber: "S" },
+      c: { chamber: "D" }
+    }, function () {
+      storer.iterate(function (item) {
+        return item.chamber === "D";
+      }, function (item, id, next) {
+        ids.push(id);
+        next();
+      }, function (err, count) {
+        assert.ifError(err);
+        assert.strictEqual(count, 2);
+        assert.deepStrictEqual(ids, ["a", "c"]);
+        done();
+      });
+    });
+  });
+
+  it("doesn't touch the bundle in read-only mode", function (done) {
+    var storer = new FileSystemStorer(dir.name);
+
+    storeAll(storer, { a: { chamber: "D" } }, function () {
+      var bundle = fs.readFileSync(path.join(dir.name, "all.js"), "utf8");
+      var readOnly = new FileSystemStorer(dir.name, { readOnly: true });
+
+      readOnly.store("b", {}, "bills", function (err) {
+        assert.ok(err);
+        readOnly.close();
+
+        readOnly.get("a", function (err, item) {
+          assert.ifError(err);
+          assert.deepStrictEqual(item, { chamber: "D" });
+          assert.strictEqual(fs.readFileSync(path.join(dir.name, "all.js"),
+            "utf8"), bundle);
+          done();
+        });
+      });
+    });
+  });
+
+  it("archives the bundle file when it is closed", function (done) {
+    var archiveDir = path.join(dir.name, "archive");
+    var storer = new FileSystemStorer(dir.name, { archiveDir: archiveDir });
+
+    storeAll(storer, { a: { chamber: "D" } }, function () {
+      var archives = fs.readdirSync(archiveDir);
+
+      assert.strictEqual(archives.length, 1);
+      assert.ok(/^\d{8}T\d{6}Z\.js$/.test(archives[0]));
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(archiveDir,
+        archives[0]))), [{ chamber: "D" }, { done: true }]);
+      done();
+    });
+  });
+});
@@ -0,0 +1,115 @@
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var tmp = require("tmp");
+var FixtureFetcher = require("../lib/FixtureFetcher");
+var fakes = require("./support/fakes");
+
+var URL = "http://example.com/page";
+
+describe("FixtureFetcher", function () {
+  var dir;
+
+  beforeEach(function () {
+    dir = tmp.dirSync({ unsafeCleanup: true });
+    fs.writeFileSync(path.join(dir.name, "page.html"), "<p>recorded</p>");
+    fs.writeFileSync(path.join(dir.name, "index.json"), JSON.stringify({
+      "GET http://example.com/page": {
+        file: "page.html",
+        headers: { "content-type": "text/html; charset=utf-8" }
+      }
+    }));
+  });
+
+  afterEach(function () {
+    dir.removeCallback();
+  });
+
+  it("serves recorded responses", function (done) {
+    var fetcher = new FixtureFetcher(dir.name);
+
+    fetcher.request({ uri: URL, encoding: null }, function (err, response,
+        body) {
+      assert.ifError(err);
+      assert.strictEqual(response.statusCode, 200);
+      assert.strictEqual(response.headers["content-type"],
+        "text/html; charset=utf-8");
+      assert.ok(Buffer.isBuffer(body));
+      assert.strictEqual(body.toString(), "<p>recorded</p>");
+      done();
+    });
+  });
+
+  it("serves recorded responses as streams", function (done) {
+    var fetcher = new FixtureFetcher(dir.name);
+
+    fetcher.stream(URL, function (err, stream) {
+      var chunks = [];
+
+      assert.ifError(err);
+      stream.on("response", function (response) {
+        assert.strictEqual(response.statusCode, 200);
+      });
+      stream.on("data", function (chunk) {
+        chunks.push(chunk);
+      });
+      stream.on("end", function () {
+        assert.strictEqual(Buffer.concat(chunks).toString(),
+          "<p>recorded</p>");
+        done();
+      });
+    });
+  });
+
+  it("builds request keys without ignored parameters", function () {
+    var fetcher = new FixtureFetcher(dir.name, {
+      ignoreParams: ["fecha"]
+    });
+
+    assert.strictEqual(fetcher.keyOf(URL + "?fecha=2014-01-01&page=2"),
+      "GET " + URL + "?page=2");
+    assert.strictEqual(fetcher.keyOf({
+      uri: URL,
+      method: "post",
+      form: { page: 2 }
+    }), "POST " + URL + " page=2");
+  });
+
+  it("fails if there's no fixture for a request", function (done) {
+    var fetcher = new FixtureFetcher(dir.name);
+
+    fetcher.request(URL + "?page=2", function (err) {
+      assert.strictEqual(err.code, "ENOFIXTURE");
+      assert.strictEqual(err.transient, false);
+      done();
+    });
+  });
+
+  it("records missing fixtures", function (done) {
+    var recordFetcher = fakes.fetcher({
+      "http://example.com/page?page=2": {
+        statusCode: 200,
+        headers: { "content-type": "text/html" },
+        body: "<p>page 2</p>"
+      }
+    });
+    var fetcher = new FixtureFetcher(dir.name, {
+      record: true,
+      fetcher: recordFetcher
+    });
+
+    fetcher.request(URL + "?page=2", function (err, response, body) {
+      assert.ifError(err);
+      assert.strictEqual(body, "<p>page 2</p>");
+
+      new FixtureFetcher(dir.name).request(URL + "?page=2", function (err,
+          response, body) {
+        assert.ifError(err);
+        assert.strictEqual(response.headers["content-type"], "text/html");
+        assert.strictEqual(body, "<p>page 2</p>");
+        assert.deepStrictEqual(recordFetcher.requests, [URL + "?page=2"]);
+        done();
+      });
+    });
+  });
+});
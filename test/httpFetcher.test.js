@@ -0,0 +1,57 @@
+var assert = require("assert");
+var http = require("http");
+var HttpFetcher = require("../lib/HttpFetcher");
+var RateLimiter = require("../lib/RateLimiter");
+
+describe("HttpFetcher", function () {
+  var server;
+  var baseUrl;
+  var fetcher = new HttpFetcher({
+    rateLimiter: new RateLimiter({
+      requestsPerSecond: 1000,
+      userAgent: "test-agent"
+    })
+  });
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      res.writeHead(200, { "Content-Type": "text/plain" });
+      res.end(req.headers["user-agent"]);
+    });
+    server.listen(0, "127.0.0.1", function () {
+      baseUrl = "http://127.0.0.1:" + server.address().port;
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  it("performs requests through the rate limiter", function (done) {
+    fetcher.request(baseUrl, function (err, response, body) {
+      assert.ifError(err);
+      assert.strictEqual(response.statusCode, 200);
+      assert.strictEqual(body, "test-agent");
+      done();
+    });
+  });
+
+  it("provides responses as streams", function (done) {
+    fetcher.stream(baseUrl, function (err, stream) {
+      var chunks = [];
+
+      assert.ifError(err);
+      stream.on("response", function (response) {
+        assert.strictEqual(response.statusCode, 200);
+      });
+      stream.on("data", function (chunk) {
+        chunks.push(chunk);
+      });
+      stream.on("end", function () {
+        assert.strictEqual(Buffer.concat(chunks).toString(), "test-agent");
+        done();
+      });
+    });
+  });
+});
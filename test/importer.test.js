@@ -0,0 +1,466 @@
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var extend = require("extend");
+var tmp = require("tmp");
+var Importer = require("../lib/Importer");
+var fakes = require("./support/fakes");
+
+var URL = "http://example.com/page";
+
+/** Creates an importer that enqueues the specified number of pages. The
+ * execute function receives the page number and the task callback. */
+var createImporter = function (options, pages, execute) {
+  var importer = new Importer(fakes.importerOptions(extend({
+    poolSize: 2
+  }, options)));
+  var lastPage = 0;
+
+  return extend(importer, {
+    execute: function (task, callback) {
+      execute(task.data.page, callback);
+    },
+    enqueueTask: function () {
+      if (lastPage === pages) {
+        return null;
+      }
+      lastPage += 1;
+      return {
+        name: "Page " + lastPage,
+        data: {
+          page: lastPage
+        }
+      };
+    },
+    getState: function () {
+      return {
+        lastPage: lastPage
+      };
+    },
+    restoreState: function (state) {
+      lastPage = state.lastPage;
+    }
+  });
+};
+
+describe("Importer", function () {
+
+  describe("failed requests", function () {
+    it("retries transient failures until the request succeeds", function (done) {
+      var fetcher = fakes.fetcher({
+        "http://example.com/page": [{ statusCode: 503 }, { statusCode: 200,
+          body: "<p>ok</p>" }]
+      });
+      var importer = new Importer(fakes.importerOptions({ fetcher: fetcher }));
+
+      importer.initEnv(URL, function (err, $) {
+        assert.ifError(err);
+        assert.strictEqual($("p").text(), "ok");
+        assert.strictEqual(fetcher.requests.length, 2);
+        assert.deepStrictEqual(importer.getDeadLetters(), []);
+        done();
+      });
+    });
+
+    it("doesn't retry permanent failures", function (done) {
+      var fetcher = fakes.fetcher({
+        "http://example.com/page": { statusCode: 404 }
+      });
+      var importer = new Importer(fakes.importerOptions({ fetcher: fetcher }));
+
+      importer.initEnv(URL, function (err) {
+        assert.strictEqual(err.statusCode, 404);
+        assert.strictEqual(importer.isTransientError(err), false);
+        assert.strictEqual(fetcher.requests.length, 1);
+        assert.strictEqual(importer.getDeadLetters()[0].transient, false);
+        done();
+      });
+    });
+
+    it("adds requests that still fail to the dead-letter list", function (done) {
+      var fetcher = fakes.fetcher({
+        "http://example.com/page": Object.assign(new Error("reset"), {
+          code: "ECONNRESET"
+        })
+      });
+      var importer = new Importer(fakes.importerOptions({ fetcher: fetcher }));
+
+      importer.initEnv(URL, function (err) {
+        var deadLetters = importer.getDeadLetters();
+
+        assert.strictEqual(importer.isTransientError(err), true);
+        assert.strictEqual(fetcher.requests.length, 3);
+        assert.strictEqual(deadLetters.length, 1);
+        assert.strictEqual(deadLetters[0].url, URL);
+        assert.strictEqual(deadLetters[0].attempts, 3);
+        done();
+      });
+    });
+
+    /** Creates a query cache that keeps entries in memory. Binary documents
+     * are downloaded by the specified function. */
+    var createCache = function (download) {
+      var cache = {
+        entries: {},
+        get: function (url, callback) {
+          if (!cache.entries.hasOwnProperty(url)) {
+            return callback(new Error("not found"));
+          }
+          callback(null, cache.entries[url]);
+        },
+        exists: function (url, callback) {
+          callback(null, cache.entries.hasOwnProperty(url));
+        },
+        put: function (url, body, callback) {
+          if (typeof body !== "function") {
+            cache.entries[url] = body;
+            return;
+          }
+          download(url, function (err, content) {
+            if (!err) {
+              cache.entries[url] = content;
+            }
+            body(err);
+          });
+        }
+      };
+
+      return cache;
+    };
+
+    it("keeps retried dead letters until they are processed", function (done) {
+      var fetcher = fakes.fetcher({
+        "http://example.com/page": [{ statusCode: 500 }, { statusCode: 500 },
+          { statusCode: 500 }, { statusCode: 200, body: "recovered" }]
+      });
+      var queryCache = createCache();
+      var importer = new Importer(fakes.importerOptions({
+        fetcher: fetcher,
+        queryCache: queryCache
+      }));
+
+      importer.initEnv(URL, function (err) {
+        assert.ok(err);
+        importer.retryDeadLetters(function (err, fetched) {
+          assert.ifError(err);
+          assert.deepStrictEqual(fetched, [URL]);
+          assert.strictEqual(queryCache.entries[URL], "recovered");
+          assert.strictEqual(importer.getDeadLetters()[0].refetched, true);
+
+          importer.initEnv(URL, function (err) {
+            assert.ifError(err);
+            assert.strictEqual(fetcher.requests.length, 4);
+            assert.deepStrictEqual(importer.getDeadLetters(), []);
+            done();
+          });
+        });
+      });
+    });
+
+    it("doesn't retry permanent failures and pages that cannot be parsed", function (done) {
+      var fetcher = fakes.fetcher({
+        "http://example.com/page": { statusCode: 404 }
+      });
+      var importer = new Importer(fakes.importerOptions({
+        fetcher: fetcher,
+        queryCache: createCache()
+      }));
+
+      importer.initEnv(URL, function (err) {
+        assert.strictEqual(err.statusCode, 404);
+        importer.deadLetter(URL + ".pdf", new Error("No votes found"));
+
+        importer.retryDeadLetters(function (err, fetched) {
+          assert.ifError(err);
+          assert.deepStrictEqual(fetched, []);
+          assert.strictEqual(fetcher.requests.length, 1);
+          assert.strictEqual(importer.getDeadLetters().length, 2);
+          done();
+        });
+      });
+    });
+
+    it("downloads binary documents again through the query cache", function (done) {
+      var downloads = [{ statusCode: 503 }, null];
+      var queryCache = createCache(function (url, callback) {
+        var response = downloads.shift();
+
+        if (response) {
+          return callback(extend(new Error("HTTP status " +
+            response.statusCode), response));
+        }
+        callback(null, "%PDF");
+      });
+      var fetcher = fakes.fetcher({});
+      var importer = new Importer(fakes.importerOptions({
+        fetcher: fetcher,
+        queryCache: queryCache
+      }));
+
+      importer.fetchDocument(URL + ".pdf", function (err) {
+        var deadLetter = importer.getDeadLetters()[0];
+
+        assert.strictEqual(err.statusCode, 503);
+        assert.strictEqual(deadLetter.binary, true);
+        assert.strictEqual(deadLetter.transient, true);
+
+        importer.retryDeadLetters(function (err, fetched) {
+          assert.ifError(err);
+          assert.deepStrictEqual(fetched, [URL + ".pdf"]);
+          assert.strictEqual(queryCache.entries[URL + ".pdf"], "%PDF");
+          assert.deepStrictEqual(fetcher.requests, []);
+
+          importer.fetchDocument(URL + ".pdf", function (err, content) {
+            assert.ifError(err);
+            assert.strictEqual(content, "%PDF");
+            assert.deepStrictEqual(importer.getDeadLetters(), []);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe("checkpoints", function () {
+    var dir;
+    var checkpointFile;
+
+    beforeEach(function () {
+      dir = tmp.dirSync({ unsafeCleanup: true });
+      checkpointFile = path.join(dir.name, "checkpoint.json");
+    });
+
+    afterEach(function () {
+      dir.removeCallback();
+    });
+
+    it("removes the checkpoint when the import process finished", function (done) {
+      var importer = createImporter({
+        checkpointFile: checkpointFile
+      }, 10, function (page, callback) {
+        setImmediate(function () {
+          callback(null, page === 3);
+        });
+      });
+
+      importer.start(null, function (err, summary) {
+        assert.ifError(err);
+        assert.strictEqual(fs.existsSync(checkpointFile), false);
+        assert.strictEqual(summary.failed, 0);
+        done();
+      });
+    });
+
+    it("keeps failed tasks to execute them again on resume", function (done) {
+      var failing = true;
+      var executed = [];
+      var execute = function (page, callback) {
+        executed.push(page);
+        setImmediate(function () {
+          if (page === 2 && failing) {
+            return callback(new Error("Page 2 failed"));
+          }
+          callback(null, page === 4);
+        });
+      };
+
+      createImporter({
+        checkpointFile: checkpointFile
+      }, 4, execute).start(null, function (err, summary) {
+        var checkpoint = JSON.parse(fs.readFileSync(checkpointFile));
+
+        assert.ifError(err);
+        assert.strictEqual(summary.failed, 1);
+        assert.strictEqual(checkpoint.completed.indexOf("Page 2"), -1);
+        assert.deepStrictEqual(checkpoint.inFlight, []);
+        assert.deepStrictEqual(checkpoint.failed.map(function (task) {
+          return task.name;
+        }), ["Page 2"]);
+
+        failing = false;
+        executed = [];
+
+        createImporter({
+          checkpointFile: checkpointFile,
+          resume: true
+        }, 4, execute).start(null, function (err, summary) {
+          assert.ifError(err);
+          assert.deepStrictEqual(executed, [2]);
+          assert.strictEqual(summary.completed, 4);
+          assert.strictEqual(fs.existsSync(checkpointFile), false);
+          done();
+        });
+      });
+    });
+
+    it("keeps tasks in flight when the import process is stopped", function (done) {
+      var importer = createImporter({
+        checkpointFile: checkpointFile
+      }, 10, function (page, callback) {
+        if (page === 1) {
+          importer.stop();
+        }
+        setImmediate(function () {
+          callback(null, false);
+        });
+      });
+
+      importer.start(null, function () {
+        var checkpoint = JSON.parse(fs.readFileSync(checkpointFile));
+
+        assert.deepStrictEqual(checkpoint.inFlight.map(function (task) {
+          return task.name;
+        }), ["Page 3", "Page 4"]);
+        assert.deepStrictEqual(checkpoint.state, { lastPage: 4 });
+        done();
+      });
+    });
+  });
+
+  describe("progress", function () {
+    it("notifies progress before enqueuing tasks and emits events", function (done) {
+      var calls = [];
+      var importer = createImporter({}, 4, function (page, callback) {
+        setImmediate(function () {
+          callback(null, page === 4);
+        });
+      });
+
+      importer.on("queue:empty", function (event) {
+        calls.push("queue:empty " + event.enqueued);
+      });
+      importer.on("task:start", function (event) {
+        calls.push("task:start " + event.task.name);
+      });
+      importer.on("page:eof", function (event) {
+        calls.push("page:eof " + event.task.name);
+      });
+      importer.on("end", function () {
+        calls.push("end");
+      });
+
+      importer.start(function (err, finished) {
+        calls.push(finished ? "finished" : "progress" +
+          (arguments.length ? " " + err : ""));
+      }, function () {
+        assert.deepStrictEqual(calls.slice(0, 2), ["progress", "queue:empty 2"]);
+        assert.strictEqual(calls.filter(function (call) {
+          return call === "progress null";
+        }).length, 4);
+        assert.deepStrictEqual(calls.slice(-4), ["progress null",
+          "page:eof Page 4", "finished", "end"]);
+        done();
+      });
+    });
+  });
+
+  describe("offline mode", function () {
+    var queryCache = {
+      get: function (url, callback) {
+        if (url === URL) {
+          return callback(null, "<p>cached</p>");
+        }
+        callback(new Error("not found"));
+      },
+      exists: function (url, callback) {
+        callback(null, false);
+      }
+    };
+
+    it("imports pages from the query cache", function (done) {
+      var fetcher = fakes.fetcher({});
+      var importer = new Importer(fakes.importerOptions({
+        fetcher: fetcher,
+        queryCache: queryCache,
+        offline: true
+      }));
+
+      importer.initEnv(URL, function (err, $) {
+        assert.ifError(err);
+        assert.strictEqual($("p").text(), "cached");
+        assert.deepStrictEqual(fetcher.requests, []);
+        done();
+      });
+    });
+
+    it("reports urls that are not in the query cache", function (done) {
+      var fetcher = fakes.fetcher({});
+      var importer = new Importer(fakes.importerOptions({
+        fetcher: fetcher,
+        queryCache: queryCache,
+        offline: true
+      }));
+
+      importer.initEnv(URL + "?page=2", function (err) {
+        assert.strictEqual(err.code, "ECACHEMISS");
+
+        importer.fetchDocument(URL + ".pdf", function (err) {
+          assert.strictEqual(err.code, "ECACHEMISS");
+          assert.deepStrictEqual(importer.getMissingUrls(), [URL + "?page=2",
+            URL + ".pdf"]);
+          assert.deepStrictEqual(importer.getDeadLetters(), []);
+          assert.deepStrictEqual(fetcher.requests, []);
+          done();
+        });
+      });
+    });
+  });
+
+  describe("change index", function () {
+    var dir;
+
+    beforeEach(function () {
+      dir = tmp.dirSync({ unsafeCleanup: true });
+    });
+
+    afterEach(function () {
+      dir.removeCallback();
+    });
+
+    /** Creates a storer that records the ids of stored items. */
+    var createStorer = function (options) {
+      var storer = extend({
+        ids: [],
+        store: function (id, data, role, callback) {
+          storer.ids.push(id);
+          callback();
+        },
+        close: function () {}
+      }, options);
+
+      return storer;
+    };
+
+    /** Runs an importer that stores an item on each page. */
+    var run = function (storers, callback) {
+      var importer = createImporter({
+        changeIndexFile: path.join(dir.name, "changes.json"),
+        storers: storers
+      }, 2, function (page, next) {
+        importer.store("item-" + page, { page: page }, function (err) {
+          next(err, page === 2);
+        });
+      });
+
+      importer.start(null, callback);
+    };
+
+    it("stores unchanged items only in storers that don't skip them", function (done) {
+      run([createStorer(), createStorer()], function (err) {
+        var bundle = createStorer();
+        var history = createStorer({ skipUnchanged: true });
+
+        assert.ifError(err);
+
+        run([bundle, history], function (err, summary) {
+          assert.ifError(err);
+          assert.deepStrictEqual(bundle.ids.sort(), ["item-1", "item-2"]);
+          assert.deepStrictEqual(history.ids, []);
+          assert.strictEqual(summary.unchanged, 2);
+          assert.strictEqual(summary.items, 0);
+          done();
+        });
+      });
+    });
+  });
+});
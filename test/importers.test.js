@@ -0,0 +1,285 @@
+var harness = require("./support/harness");
+var ObjectDiff = require("../lib/ObjectDiff");
+
+describe("Importers", function () {
+  var objectDiff = new ObjectDiff();
+
+  Object.keys(harness.SUITES).forEach(function (role) {
+    it("imports " + role + " from recorded fixtures", function (done) {
+      harness.run(role, null, function (err, output) {
+        var golden = harness.readGolden(role);
+        var changes;
+
+        if (err) {
+          return done(err);
+        }
+        if (!golden) {
+          return done(new Error("Golden output not found for " + role +
+            ". Run 'npm run record -- " + role + " --replay' to create it."));
+        }
+        changes = objectDiff.diff(golden, output);
+
+        if (changes.length > 0) {
+          return done(new Error("Output differs from golden output for " +
+            role + ":\n" + objectDiff.format(changes)));
+        }
+        done();
+      });
+    });
+  });
+});
+
+describe("Layout expectations", function () {
+  var Importer = require("../lib/Importer");
+  var extend = require("extend");
+  var EXPECTATIONS = [{
+    selector: "table thead th",
+    text: ["Diputado", "Bloque"],
+    description: "legislatives table header"
+  }, {
+    selector: "table tbody td",
+    min: 2
+  }];
+
+  var createImporter = function (tasks) {
+    var importer = new Importer({
+      handleSignals: false,
+      logger: {
+        info: function () {},
+        error: function () {}
+      }
+    });
+
+    return extend(importer, {
+      execute: function (task, callback) {
+        task.data.run(callback);
+      },
+      enqueueTask: function () {
+        return tasks.shift() || null;
+      }
+    });
+  };
+
+  it("accepts pages that match the expectations", function () {
+    var importer = createImporter([]);
+    var $ = importer.loadHtml("<table><thead><tr><th>Diputado</th>" +
+      "<th>Bloque</th></tr></thead><tbody><tr><td>A</td><td>B</td></tr>" +
+      "</tbody></table>");
+
+    if (importer.checkLayout("http://example.org", $, EXPECTATIONS)) {
+      throw new Error("Unexpected layout error");
+    }
+  });
+
+  it("names the url and the broken expectation", function () {
+    var importer = createImporter([]);
+    var $ = importer.loadHtml("<table><thead><tr><th>Nombre</th>" +
+      "<th>Bloque</th></tr></thead></table>");
+    var err = importer.checkLayout("http://example.org/list", $,
+      EXPECTATIONS);
+
+    if (!err || err.code !== "ELAYOUT" || err.message !==
+        "Source layout changed at http://example.org/list: legislatives " +
+        "table header (expected text Diputado in 'table thead th')") {
+      throw new Error("Unexpected error: " + (err && err.message));
+    }
+  });
+
+  it("aborts the import process when the layout changed", function (done) {
+    var executed = [];
+    var task = function (name, err) {
+      return {
+        name: name,
+        data: {
+          run: function (callback) {
+            executed.push(name);
+            setImmediate(callback, err);
+          }
+        }
+      };
+    };
+    var layoutError = createImporter([]).layoutError("http://example.org",
+      "expected rows");
+    var importer = createImporter([task("first"), task("broken", layoutError),
+      task("second"), task("third")]);
+
+    importer.start(null, function (err, summary) {
+      if (!importer.isLayoutError(err) || summary.error !== err.message) {
+        return done(new Error("Expected a layout error: " + err));
+      }
+      if (executed.indexOf("third") > -1) {
+        return done(new Error("Tasks executed after the layout error: " +
+          executed.join(", ")));
+      }
+      done();
+    });
+  });
+});
+
+describe("Broken documents", function () {
+  var fs = require("fs");
+
+  /** Returns a PDF extractor that changes the recorded text of documents. */
+  var rewriteText = function (rewrite) {
+    return function (file, callback) {
+      fs.readFile(file, function (err, data) {
+        if (err) {
+          return callback(err);
+        }
+        callback(null, rewrite(String(data)).split("\f"));
+      });
+    };
+  };
+
+  it("reports vote documents without votes and imports the rest", function (done) {
+    harness.run("vote", {
+      pdfExtractor: rewriteText(function (text) {
+        return text.indexOf("Acta Nº 2 ") > -1 ? "" : text;
+      })
+    }, function (err, output, importer) {
+      var deadLetters = importer.getDeadLetters();
+
+      if (err) {
+        return done(err);
+      }
+      if (Object.keys(output.errors).length > 0) {
+        return done(new Error("Unexpected errors: " +
+          JSON.stringify(output.errors)));
+      }
+      if (Object.keys(output.items).length !== 1) {
+        return done(new Error("Expected a single vote: " +
+          Object.keys(output.items).join(", ")));
+      }
+      if (deadLetters.length !== 1 ||
+          !/acta-002\.pdf$/.test(deadLetters[0].url)) {
+        return done(new Error("Expected a dead letter for acta-002.pdf: " +
+          JSON.stringify(deadLetters)));
+      }
+      done();
+    });
+  });
+
+  it("aborts vote imports when no document has votes", function (done) {
+    harness.run("vote", {
+      pdfExtractor: rewriteText(function () {
+        return "";
+      })
+    }, function (err, output, importer) {
+      var message = output.errors["Import Votes [Period 2014]"] || "";
+
+      if (err) {
+        return done(err);
+      }
+      if (message.indexOf("Source layout changed") !== 0 ||
+          message.indexOf("2 of 2 documents are empty") === -1) {
+        return done(new Error("Expected a layout error: " + message));
+      }
+      if (Object.keys(output.items).length > 0 ||
+          importer.getDeadLetters().length !== 2) {
+        return done(new Error("Expected dead letters for every document"));
+      }
+      done();
+    });
+  });
+
+  it("reports Senate documents without votes and malformed rows", function (done) {
+    var errors = [];
+
+    harness.run("senate-vote", {
+      pdfExtractor: rewriteText(function (text) {
+        if (text.indexOf("Votación Nº 4 ") > -1) {
+          return "";
+        }
+        return text.replace(/Radical\s+Chubut/, "Radical Chubut");
+      }),
+      logger: {
+        debug: function () {},
+        info: function () {},
+        warn: function () {},
+        error: function (message) {
+          errors.push(message);
+        }
+      }
+    }, function (err, output, importer) {
+      var ids = Object.keys(output.items);
+      var deadLetters = importer.getDeadLetters();
+
+      if (err) {
+        return done(err);
+      }
+      if (ids.length !== 1 || output.items[ids[0]].votes.length !== 3) {
+        return done(new Error("Expected a single vote with 3 rows: " +
+          JSON.stringify(output.items)));
+      }
+      if (deadLetters.length !== 1 ||
+          !/acta-4\.pdf$/.test(deadLetters[0].url)) {
+        return done(new Error("Expected a dead letter for acta-4.pdf: " +
+          JSON.stringify(deadLetters)));
+      }
+      if (!errors.some(function (message) {
+        return message.indexOf("unexpected vote row 'SOSA, Laura") > -1;
+      })) {
+        return done(new Error("Expected the malformed row to be logged: " +
+          errors.join("\n")));
+      }
+      done();
+    });
+  });
+
+  it("aborts Senate vote imports when no document has votes", function (done) {
+    harness.run("senate-vote", {
+      pdfExtractor: rewriteText(function () {
+        return "";
+      })
+    }, function (err, output) {
+      var messages = Object.keys(output.errors).map(function (task) {
+        return output.errors[task];
+      });
+
+      if (err) {
+        return done(err);
+      }
+      if (messages.length !== 1 ||
+          messages[0].indexOf("Source layout changed") !== 0) {
+        return done(new Error("Expected a layout error: " + messages));
+      }
+      done();
+    });
+  });
+});
+
+describe("Vote periods", function () {
+  var VoteImporter = require("../lib/vote/VoteImporter");
+  var fakes = require("./support/fakes");
+
+  /** Executes the task of the specified period with an empty index page. */
+  var importPeriod = function (period, callback) {
+    var responses = {};
+    var importer;
+
+    responses["http://www.hcdn.gob.ar/secadmin/ds_electronicos/periodo/" +
+      period + "/index.html"] = {
+      statusCode: 200,
+      body: "<ul class='treeview'></ul>"
+    };
+    importer = new VoteImporter(fakes.importerOptions({
+      fetcher: fakes.fetcher(responses)
+    }));
+
+    importer.restoreState({ lastPeriod: period + 1 });
+    importer.execute(importer.enqueueTask(), callback);
+  };
+
+  it("accepts an empty index for the current period", function (done) {
+    importPeriod(new Date().getFullYear(), done);
+  });
+
+  it("aborts the import process if a closed period is empty", function (done) {
+    importPeriod(new Date().getFullYear() - 1, function (err) {
+      if (!err || err.code !== "ELAYOUT") {
+        return done(new Error("Expected a layout error: " + err));
+      }
+      done();
+    });
+  });
+});
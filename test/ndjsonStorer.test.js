@@ -0,0 +1,144 @@
+var assert = require("assert");
+var async = require("async");
+var fs = require("fs");
+var path = require("path");
+var zlib = require("zlib");
+var tmp = require("tmp");
+var extend = require("extend");
+var NdjsonStorer = require("../lib/NdjsonStorer");
+var NdjsonReader = require("../lib/NdjsonReader");
+
+describe("NdjsonStorer", function () {
+  var dir;
+
+  /** Stores the items with a new storer and waits until files are closed. */
+  var storeAll = function (items, options, callback) {
+    var storer = new NdjsonStorer(dir.name, options);
+
+    async.eachSeries(items, function (item, next) {
+      storer.store(item.id, item, item.role || "bills", next);
+    }, function (err) {
+      if (err) {
+        return callback(err);
+      }
+      storer.close();
+      storer.wait(callback);
+    });
+  };
+
+  /** Reads the ids of all items in the data directory. */
+  var readIds = function (options, callback) {
+    var ids = [];
+
+    new NdjsonReader(dir.name, options).each(function (item, next) {
+      ids.push(item.id);
+      next();
+    }, function (err) {
+      callback(err, ids);
+    });
+  };
+
+  var items = function (ids) {
+    return ids.map(function (id) {
+      return { id: id, summary: "Proyecto de ley " + id };
+    });
+  };
+
+  beforeEach(function () {
+    dir = tmp.dirSync({ unsafeCleanup: true });
+  });
+
+  afterEach(function () {
+    dir.removeCallback();
+  });
+
+  it("rotates files when they reach the maximum size", function (done) {
+    storeAll(items(["1", "2", "3"]), { maxSize: 10 }, function (err) {
+      assert.ifError(err);
+      assert.deepStrictEqual(fs.readdirSync(dir.name).sort(), [
+        "items-0001.ndjson", "items-0002.ndjson", "items-0003.ndjson"
+      ]);
+      readIds(null, function (err, ids) {
+        assert.ifError(err);
+        assert.deepStrictEqual(ids, ["1", "2", "3"]);
+        done();
+      });
+    });
+  });
+
+  it("removes files of previous runs", function (done) {
+    storeAll(items(["1", "2", "3"]), { maxSize: 10 }, function (err) {
+      assert.ifError(err);
+
+      storeAll(items(["4"]), { gzip: true }, function (err) {
+        assert.ifError(err);
+        assert.deepStrictEqual(fs.readdirSync(dir.name),
+          ["items-0001.ndjson.gz"]);
+
+        readIds(null, function (err, ids) {
+          assert.ifError(err);
+          assert.deepStrictEqual(ids, ["4"]);
+          done();
+        });
+      });
+    });
+  });
+
+  it("flushes compressed items as they are written", function (done) {
+    var storer = new NdjsonStorer(dir.name, { gzip: true });
+
+    async.eachSeries(items(["1", "2"]), function (item, next) {
+      storer.store(item.id, item, "bills", next);
+    }, function (err) {
+      assert.ifError(err);
+
+      // The file stream writes flushed data asynchronously.
+      setTimeout(function () {
+        var content = zlib.gunzipSync(fs.readFileSync(path.join(dir.name,
+          "items-0001.ndjson.gz")), {
+          finishFlush: zlib.constants.Z_SYNC_FLUSH
+        });
+
+        assert.deepStrictEqual(content.toString().split("\n").filter(Boolean)
+          .map(function (line) {
+            return JSON.parse(line).id;
+          }), ["1", "2"]);
+        storer.close();
+        storer.wait(done);
+      }, 100);
+    });
+  });
+
+  it("appends files to resume import processes", function (done) {
+    var options = { maxSize: 10, gzip: true };
+
+    storeAll(items(["1", "2"]), options, function (err) {
+      assert.ifError(err);
+
+      storeAll(items(["3"]), extend({ append: true }, options), function (err) {
+        assert.ifError(err);
+
+        readIds(null, function (err, ids) {
+          assert.ifError(err);
+          assert.deepStrictEqual(ids, ["1", "2", "3"]);
+          done();
+        });
+      });
+    });
+  });
+
+  it("writes items of each role into different files", function (done) {
+    storeAll([
+      { id: "1", role: "bills" },
+      { id: "2", role: "vote" }
+    ], { byRole: true }, function (err) {
+      assert.ifError(err);
+
+      readIds({ prefix: "vote" }, function (err, ids) {
+        assert.ifError(err);
+        assert.deepStrictEqual(ids, ["2"]);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,77 @@
+var assert = require("assert");
+var http = require("http");
+var RateLimiter = require("../lib/RateLimiter");
+
+describe("RateLimiter", function () {
+  var server;
+  var baseUrl;
+  var active = 0;
+  var maxActive = 0;
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      active += 1;
+      maxActive = Math.max(active, maxActive);
+      res.on("close", function () {
+        active -= 1;
+      });
+      res.writeHead(200, { "Content-Type": "text/plain" });
+      res.end("ok");
+    });
+    server.listen(0, "127.0.0.1", function () {
+      baseUrl = "http://127.0.0.1:" + server.address().port;
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  it("limits concurrent connections to a host", function (done) {
+    var rateLimiter = new RateLimiter({
+      requestsPerSecond: 1000,
+      maxConnections: 1
+    });
+    var finished = 0;
+    var i;
+
+    var fetch = function () {
+      rateLimiter.request(baseUrl + "/fast", function (err, response, body) {
+        assert.ifError(err);
+        assert.strictEqual(body, "ok");
+        finished += 1;
+
+        if (finished === 3) {
+          assert.strictEqual(maxActive, 1);
+          done();
+        }
+      });
+    };
+    maxActive = 0;
+    for (i = 0; i < 3; i++) {
+      fetch();
+    }
+  });
+
+  it("releases the connection of aborted streams", function (done) {
+    var rateLimiter = new RateLimiter({
+      requestsPerSecond: 1000,
+      maxConnections: 2
+    });
+    var i;
+
+    var abort = function (err, stream) {
+      assert.ifError(err);
+      stream.abort();
+    };
+    for (i = 0; i < 2; i++) {
+      rateLimiter.stream(baseUrl + "/aborted", abort);
+    }
+    rateLimiter.request(baseUrl + "/fast", function (err, response, body) {
+      assert.ifError(err);
+      assert.strictEqual(body, "ok");
+      done();
+    });
+  });
+});
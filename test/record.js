@@ -0,0 +1,110 @@
+/** Records again the fixtures of an importer from the network, updates its
+ * golden output and shows the differences with the previous golden output.
+ *
+ * Usage: npm run record -- <role> [--replay]
+ *
+ * With --replay fixtures are not recorded, the golden output is generated
+ * from existing fixtures. It is useful to review parser changes.
+ */
+var fs = require("fs");
+var path = require("path");
+var async = require("async");
+var extract = require("pdf-text-extract");
+var harness = require("./support/harness");
+var ObjectDiff = require("../lib/ObjectDiff");
+
+var role = process.argv[2];
+var replay = process.argv.indexOf("--replay") > -1;
+
+/** Converts recorded PDF documents into text fixtures, one page per form
+ * feed, so tests don't need pdftotext. */
+var convertPdfFixtures = function (fixturesDir, callback) {
+  var indexFile = path.join(fixturesDir, "index.json");
+  var fixtures = JSON.parse(fs.readFileSync(indexFile).toString());
+
+  async.eachSeries(Object.keys(fixtures), function (key, next) {
+    var fixture = fixtures[key];
+    var file = path.join(fixturesDir, fixture.file);
+    var header = fs.readFileSync(file).slice(0, 4).toString();
+
+    if (header !== "%PDF") {
+      return next();
+    }
+    extract(file, { "-layout": "" }, function (err, pages) {
+      var textFile;
+
+      if (err) {
+        return next(err);
+      }
+      textFile = fixture.file.replace(/\.\w+$/, "") + ".txt";
+      fs.unlinkSync(file);
+      fs.writeFileSync(path.join(fixturesDir, textFile), pages.join("\f"));
+      fixture.file = textFile;
+      next();
+    });
+  }, function (err) {
+    if (!err) {
+      fs.writeFileSync(indexFile, JSON.stringify(fixtures, null, 2) + "\n");
+    }
+    callback(err);
+  });
+};
+
+/** Generates the golden output and shows the differences. */
+var updateGolden = function () {
+  harness.run(role, null, function (err, output) {
+    var objectDiff = new ObjectDiff();
+    var golden;
+    var changes;
+
+    if (err) {
+      console.log("Error running importer: " + err);
+      process.exit(1);
+    }
+    golden = harness.readGolden(role);
+    changes = objectDiff.diff(golden, output);
+    harness.writeGolden(role, output);
+
+    if (!golden) {
+      console.log("Golden output for " + role + " created.");
+    } else if (changes.length === 0) {
+      console.log("Golden output for " + role + " didn't change.");
+    } else {
+      console.log(objectDiff.format(changes));
+      console.log("Golden output for " + role + " updated: " + changes.length +
+        " changes.");
+    }
+  });
+};
+
+if (!harness.SUITES[role]) {
+  console.log("Usage: npm run record -- <role> [--replay]");
+  console.log("Supported roles: " + Object.keys(harness.SUITES).join(", "));
+  process.exit(1);
+}
+
+if (replay) {
+  updateGolden();
+} else {
+  console.log("Recording fixtures for " + role + "...");
+
+  harness.run(role, {
+    fetcher: {
+      refresh: true
+    }
+  }, function (err) {
+    var fixturesDir = path.join(harness.FIXTURES_DIR, role);
+
+    if (err) {
+      console.log("Error recording fixtures: " + err);
+      process.exit(1);
+    }
+    convertPdfFixtures(fixturesDir, function (err) {
+      if (err) {
+        console.log("Error converting PDF fixtures: " + err);
+        process.exit(1);
+      }
+      updateGolden();
+    });
+  });
+}
@@ -0,0 +1,68 @@
+var assert = require("assert");
+var RunDiff = require("../lib/RunDiff");
+
+describe("RunDiff", function () {
+  var procedure = function (topic) {
+    return {
+      date: "2015-03-10T03:00:00.000Z",
+      topic: topic,
+      result: null
+    };
+  };
+
+  it("reports added, removed and modified items", function () {
+    var report = new RunDiff("bills").diff([
+      { file: "0001-D-2015", procedures: [procedure("Mesa de entradas")] },
+      { file: "0002-D-2015", procedures: [] },
+      { file: "0003-D-2015", procedures: [] }
+    ], [
+      { file: "0001-D-2015", procedures: [procedure("Mesa de entradas"),
+        procedure("Giro a comisiones")] },
+      { file: "0002-D-2015", procedures: [] },
+      { file: "0004-D-2015", procedures: [] }
+    ]);
+
+    assert.deepStrictEqual(report.added, ["0004-D-2015"]);
+    assert.deepStrictEqual(report.removed, ["0003-D-2015"]);
+    assert.deepStrictEqual(report.summary, {
+      added: 1,
+      removed: 1,
+      modified: 1,
+      unchanged: 1
+    });
+    assert.strictEqual(report.modified[0].id, "0001-D-2015");
+    assert.deepStrictEqual(report.modified[0].fields, {
+      procedures: {
+        added: [procedure("Giro a comisiones")],
+        removed: []
+      }
+    });
+  });
+
+  it("summarizes changed fields and formats reports", function () {
+    var runDiff = new RunDiff("people");
+    var report = runDiff.diff([
+      { user: "jperez", party: "UCR", email: "jperez@hcdn.gob.ar" }
+    ], [
+      { user: "jperez", party: "PRO", email: "perez@hcdn.gob.ar" }
+    ]);
+
+    assert.deepStrictEqual(report.modified[0].fields, {
+      party: { from: "UCR", to: "PRO" }
+    });
+    assert.strictEqual(runDiff.format(report), [
+      "~ jperez",
+      "    party: \"UCR\" -> \"PRO\"",
+      "    ~ email: \"jperez@hcdn.gob.ar\" -> \"perez@hcdn.gob.ar\"",
+      "Added: 0, removed: 0, modified: 1, unchanged: 0"
+    ].join("\n"));
+  });
+
+  it("identifies items of other roles by their content", function () {
+    var report = new RunDiff("events").diff([{ day: 1 }], [{ day: 2 }]);
+
+    assert.strictEqual(report.added.length, 1);
+    assert.strictEqual(report.removed.length, 1);
+    assert.deepStrictEqual(report.modified, []);
+  });
+});
@@ -0,0 +1,120 @@
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var tmp = require("tmp");
+var extend = require("extend");
+var Scheduler = require("../lib/Scheduler");
+var fakes = require("./support/fakes");
+
+describe("Scheduler", function () {
+  var dir;
+  var historyFile;
+
+  /** Creates a scheduler whose runner keeps runs open until they're
+   * finished by the test. */
+  var createScheduler = function (runs, options) {
+    return new Scheduler(extend({
+      jobs: {},
+      logger: fakes.SILENT_LOG,
+      handleSignals: false,
+      historyFile: historyFile,
+      runner: function (role, callback) {
+        var run = {
+          role: role,
+          stopped: false,
+          finish: callback,
+          stop: function () {
+            run.stopped = true;
+            setImmediate(callback.bind(null, null, { completed: 1 }));
+          }
+        };
+        runs.push(run);
+        return run;
+      }
+    }, options));
+  };
+
+  var statuses = function (scheduler) {
+    return scheduler.getHistory().map(function (entry) {
+      return entry.status;
+    });
+  };
+
+  beforeEach(function () {
+    dir = tmp.dirSync({ unsafeCleanup: true });
+    historyFile = path.join(dir.name, "history.json");
+  });
+
+  afterEach(function () {
+    dir.removeCallback();
+  });
+
+  it("skips runs of importers that are still running", function () {
+    var runs = [];
+    var scheduler = createScheduler(runs);
+
+    scheduler.run("bills");
+    scheduler.run("bills");
+    assert.deepStrictEqual(scheduler.getRunning(), ["bills"]);
+    assert.deepStrictEqual(statuses(scheduler), ["running", "skipped"]);
+
+    runs[0].finish(null, { completed: 3 });
+    assert.deepStrictEqual(scheduler.getRunning(), []);
+    assert.deepStrictEqual(statuses(scheduler), ["success", "skipped"]);
+    assert.deepStrictEqual(scheduler.getHistory()[0].summary, {
+      completed: 3
+    });
+  });
+
+  it("records failed runs", function () {
+    var runs = [];
+    var scheduler = createScheduler(runs);
+    var broken = createScheduler([], {
+      runner: function () {
+        throw new Error("Unknown importer");
+      }
+    });
+
+    scheduler.run("vote");
+    runs[0].finish(new Error("Layout changed"));
+    broken.run("events");
+
+    assert.strictEqual(scheduler.getHistory()[0].status, "failed");
+    assert.strictEqual(scheduler.getHistory()[0].error, "Layout changed");
+    assert.strictEqual(broken.getHistory()[0].status, "failed");
+    assert.strictEqual(broken.getHistory()[0].error, "Unknown importer");
+  });
+
+  it("stops running importers", function (done) {
+    var runs = [];
+    var scheduler = createScheduler(runs);
+
+    scheduler.run("bills");
+    scheduler.stop(function () {
+      assert.strictEqual(runs[0].stopped, true);
+      assert.deepStrictEqual(statuses(scheduler), ["stopped"]);
+
+      scheduler.run("bills");
+      assert.strictEqual(runs.length, 1);
+      done();
+    });
+  });
+
+  it("marks runs in progress of a previous process as interrupted", function () {
+    createScheduler([]).run("people");
+
+    assert.strictEqual(JSON.parse(fs.readFileSync(historyFile))[0].status,
+      "running");
+    assert.deepStrictEqual(statuses(createScheduler([])), ["interrupted"]);
+  });
+
+  it("rejects invalid cron expressions", function () {
+    var scheduler = createScheduler([], {
+      jobs: { bills: "not a cron expression" }
+    });
+
+    assert.throws(function () {
+      scheduler.start();
+    }, /Invalid cron expression for bills/);
+  });
+});
@@ -0,0 +1,120 @@
+var assert = require("assert");
+var extend = require("extend");
+var SchemaValidator = require("../lib/SchemaValidator");
+var StorePipeline = require("../lib/StorePipeline");
+
+describe("SchemaValidator", function () {
+  var golden = require("./golden/bills.json").items;
+  var bill = golden["0045-S-2014"];
+
+  /** Returns a copy of the bill with some fields replaced. */
+  var billWith = function (fields) {
+    return extend(true, {}, bill, fields);
+  };
+
+  it("accepts the bills of the golden output", function () {
+    var validator = new SchemaValidator();
+
+    Object.keys(golden).forEach(function (id) {
+      assert.strictEqual(validator.validate(id, golden[id], "bills").valid,
+        true);
+    });
+    assert.deepStrictEqual(validator.getReport("bills").suspicious, {
+      "subscribers[].party": 1
+    });
+  });
+
+  it("reports missing, invalid and suspicious fields", function () {
+    var validator = new SchemaValidator({ maxSamples: 1 });
+    var broken = billWith({
+      file: "45-S-14",
+      summary: "",
+      creationTime: "1810-05-25T03:00:00.000Z",
+      type: "Proyecto de <b>ley</b>"
+    });
+    var result;
+
+    delete broken.procedures;
+    result = validator.validate("45-S-14", broken, "bills");
+    validator.validate("46-S-14", billWith({ file: "46-S-14" }), "bills");
+
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(validator.getReport("bills"), {
+      role: "bills",
+      records: 2,
+      valid: 0,
+      invalid: 2,
+      unchecked: 0,
+      missing: {
+        procedures: 1,
+        summary: 1
+      },
+      invalidFields: {
+        file: 2
+      },
+      suspicious: {
+        creationTime: 1,
+        type: 1
+      },
+      samples: [{
+        id: "45-S-14",
+        issues: result.issues
+      }]
+    });
+  });
+
+  it("doesn't check roles without schema", function () {
+    var validator = new SchemaValidator();
+
+    assert.deepStrictEqual(validator.validate("1", { name: "N/A" }, "parties"),
+      { valid: true, issues: [] });
+    assert.strictEqual(validator.getReport("parties").unchecked, 1);
+    assert.strictEqual(validator.format(validator.getReport("parties")),
+      "Records: 1, valid: 0, invalid: 0, without schema: 1");
+
+    validator.reset();
+    assert.deepStrictEqual(validator.getReport(), {});
+  });
+
+  it("formats the report of a role", function () {
+    var validator = new SchemaValidator();
+
+    validator.validate("45-S-14", billWith({ file: "45-S-14" }), "bills");
+
+    assert.strictEqual(validator.format(validator.getReport("bills")), [
+      "Records: 1, valid: 0, invalid: 1, without schema: 0",
+      "Invalid fields:",
+      "    file: 1",
+      "Invalid records: 45-S-14"
+    ].join("\n"));
+  });
+
+  describe("stage", function () {
+    var runStage = function (options, callback) {
+      var validator = new SchemaValidator(options);
+      var pipeline = new StorePipeline([validator.stage()]);
+
+      pipeline.process("45-S-14", billWith({ file: "45-S-14" }), "bills",
+        function (err, items) {
+          assert.ifError(err);
+          callback(items, validator.getReport("bills"));
+        });
+    };
+
+    it("stores invalid items by default", function (done) {
+      runStage(null, function (items, report) {
+        assert.strictEqual(items.length, 1);
+        assert.strictEqual(report.invalid, 1);
+        done();
+      });
+    });
+
+    it("drops invalid items with the dropInvalid option", function (done) {
+      runStage({ dropInvalid: true }, function (items, report) {
+        assert.deepStrictEqual(items, []);
+        assert.strictEqual(report.invalid, 1);
+        done();
+      });
+    });
+  });
+});
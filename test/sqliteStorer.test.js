@@ -0,0 +1,115 @@
+var assert = require("assert");
+var path = require("path");
+var tmp = require("tmp");
+var SqliteStorer = require("../lib/SqliteStorer");
+
+/** Indicates whether the optional sqlite3 dependency is installed. */
+var SQLITE_AVAILABLE = (function () {
+  try {
+    require("sqlite3");
+    return true;
+  } catch (err) {
+    return false;
+  }
+}());
+
+(SQLITE_AVAILABLE ? describe : describe.skip)("SqliteStorer", function () {
+  var dir;
+  var databaseFile;
+
+  var bill = function (subscribers) {
+    return {
+      file: "1234-D-2014",
+      type: "PROYECTO DE LEY",
+      summary: "Proyecto de ley",
+      subscribers: subscribers.map(function (name) {
+        return { name: name, party: "UCR", province: "CORDOBA" };
+      }),
+      committees: ["LEGISLACION GENERAL"]
+    };
+  };
+
+  beforeEach(function () {
+    dir = tmp.dirSync({ unsafeCleanup: true });
+    databaseFile = path.join(dir.name, "ogov.sqlite");
+  });
+
+  afterEach(function () {
+    dir.removeCallback();
+  });
+
+  it("replaces related rows when an item is stored again", function (done) {
+    var storer = new SqliteStorer(databaseFile);
+
+    storer.store("1234-D-2014", bill(["PEREZ, JUAN"]), "bills", function (err) {
+      assert.ifError(err);
+
+      storer.store("1234-D-2014", bill(["PEREZ, JUAN", "GOMEZ, ANA"]),
+          "bills", function (err) {
+        assert.ifError(err);
+
+        storer.query("SELECT bill_file, position, name FROM " +
+            "bill_subscribers ORDER BY position", function (err, rows) {
+          assert.ifError(err);
+          assert.deepStrictEqual(rows.map(function (row) {
+            return [row.bill_file, row.name];
+          }), [
+            ["1234-D-2014", "PEREZ, JUAN"],
+            ["1234-D-2014", "GOMEZ, ANA"]
+          ]);
+
+          storer.query("SELECT COUNT(*) AS count FROM bills",
+              function (err, rows) {
+            assert.ifError(err);
+            assert.strictEqual(rows[0].count, 1);
+            storer.close();
+            storer.wait(done);
+          });
+        });
+      });
+    });
+  });
+
+  it("writes items of other roles as JSON", function (done) {
+    var storer = new SqliteStorer(databaseFile);
+
+    storer.store("2015-03-10", { topic: "Sesión" }, "custom", function (err) {
+      assert.ifError(err);
+
+      storer.query("SELECT role, id, data FROM items", function (err, rows) {
+        assert.ifError(err);
+        assert.deepStrictEqual(rows.map(function (row) {
+          return [row.role, row.id, JSON.parse(row.data)];
+        }), [["custom", "2015-03-10", { topic: "Sesión" }]]);
+        storer.close();
+        storer.wait(done);
+      });
+    });
+  });
+
+  it("applies migrations once", function (done) {
+    var storer = new SqliteStorer(databaseFile);
+
+    storer.store("1234-D-2014", bill([]), "bills", function (err) {
+      assert.ifError(err);
+      storer.close();
+
+      storer.wait(function () {
+        var reopened = new SqliteStorer(databaseFile);
+
+        reopened.query("PRAGMA user_version", function (err, rows) {
+          assert.ifError(err);
+          assert.strictEqual(rows[0].user_version,
+            reopened.getSchemaVersion());
+
+          reopened.query("SELECT file FROM bills", function (err, rows) {
+            assert.ifError(err);
+            assert.deepStrictEqual(rows, [{ file: "1234-D-2014" }]);
+            reopened.close();
+            reopened.wait(done);
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,147 @@
+var assert = require("assert");
+var StorePipeline = require("../lib/StorePipeline");
+var stages = require("../lib/PipelineStages");
+var Importer = require("../lib/Importer");
+var fakes = require("./support/fakes");
+
+describe("StorePipeline", function () {
+  var person = {
+    name: "Gómez, Ana",
+    email: "agomez@example.com",
+    phones: ["4127-7100"],
+    committees: [{ name: "Salud", email: "salud@example.com" }]
+  };
+
+  it("runs stages for every role before stages of the item role", function (done) {
+    var calls = [];
+    var pipeline = new StorePipeline({
+      "*": [stages.map(function (data) {
+        calls.push("all");
+        return data;
+      })],
+      people: [stages.map(function (data, id, role) {
+        calls.push(role);
+        return data;
+      })]
+    });
+
+    assert.strictEqual(pipeline.hasStages("people"), true);
+    assert.strictEqual(new StorePipeline({ people: [] }).hasStages("bills"),
+      false);
+
+    pipeline.process("gomez-ana", person, "people", function (err, items) {
+      assert.ifError(err);
+      assert.deepStrictEqual(calls, ["all", "people"]);
+      assert.deepStrictEqual(items, [{
+        id: "gomez-ana",
+        role: "people",
+        data: person
+      }]);
+      done();
+    });
+  });
+
+  it("redacts fields without modifying the imported item", function (done) {
+    var pipeline = new StorePipeline([
+      stages.redact(["email", "committees.email"]),
+      stages.redact(["phones"], "[redacted]")
+    ]);
+
+    pipeline.process("gomez-ana", person, "people", function (err, items) {
+      assert.ifError(err);
+      assert.deepStrictEqual(items[0].data, {
+        name: "Gómez, Ana",
+        phones: "[redacted]",
+        committees: [{ name: "Salud" }]
+      });
+      assert.strictEqual(person.email, "agomez@example.com");
+      done();
+    });
+  });
+
+  it("drops items and skips the remaining stages", function (done) {
+    var pipeline = new StorePipeline([
+      stages.requireFields(["committees.chair"]),
+      function () {
+        assert.fail("the item should be dropped");
+      }
+    ]);
+
+    pipeline.process("gomez-ana", person, "people", function (err, items) {
+      assert.ifError(err);
+      assert.deepStrictEqual(items, []);
+      done();
+    });
+  });
+
+  it("fans out items to the next stages", function (done) {
+    var pipeline = new StorePipeline([
+      stages.fanOut(function (item) {
+        return [item].concat(item.data.committees.map(function (committee) {
+          return {
+            id: committee.name,
+            role: "committees",
+            data: committee
+          };
+        }));
+      }),
+      stages.filter(function (data, id, role) {
+        return role === "committees";
+      })
+    ]);
+
+    pipeline.process("gomez-ana", person, "people", function (err, items) {
+      assert.ifError(err);
+      assert.deepStrictEqual(items, [{
+        id: "Salud",
+        role: "committees",
+        data: { name: "Salud", email: "salud@example.com" }
+      }]);
+      done();
+    });
+  });
+
+  it("reports errors thrown by stages", function (done) {
+    var pipeline = new StorePipeline([stages.map(function () {
+      throw new Error("broken stage");
+    })]);
+
+    pipeline.process("gomez-ana", person, "people", function (err, items) {
+      assert.strictEqual(err.message, "broken stage");
+      assert.deepStrictEqual(items, []);
+      done();
+    });
+  });
+
+  it("stores the items that result from the importer pipeline", function (done) {
+    var stored = [];
+    var importer = new Importer(fakes.importerOptions({
+      role: "people",
+      pipeline: {
+        people: [stages.requireFields(["email"])]
+      },
+      storers: [{
+        store: function (id, data, role, callback) {
+          stored.push(id + " " + role);
+          callback();
+        },
+        close: function () {}
+      }]
+    }));
+    var dropped = [];
+
+    importer.on("item:dropped", function (event) {
+      dropped.push(event.id);
+    });
+    importer.store("gomez-ana", person, function (err) {
+      assert.ifError(err);
+
+      importer.store("perez-juan", { name: "Pérez, Juan" }, function (err) {
+        assert.ifError(err);
+        assert.deepStrictEqual(stored, ["gomez-ana people"]);
+        assert.deepStrictEqual(dropped, ["perez-juan"]);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+var assert = require("assert");
+var StorerQuery = require("../lib/StorerQuery");
+
+/** Creates a storer that reads items from memory. */
+var createStorer = function (items) {
+  return {
+    iterate: function (filter, iterator, callback) {
+      var ids = Object.keys(items).filter(function (id) {
+        return !filter || filter(items[id], id);
+      });
+      var next = function (index) {
+        if (index === ids.length) {
+          return callback(null, ids.length);
+        }
+        iterator(items[ids[index]], ids[index], function (err) {
+          if (err) {
+            return callback(err, index);
+          }
+          next(index + 1);
+        });
+      };
+      next(0);
+    }
+  };
+};
+
+describe("StorerQuery", function () {
+  var query = new StorerQuery({
+    bills: createStorer({
+      "1234-D-2014": {
+        file: "1234-D-2014",
+        subscribers: [{ name: "Pérez, Juan" }, { name: "Gómez, Ana" }]
+      },
+      "0012-S-2015": {
+        file: "0012-S-2015",
+        subscribers: [{ name: "López, Carlos" }]
+      }
+    }),
+    people: createStorer({
+      "gomez-ana": { name: "Gómez, Ana", district: "Córdoba" }
+    })
+  });
+
+  it("matches fields in lists, regular expressions and functions", function (done) {
+    query.find({
+      role: "bills",
+      where: {
+        "subscribers.name": /^Gómez/,
+        file: function (file) {
+          return file.indexOf("-D-") > -1;
+        }
+      }
+    }, function (err, items) {
+      assert.ifError(err);
+      assert.deepStrictEqual(items.map(function (item) {
+        return item.id;
+      }), ["1234-D-2014"]);
+      assert.strictEqual(items[0].role, "bills");
+      done();
+    });
+  });
+
+  it("reads all roles up to the limit", function (done) {
+    query.find({}, function (err, items) {
+      assert.ifError(err);
+      assert.strictEqual(items.length, 3);
+      assert.strictEqual(items[2].role, "people");
+
+      query.find({ limit: 1, where: { district: "Córdoba" } },
+        function (err, items) {
+          assert.ifError(err);
+          assert.deepStrictEqual(items, [{
+            id: "gomez-ana",
+            role: "people",
+            data: { name: "Gómez, Ana", district: "Córdoba" }
+          }]);
+          done();
+        });
+    });
+  });
+
+  it("fails with unknown roles", function (done) {
+    query.each({ role: ["bills", "votes"] }, function () {
+      assert.fail("no items expected");
+    }, function (err, count) {
+      assert.ok(/votes/.test(err.message));
+      assert.strictEqual(count, 0);
+      done();
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/** Test doubles shared by unit tests. */
+
+var extend = require("extend");
+var PassThrough = require("stream").PassThrough;
+
+/** Logger that discards messages. */
+var SILENT_LOG = {
+  debug: function () {},
+  info: function () {},
+  warn: function () {},
+  error: function () {}
+};
+
+/** Creates a fetcher that answers requests from a list of responses by url.
+ * Each response is either an object with <code>statusCode</code>,
+ * <code>headers</code> and <code>body</code>, or an Error. The last response
+ * of a url is repeated. The fetcher records the requested urls in
+ * <code>requests</code>, and the request options in <code>options</code>.
+ */
+var fetcher = function (responses) {
+  var requests = [];
+  var requestOptionsList = [];
+
+  var nextResponse = function (requestOptions) {
+    var url = typeof requestOptions === "string" ? requestOptions :
+      requestOptions.uri || requestOptions.url;
+    var list = [].concat(responses[url] || { statusCode: 404 });
+    var response = list[Math.min(requests.filter(function (requested) {
+      return requested === url;
+    }).length, list.length - 1)];
+
+    requests.push(url);
+    requestOptionsList.push(requestOptions);
+
+    return response;
+  };
+
+  return {
+    requests: requests,
+    options: requestOptionsList,
+    request: function (requestOptions, callback) {
+      var response = nextResponse(requestOptions);
+
+      setImmediate(function () {
+        if (response instanceof Error) {
+          return callback(response);
+        }
+        callback(null, extend({ headers: {} }, response),
+          Buffer.from(response.body || ""));
+      });
+    },
+    stream: function (requestOptions, callback) {
+      var response = nextResponse(requestOptions);
+      var stream = new PassThrough();
+
+      stream.aborted = false;
+      stream.abort = function () {
+        stream.aborted = true;
+      };
+      setImmediate(function () {
+        callback(null, stream);
+
+        setImmediate(function () {
+          if (response instanceof Error) {
+            return stream.emit("error", response);
+          }
+          stream.emit("response", extend({ headers: {} }, response));
+
+          if (!stream.aborted) {
+            stream.end(Buffer.from(response.body || ""));
+          }
+        });
+      });
+    }
+  };
+};
+
+/** Creates importer options for unit tests: no retry delays, no signal
+ * handlers and a silent logger. */
+var importerOptions = function (options) {
+  return extend({
+    logger: SILENT_LOG,
+    handleSignals: false
+  }, options, {
+    retry: extend({
+      retries: 2,
+      minTimeout: 1,
+      maxTimeout: 1,
+      jitter: false
+    }, options && options.retry)
+  });
+};
+
+module.exports = {
+  SILENT_LOG: SILENT_LOG,
+  fetcher: fetcher,
+  importerOptions: importerOptions
+};
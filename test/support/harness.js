@@ -0,0 +1,202 @@
+/** Runs importers against recorded fixtures and compares the imported items
+ * with golden JSON outputs.
+ *
+ * Fixtures for each importer live in <code>test/fixtures/{role}</code>, served
+ * by a <code>FixtureFetcher</code>. PDF documents are recorded as the text of
+ * each page separated by form feeds, so tests don't need pdftotext. Golden
+ * outputs live in <code>test/golden/{role}.json</code>.
+ */
+
+// Dates are parsed in local time.
+process.env.TZ = "America/Argentina/Buenos_Aires";
+
+var fs = require("fs");
+var path = require("path");
+var async = require("async");
+var extend = require("extend");
+var tmp = require("tmp");
+var ogi = require("../../index");
+
+/** Directory that contains fixtures for each importer. */
+var FIXTURES_DIR = path.join(__dirname, "..", "fixtures");
+
+/** Directory that contains golden outputs for each importer. */
+var GOLDEN_DIR = path.join(__dirname, "..", "golden");
+
+/** Query parameters that change on every run. */
+var IGNORE_PARAMS = ["fecha_fin"];
+
+/** Importers under test by role, with the number of tasks to execute, the
+ * state to restore before enqueuing tasks and additional options.
+ */
+var SUITES = {
+  bills: {
+    Klass: ogi.BillImporter,
+    tasks: 2,
+    options: {
+      pageSize: 10,
+      fetchText: true
+    }
+  },
+  "senate-bills": {
+    Klass: ogi.SenateBillImporter,
+    tasks: 2,
+    options: {
+      role: "bills",
+      pageSize: 10,
+      startDate: "2014-01-01",
+      endDate: "2014-12-31"
+    }
+  },
+  committees: {
+    Klass: ogi.CommitteeImporter,
+    tasks: 2
+  },
+  people: {
+    Klass: ogi.PeopleImporter,
+    tasks: 2
+  },
+  vote: {
+    Klass: ogi.VoteImporter,
+    tasks: 1,
+    state: {
+      lastPeriod: 2015
+    }
+  },
+  "senate-vote": {
+    Klass: ogi.SenateVoteImporter,
+    tasks: 1,
+    state: {
+      lastPeriod: 2015
+    },
+    options: {
+      role: "vote"
+    }
+  },
+  events: {
+    Klass: ogi.EventsImporter,
+    tasks: 1
+  }
+};
+
+/** Logger that discards messages. */
+var SILENT_LOG = {
+  debug: function () {},
+  info: function () {},
+  warn: function () {},
+  error: function () {}
+};
+
+/** Reads the text of a PDF fixture, one page per form feed. */
+var readPdfText = function (file, callback) {
+  fs.readFile(file, function (err, data) {
+    if (err) {
+      return callback(err);
+    }
+    callback(null, data.toString().split("\f"));
+  });
+};
+
+/** Runs the importer for the specified role against its fixtures.
+ *
+ * @param {String} role Role of the importer to run. Cannot be null.
+ * @param {Object} [options] Run options. Can be null.
+ * @param {Object} [options.fetcher] Options for the FixtureFetcher, for
+ *    instance to record fixtures. Can be null.
+ * @param {Function} [options.pdfExtractor] Extractor for PDF documents.
+ *    Default reads recorded PDF text.
+ * @param {Object} [options.logger] Logger for the importer. Default discards
+ *    messages.
+ * @param {Function} callback Receives an error, the output and the importer
+ *    as parameters. The output has the stored <code>items</code> by id and
+ *    the task <code>errors</code> by task name. Cannot be null.
+ */
+var run = function (role, options, callback) {
+  var suite = SUITES[role];
+  var cacheDir = tmp.dirSync({ unsafeCleanup: true });
+  var fetcher = new ogi.FixtureFetcher(path.join(FIXTURES_DIR, role),
+    extend({ ignoreParams: IGNORE_PARAMS }, options && options.fetcher));
+  var queryCache = new ogi.FileSystemCache(cacheDir.name, {
+    fetcher: fetcher
+  });
+  var output = {
+    items: {},
+    errors: {}
+  };
+  var importer;
+  var tasks = [];
+  var task;
+  var i;
+
+  importer = new suite.Klass(extend({
+    role: role,
+    handleSignals: false,
+    logger: options && options.logger || SILENT_LOG,
+    fetcher: fetcher,
+    queryCache: queryCache,
+    pdfExtractor: options && options.pdfExtractor || readPdfText,
+    retry: {
+      retries: 0
+    },
+    storers: [{
+      store: function (id, data, role, callback) {
+        output.items[id] = JSON.parse(JSON.stringify(data));
+        callback();
+      },
+      wait: function (callback) {
+        callback();
+      },
+      close: function () {}
+    }]
+  }, suite.options));
+
+  importer.restoreState(suite.state || null);
+
+  for (i = 0; i < suite.tasks; i++) {
+    task = importer.enqueueTask();
+    if (task) {
+      tasks.push(task);
+    }
+  }
+
+  async.eachSeries(tasks, function (task, next) {
+    importer.execute(task, function (err) {
+      if (err) {
+        output.errors[task.name] = err.message;
+      }
+      next();
+    });
+  }, function () {
+    queryCache.wait(function () {
+      cacheDir.removeCallback();
+      callback(null, output, importer);
+    });
+  });
+};
+
+/** Returns the golden file for the specified role. */
+var goldenFile = function (role) {
+  return path.join(GOLDEN_DIR, role + ".json");
+};
+
+/** Reads the golden output for the specified role, or null if it doesn't
+ * exist. */
+var readGolden = function (role) {
+  if (!fs.existsSync(goldenFile(role))) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(goldenFile(role)).toString());
+};
+
+/** Writes the golden output for the specified role. */
+var writeGolden = function (role, output) {
+  fs.writeFileSync(goldenFile(role), JSON.stringify(output, null, 2) + "\n");
+};
+
+module.exports = {
+  FIXTURES_DIR: FIXTURES_DIR,
+  SUITES: SUITES,
+  run: run,
+  readGolden: readGolden,
+  writeGolden: writeGolden
+};
@@ -0,0 +1,104 @@
+var assert = require("assert");
+var tmp = require("tmp");
+var VersioningStorer = require("../lib/VersioningStorer");
+var ObjectDiff = require("../lib/ObjectDiff");
+
+describe("VersioningStorer", function () {
+  var dir;
+
+  beforeEach(function () {
+    dir = tmp.dirSync({ unsafeCleanup: true });
+  });
+
+  afterEach(function () {
+    dir.removeCallback();
+  });
+
+  it("writes a revision only when the item changes", function (done) {
+    var storer = new VersioningStorer(dir.name, {
+      date: new Date("2015-03-10T03:00:00Z")
+    });
+    var bill = {
+      file: "1234-D-2014",
+      summary: "Proyecto de ley",
+      procedures: ["Mesa de entradas"]
+    };
+
+    storer.store(bill.file, bill, "bills", function (err) {
+      assert.ifError(err);
+
+      storer.store(bill.file, bill, "bills", function (err) {
+        assert.ifError(err);
+
+        storer.store(bill.file, {
+          file: "1234-D-2014",
+          summary: "Proyecto de ley",
+          procedures: ["Mesa de entradas", "Giro a comisiones"]
+        }, "bills", function (err) {
+          assert.ifError(err);
+          assert.deepStrictEqual(storer.getStats(), {
+            created: 1,
+            changed: 1,
+            unchanged: 1
+          });
+
+          storer.history(bill.file, function (err, history) {
+            assert.ifError(err);
+            assert.strictEqual(history.revisions.length, 2);
+            assert.deepStrictEqual(history.revisions[0].data, bill);
+            assert.strictEqual(history.revisions[1].date,
+              "2015-03-10T03:00:00.000Z");
+            assert.deepStrictEqual(history.revisions[1].changes, [{
+              path: "procedures[1]",
+              type: "added",
+              to: "Giro a comisiones"
+            }]);
+            assert.strictEqual(history.data.procedures.length, 2);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it("has no history for items that were never stored", function (done) {
+    new VersioningStorer(dir.name).history("missing", function (err,
+        history) {
+      assert.ifError(err);
+      assert.strictEqual(history, null);
+      done();
+    });
+  });
+});
+
+describe("ObjectDiff", function () {
+  it("compares objects by property and arrays by position", function () {
+    var changes = new ObjectDiff().diff({
+      summary: "Proyecto",
+      authors: ["Pérez", "Gómez"],
+      date: new Date("2015-03-10T00:00:00Z")
+    }, {
+      summary: "Proyecto de ley",
+      authors: ["Pérez"],
+      status: "Giro"
+    });
+
+    assert.deepStrictEqual(changes, [
+      { path: "authors[1]", type: "removed", from: "Gómez" },
+      { path: "date", type: "removed", from: "2015-03-10T00:00:00.000Z" },
+      { path: "status", type: "added", to: "Giro" },
+      { path: "summary", type: "changed", from: "Proyecto",
+        to: "Proyecto de ley" }
+    ]);
+  });
+
+  it("formats differences as text", function () {
+    var objectDiff = new ObjectDiff({ unorderedArrays: true });
+
+    assert.strictEqual(objectDiff.format(objectDiff.diff({
+      authors: ["Pérez", "Gómez"]
+    }, {
+      authors: ["Díaz", "Pérez"]
+    })), "- authors[1]: \"Gómez\"\n+ authors[0]: \"Díaz\"");
+  });
+});